@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Web API for the settings page and for other apps, dashboards and scripts on the local network.
+ * Handlers only delegate to the app, which owns the schedule, notifications and scheduler. Query
+ * values are validated there; a bad value is answered with a message saying what is expected.
+ */
+module.exports = {
+
+  /**
+   * GET /state: whether this year's Earth Hour is upcoming, active or ended, with its moments.
+   * Query: timezone (optional IANA name, defaults to Homey's).
+   */
+  async getState({ homey, query }) {
+    return homey.app.getState(query);
+  },
+
+  /**
+   * GET /minutes: minutes until the next start and end, as the flow conditions see them.
+   * Query: timezone (optional).
+   */
+  async getMinutes({ homey, query }) {
+    return homey.app.getMinutes(query);
+  },
+
+  /**
+   * GET /schedule: Earth Hour dates for this year and the next few.
+   * Query: year, or from and to (inclusive); timezone (optional).
+   */
+  async getSchedule({ homey, query }) {
+    return homey.app.getSchedule(query);
+  },
+
+  /**
+   * PUT /schedule/overrides/:year: sets the Earth Hour date and time for a year, e.g. when WWF
+   * announces a date the app doesn't know yet. Body: { date: 'YYYY-MM-DD', time?: 'HH:mm', duration?, theme? }.
+   */
+  async setScheduleOverride({ homey, params, body }) {
+    return homey.app.setScheduleOverride(params.year, body);
+  },
+
+  /**
+   * DELETE /schedule/overrides/:year: goes back to the feed, bundled or rule date for a year.
+   */
+  async removeScheduleOverride({ homey, params }) {
+    homey.app.removeScheduleOverride(params.year);
+  },
+
+  /**
+   * GET /events: Earth Hour and the other events the event flow cards work for, with their next dates.
+   * Query: timezone (optional).
+   */
+  async getEvents({ homey, query }) {
+    return homey.app.getEvents(query);
+  },
+
+  /**
+   * GET /calendar: the next Earth Hours as iCalendar (.ics) text in a JSON string, for the settings
+   * page to save as a file; calendar apps cannot subscribe to it.
+   * Query: years (default 5), alarms ('false' leaves out the reminder alarms), timezone (optional).
+   */
+  async getCalendar({ homey, query }) {
+    return homey.app.getCalendar(query);
+  },
+
+  /**
+   * GET /zones: Homey's zones, "All zones" first, for the zone pickers on the settings page.
+   */
+  async getZones({ homey }) {
+    return homey.app.getZones();
+  },
+
+  /**
+   * GET /compliance/devices: the lights and sockets the lights-out check looks at, for its exclusion list.
+   */
+  async getComplianceDevices({ homey }) {
+    return homey.app.getComplianceDevices();
+  },
+
+  /**
+   * GET /energy: the energy saved in earlier Earth Hours, newest first (see the energy report).
+   */
+  async getEnergy({ homey }) {
+    return homey.app.getEnergyResults();
+  },
+
+  /**
+   * GET /history: fired triggers and sent notifications, newest first.
+   * Query: type ('trigger' or 'notification'), limit (optional).
+   */
+  async getHistory({ homey, query }) {
+    return homey.app.getHistory(query);
+  },
+
+  /**
+   * POST /thank-you: sends the thank-you notification again.
+   */
+  async resendThankYou({ homey }) {
+    await homey.app.resendThankYou();
+  },
+
+  /**
+   * POST /reminders/reset: forgets which reminders were sent.
+   */
+  async resetReminders({ homey }) {
+    homey.app.resetReminders();
+  },
+
+};
@@ -1,68 +1,575 @@
 'use strict';
 
 const Homey = require('homey');
-const { CronJob } = require('cron');
+const { DateTime } = require('luxon');
+const { HomeyAPI } = require('homey-api');
 const earthHourDate = require('./lib/utils/earthHourDate');
+const earthHourSchedule = require('./lib/utils/earthHourSchedule');
+const scheduleFeed = require('./lib/utils/scheduleFeed');
 const earthHourChecks = require('./lib/utils/earthHourChecks');
 const earthHourTime = require('./lib/utils/earthHourTime');
 const dateFormat = require('./lib/utils/dateFormat');
 const notifications = require('./lib/utils/notifications');
+const reminders = require('./lib/utils/reminders');
+const triggerState = require('./lib/utils/triggerState');
+const { createScheduler } = require('./lib/utils/scheduler');
+const { createDeviceAdapter } = require('./lib/utils/deviceAdapter');
+const snapshot = require('./lib/utils/snapshot');
+const fade = require('./lib/utils/fade');
+const compliance = require('./lib/utils/compliance');
+const energyReport = require('./lib/utils/energyReport');
+const flowTokens = require('./lib/utils/flowTokens');
+const history = require('./lib/utils/history');
+const webApi = require('./lib/utils/webApi');
+const calendar = require('./lib/utils/calendar');
+const simulation = require('./lib/utils/simulation');
+const clock = require('./lib/utils/clock');
+const wave = require('./lib/utils/wave');
+const earthHourState = require('./lib/utils/earthHourState');
+const sun = require('./lib/utils/sun');
+const events = require('./lib/utils/events');
+
+/** How often the remote schedule feed is re-fetched. */
+const FEED_SYNC_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+/** Settings (changed from the settings page) that decide which jobs the scheduler has. */
+const SCHEDULING_SETTINGS_KEYS = [
+  reminders.ENABLED_SETTINGS_KEY,
+  reminders.CUSTOM_SETTINGS_KEY,
+  events.CUSTOM_SETTINGS_KEY,
+  fade.AUTO_SETTINGS_KEY,
+  compliance.ENABLED_SETTINGS_KEY,
+  energyReport.ENABLED_SETTINGS_KEY,
+];
+
+/** Settings key recording that home was prepared from the dashboard widget; cleared when Earth Hour ends. */
+const PREPARED_SETTINGS_KEY = 'widget.prepared';
+
+/** How many years the settings page shows the schedule for. */
+const SCHEDULE_PREVIEW_YEARS = 5;
+
+/** Trigger state for Earth Hour itself, matched by the start/end flows whose event argument is empty or Earth Hour. */
+const EARTH_HOUR_TRIGGER_STATE = { eventId: events.EARTH_HOUR_ID };
 
 /**
  * Homey app that provides Earth Hour flow triggers and conditions.
- * Earth Hour occurs 20:30–21:30 local time on the last Saturday of March each year.
+ * Earth Hour normally runs 20:30–21:30 local time on the last Saturday of March; the exact date per
+ * year comes from the schedule table (official dates and user overrides in settings).
  */
 module.exports = class EarthHourApp extends Homey.App {
 
   /**
-   * Entry point for app bootstrap. Wires flow triggers, condition cards, and cron jobs
+   * Entry point for app bootstrap. Wires flow triggers, condition cards, and the scheduler
    * to the Homey clock and timezone. Re-runs setup when the user changes timezone.
    */
   async onInit() {
     this.log('Earth Hour app has been initialized');
 
-    // DEBUG: clear notification settings so you can re-test thank-you and scheduled notifications.
-    // Remove this block before release.
-    // const notificationKeys = [
-    //   'notifications.thankYouShown',
-    //   'notifications.oneMonthBeforeYear',
-    //   'notifications.oneWeekBeforeYear',
-    //   'notifications.oneDayBeforeYear',
-    //   'notifications.thirtyMinBeforeYear',
-    // ];
-    // for (const key of notificationKeys) {
-    //   this.homey.settings.unset(key);
-    // }
-    // this.log('[DEBUG] Cleared notification settings');
-
     const timezone = this.homey.clock.getTimezone();
     this.log(`Using timezone: ${timezone}`);
 
+    this._loadClock();
+    scheduleFeed.loadCachedFeed(this);
+    this._loadScheduleOverrides();
+    this.homey.settings.on('set', (key) => this._onSettingChanged(key));
+    this.homey.settings.on('unset', (key) => this._onSettingChanged(key));
+
     this._earthHourStartsTrigger = this.homey.flow.getTriggerCard('earth_hour_starts');
     this._earthHourEndsTrigger = this.homey.flow.getTriggerCard('earth_hour_ends');
+    this._devicesStillOnTrigger = this.homey.flow.getTriggerCard('devices_still_on');
+    this._energyReportTrigger = this.homey.flow.getTriggerCard('energy_report');
+    this._reminderDueTrigger = this.homey.flow.getTriggerCard('reminder_due');
+    this._prepareHomeStartedTrigger = this.homey.flow.getTriggerCard('prepare_home_started');
+    this._prepareHomeCancelledTrigger = this.homey.flow.getTriggerCard('prepare_home_cancelled');
+    this._stateChangedTrigger = this.homey.flow.getTriggerCard('earth_hour_state_changed');
+    this._stateChangedTrigger.registerRunListener(async (args, state) => args.state === state.state);
+    this._darkStartTrigger = this.homey.flow.getTriggerCard('earth_hour_dark_start');
+    await this._registerStartsSoonTrigger();
+    await this._registerWaveTrigger();
 
     this._registerConditionCards(timezone);
-    this._setupCronJobs(timezone);
+    this._registerEventCards();
+    this._registerActionCards();
+    this._flowTokens = await flowTokens.createTokens(this, timezone);
+    this._liveUpdateAt = clock.now();
+    this._offsetCheckpointAt = clock.now();
+    // Starting the scheduler also runs overdue triggers, which is how we catch up after a reboot.
+    this._scheduler = createScheduler(this, (now) => this._getScheduledJobs(now));
+    this._scheduler.start();
     await notifications.sendThankYou(this, timezone);
 
+    this._syncScheduleFeed();
+    this.homey.setInterval(() => this._syncScheduleFeed(), FEED_SYNC_INTERVAL_MS);
+
     this.homey.clock.on('timezoneChange', () => {
       this.log('Timezone changed, reinitializing...');
       const newTimezone = this.homey.clock.getTimezone();
-      this._setupCronJobs(newTimezone);
+      this._liveUpdateAt = clock.now();
+      this._scheduler.reschedule('timezone changed');
       this._registerConditionCards(newTimezone);
     });
   }
 
+  /**
+   * Applies a settings change right away, so changes from the settings page need no restart.
+   * @param {string} key - Settings key that was set or unset
+   */
+  _onSettingChanged(key) {
+    if (key === fade.AUTO_SETTINGS_KEY && !fade.isValidAutoSettings(this.homey.settings.get(key))) {
+      this.error(`[Fade] Automatic fades are off until ${key} has a fade length of a positive whole number of minutes`);
+    }
+    if (key === reminders.CUSTOM_SETTINGS_KEY) reminders.loadCustomReminders(this);
+    if (key === events.CUSTOM_SETTINGS_KEY) events.loadCustomEvents(this);
+    if (key === earthHourSchedule.OVERRIDES_SETTINGS_KEY) {
+      this._loadScheduleOverrides();
+      if (this._scheduler) {
+        this._liveUpdateAt = clock.now();
+        this._scheduler.reschedule(`${key} changed`);
+      }
+    } else if (key === clock.SETTINGS_KEY) {
+      this._loadClock();
+      if (this._scheduler) {
+        this._liveUpdateAt = clock.now();
+        this._scheduler.reschedule(`${key} changed`);
+      }
+    } else if (SCHEDULING_SETTINGS_KEYS.includes(key) && this._scheduler) {
+      this._scheduler.reschedule(`${key} changed`);
+    }
+  }
+
+  /**
+   * Earth Hour dates for the settings page and the Web API: this year and the next few, or the
+   * year or range asked for.
+   * @param {object} [query] - Query parameters: { year?, from?, to?, timezone? }
+   * @returns {object[]} See webApi.getSchedule
+   */
+  getSchedule(query = {}) {
+    const timezone = webApi.parseTimezone(query.timezone, this.homey.clock.getTimezone());
+    const firstYear = DateTime.fromJSDate(earthHourDate.getUpcomingEarthHourStart(timezone)).setZone(timezone).year;
+    const years = webApi.parseYears(query, firstYear, SCHEDULE_PREVIEW_YEARS);
+    return webApi.getSchedule(years, timezone, this.homey.i18n.getLanguage());
+  }
+
+  /**
+   * The events the event flow cards work for, with their next dates, for the settings page and the Web API.
+   * @param {object} [query] - Query parameters: { timezone? }
+   * @returns {object[]} See webApi.getEvents
+   */
+  getEvents(query = {}) {
+    const timezone = webApi.parseTimezone(query.timezone, this.homey.clock.getTimezone());
+    return webApi.getEvents(this, timezone, this.homey.i18n.getLanguage());
+  }
+
+  /**
+   * The next few Earth Hours as an iCalendar file, for the settings page download.
+   * @param {object} [query] - Query parameters: { years?, alarms?, timezone? }
+   * @returns {string} .ics text
+   */
+  getCalendar(query = {}) {
+    const timezone = webApi.parseTimezone(query.timezone, this.homey.clock.getTimezone());
+    const { count, alarms } = webApi.parseCalendarQuery(query, SCHEDULE_PREVIEW_YEARS);
+    const firstYear = DateTime.fromJSDate(earthHourDate.getUpcomingEarthHourStart(timezone)).setZone(timezone).year;
+    const years = Array.from({ length: count }, (_, index) => firstYear + index);
+    return calendar.buildCalendar(this, years, timezone, { alarms });
+  }
+
+  /**
+   * State of this year's Earth Hour for the Web API.
+   * @param {object} [query] - Query parameters: { timezone? }
+   * @returns {object} See webApi.getState
+   */
+  getState(query = {}) {
+    return webApi.getState(webApi.parseTimezone(query.timezone, this.homey.clock.getTimezone()));
+  }
+
+  /**
+   * Minutes until the next start and end for the Web API.
+   * @param {object} [query] - Query parameters: { timezone? }
+   * @returns {object} See webApi.getMinutes
+   */
+  getMinutes(query = {}) {
+    return webApi.getMinutes(webApi.parseTimezone(query.timezone, this.homey.clock.getTimezone()));
+  }
+
+  /**
+   * Fired triggers and sent notifications for the Web API, newest first.
+   * @param {object} [query] - Query parameters: { type?, limit? }
+   * @returns {object[]} See history.getHistory
+   */
+  getHistory(query = {}) {
+    return history.getHistory(this, webApi.parseHistoryQuery(query));
+  }
+
+  /**
+   * The energy saved in earlier Earth Hours, newest first (settings page and Web API).
+   * @returns {object[]} See energyReport.getResults
+   */
+  getEnergyResults() {
+    return energyReport.getResults(this);
+  }
+
+  /**
+   * State for the dashboard widget: the Earth Hour to count down to and whether home is prepared.
+   * @returns {object} See webApi.getCountdown, plus prepared
+   */
+  getWidgetState() {
+    const countdown = webApi.getCountdown(this, this.homey.clock.getTimezone(), this.homey.i18n.getLanguage());
+    countdown.prepared = this.homey.settings.get(PREPARED_SETTINGS_KEY) === true;
+    return countdown;
+  }
+
+  /**
+   * Runs or cancels the "prepare home" flows from the dashboard widget.
+   * @param {boolean} prepared - True to prepare, false to cancel
+   * @returns {Promise<object>} The new widget state
+   */
+  async setPrepared(prepared) {
+    const card = prepared ? this._prepareHomeStartedTrigger : this._prepareHomeCancelledTrigger;
+    this.log(`[Widget] Prepare home ${prepared ? 'started' : 'cancelled'}`);
+    this.homey.settings.set(PREPARED_SETTINGS_KEY, prepared);
+    await card.trigger();
+    history.record(this, 'trigger', prepared ? 'prepare_home_started' : 'prepare_home_cancelled');
+    return this.getWidgetState();
+  }
+
+  /**
+   * Current countdown values, as in the flow tokens, for the Earth Hour device.
+   * @returns {object} Values from flowTokens.getTokenValues
+   */
+  getLiveValues() {
+    return flowTokens.getTokenValues(this, this.homey.clock.getTimezone());
+  }
+
+  /**
+   * Starts a simulated Earth Hour of the given length and fires "Earth Hour starts" with the
+   * simulated token. A simulation that is still running is ended first, so its flows get their end.
+   * @param {number} minutes - Length of the simulation
+   */
+  async startSimulation(minutes) {
+    await this.endSimulation();
+    const { startAt, endAt } = simulation.startSimulation(this, minutes, clock.now());
+    const timezone = this.homey.clock.getTimezone();
+    const start = new Date(startAt);
+    const end = new Date(endAt);
+    const { year } = DateTime.fromJSDate(start).setZone(timezone);
+    await this._earthHourStartsTrigger.trigger(this._getTriggerTokens(year, start, end, timezone, false, true), EARTH_HOUR_TRIGGER_STATE);
+    history.record(this, 'trigger', 'earth_hour_starts', { year, simulated: true });
+    // The tokens, devices and state follow the simulation right away.
+    this._liveUpdateAt = clock.now();
+    this._scheduler.reschedule('simulation started');
+  }
+
+  /**
+   * Ends the running simulation, if any, and fires "Earth Hour ends" with the simulated token.
+   * Runs when the simulation is over and when it is cancelled.
+   */
+  async endSimulation() {
+    const running = simulation.getSimulation(this);
+    if (!running) return;
+    simulation.endSimulation(this);
+    const timezone = this.homey.clock.getTimezone();
+    const start = new Date(running.startAt);
+    const end = new Date(running.endAt);
+    const { year } = DateTime.fromJSDate(start).setZone(timezone);
+    await this._earthHourEndsTrigger.trigger(this._getTriggerTokens(year, start, end, timezone, false, true), EARTH_HOUR_TRIGGER_STATE);
+    history.record(this, 'trigger', 'earth_hour_ends', { year, simulated: true });
+    await this._autoRestoreSnapshot();
+    this._liveUpdateAt = clock.now();
+    this._scheduler.reschedule('simulation ended');
+  }
+
+  /**
+   * Fires the "Earth Hour starts" and "Earth Hour ends" flows now with this year's tokens, without
+   * marking them as fired (maintenance button on the Earth Hour device).
+   */
+  async testTriggers() {
+    const timezone = this.homey.clock.getTimezone();
+    const { year, start, end } = earthHourState.getOccurrence(timezone);
+    this.log(`[Triggers] Test-firing the start and end flows for Earth Hour ${year}`);
+    await this._earthHourStartsTrigger.trigger(this._getTriggerTokens(year, start, end, timezone, false), EARTH_HOUR_TRIGGER_STATE);
+    await this._earthHourEndsTrigger.trigger(this._getTriggerTokens(year, start, end, timezone, false), EARTH_HOUR_TRIGGER_STATE);
+    history.record(this, 'trigger', 'earth_hour_starts', { year, test: true });
+    history.record(this, 'trigger', 'earth_hour_ends', { year, test: true });
+  }
+
+  /**
+   * Sends the thank-you notification again (settings page).
+   */
+  async resendThankYou() {
+    await notifications.resendThankYou(this, this.homey.clock.getTimezone());
+  }
+
+  /**
+   * Forgets which reminders were sent and reschedules them (settings page).
+   */
+  resetReminders() {
+    notifications.resetReminders(this);
+    this._scheduler.reschedule('reminders reset');
+  }
+
+  /**
+   * Stores a schedule override for a year (settings page, Web API). The settings listener loads it.
+   * @param {string} yearValue - Year from the request path
+   * @param {object} body - Raw entry, see webApi.parseScheduleOverride
+   * @returns {object} The stored entry
+   */
+  setScheduleOverride(yearValue, body) {
+    const { year, entry } = webApi.parseScheduleOverride(yearValue, body);
+    const stored = this.homey.settings.get(earthHourSchedule.OVERRIDES_SETTINGS_KEY) || {};
+    stored[year] = entry;
+    this.homey.settings.set(earthHourSchedule.OVERRIDES_SETTINGS_KEY, stored);
+    this.log(`[Schedule] Override for ${year} set to ${entry.date} ${entry.time}`);
+    return entry;
+  }
+
+  /**
+   * Removes the schedule override for a year, if any (settings page, Web API).
+   * @param {string} yearValue - Year from the request path
+   */
+  removeScheduleOverride(yearValue) {
+    const year = webApi.parseYear(yearValue, 'year');
+    const stored = this.homey.settings.get(earthHourSchedule.OVERRIDES_SETTINGS_KEY) || {};
+    if (!(year in stored)) return;
+    delete stored[year];
+    this.homey.settings.set(earthHourSchedule.OVERRIDES_SETTINGS_KEY, stored);
+    this.log(`[Schedule] Override for ${year} removed`);
+  }
+
+  /**
+   * Loads per-year schedule overrides from settings into the schedule table. All date helpers read
+   * from that table; the settings listener reschedules after a change, so timers follow it too.
+   */
+  _loadScheduleOverrides() {
+    const raw = this.homey.settings.get(earthHourSchedule.OVERRIDES_SETTINGS_KEY);
+    const rejected = earthHourSchedule.setOverrides(raw);
+    if (rejected.length > 0) {
+      this.error(`[Schedule] Ignoring invalid overrides for: ${rejected.join(', ')}`);
+    }
+    this.log(`[Schedule] Loaded ${Object.keys(raw || {}).length - rejected.length} override(s)`);
+  }
+
+  /**
+   * Applies the clock override from the advanced settings, so the whole app runs shifted in time or
+   * at a fixed moment (see clock.js).
+   */
+  _loadClock() {
+    if (!clock.setClock(this.homey.settings.get(clock.SETTINGS_KEY))) {
+      this.error('[Clock] Ignoring invalid clock setting');
+    }
+    this.log(`[Clock] Using ${clock.describe()}`);
+  }
+
+  /**
+   * Fetches the remote schedule feed in the background. Runs without awaiting from init so a slow
+   * or unreachable feed never delays startup; the cached copy is already in effect by then.
+   */
+  _syncScheduleFeed() {
+    scheduleFeed.syncFeed(this, this.homey.clock.getTimezone())
+      .then(({ updated }) => {
+        if (updated) this._scheduler.reschedule('schedule feed synced');
+      })
+      .catch((error) => this.error('[ScheduleFeed] Unexpected sync error:', error));
+  }
+
+  /**
+   * Registers the "Earth Hour starts in X minutes/hours/days" trigger card. Its flows fire through
+   * the scheduler, which needs the distinct argument sets in use: they are cached here and refreshed
+   * whenever a flow using the card is added, changed or removed.
+   */
+  async _registerStartsSoonTrigger() {
+    this._startsSoonTrigger = this.homey.flow.getTriggerCard('earth_hour_starts_soon');
+    this._startsSoonTrigger.registerRunListener(async (args, state) => args.amount === state.amount && args.unit === state.unit
+      && events.getArgumentEventId(args) === state.eventId);
+
+    this._startsSoonOffsets = [];
+    const refreshOffsets = async () => {
+      const argumentValues = await this._startsSoonTrigger.getArgumentValues();
+      const distinct = new Map();
+      for (const args of argumentValues) {
+        const offset = { eventId: events.getArgumentEventId(args), amount: args.amount, unit: args.unit };
+        distinct.set(triggerState.getOffsetKey(offset), offset);
+      }
+      this._startsSoonOffsets = [...distinct.values()];
+      this.log(`[earth_hour_starts_soon] ${this._startsSoonOffsets.length} distinct offset(s) in use`);
+      if (!this._scheduler) return;
+      // A moment that already passed when its flow was saved isn't missed, so it must not fire now.
+      triggerState.markOffsetCheckpoint(this, clock.now());
+      this._scheduler.reschedule('offset triggers changed');
+    };
+    this._startsSoonTrigger.on('update', () => {
+      refreshOffsets().catch((error) => this.error('[earth_hour_starts_soon] Error refreshing offsets:', error));
+    });
+    await refreshOffsets();
+  }
+
+  /**
+   * Registers the "Earth Hour starts in [city/time zone]" trigger card. Like the "starts in" card its
+   * flows fire through the scheduler, which gets one moment per watched time zone: the zones used in
+   * flows are cached here and refreshed whenever a flow using the card changes.
+   */
+  async _registerWaveTrigger() {
+    this._waveTrigger = this.homey.flow.getTriggerCard('earth_hour_starts_in_zone');
+    this._waveTrigger.registerArgumentAutocompleteListener('zone', async (query) => wave.getZoneAutocomplete(query, this.homey.__('flow.everyTimeZone')));
+    this._waveTrigger.registerRunListener(async (args, state) => args.zone.id === wave.ANY_ZONE || args.zone.id === state.timezone);
+
+    this._waveTimezones = [];
+    const refreshTimezones = async () => {
+      const argumentValues = await this._waveTrigger.getArgumentValues();
+      this._waveTimezones = wave.getWatchedTimezones(argumentValues.map(({ zone }) => (zone ? zone.id : null)));
+      this.log(`[earth_hour_starts_in_zone] ${this._waveTimezones.length} time zone(s) watched`);
+      if (this._scheduler) this._scheduler.reschedule('wave triggers changed');
+    };
+    this._waveTrigger.on('update', () => {
+      refreshTimezones().catch((error) => this.error('[earth_hour_starts_in_zone] Error refreshing time zones:', error));
+    });
+    await refreshTimezones();
+  }
+
+  /**
+   * Registers the optional event argument (see events.js) of the Earth Hour start/end, "starts in"
+   * and "reminder due" triggers and of the "is Earth Hour", "is Earth Hour day", "starts in",
+   * "ends in" and time compare conditions. It autocompletes from the defined events; the triggers
+   * only run flows for the event that fired, Earth Hour when the argument is empty. The conditions
+   * answer for another event in _registerConditionCards. The state cards stay Earth Hour only, as
+   * their states (reminder window, simulation) exist for Earth Hour alone.
+   */
+  _registerEventCards() {
+    const autocomplete = async (query) => events.getEventAutocomplete(this, query);
+    for (const card of [this._earthHourStartsTrigger, this._earthHourEndsTrigger, this._reminderDueTrigger]) {
+      card.registerArgumentAutocompleteListener('event', autocomplete);
+      card.registerRunListener(async (args, state) => events.getArgumentEventId(args) === state.eventId);
+    }
+    this._startsSoonTrigger.registerArgumentAutocompleteListener('event', autocomplete);
+    for (const id of ['is_currently_earth_hour', 'is_earth_hour_day', 'earth_hour_time_compare', 'earth_hour_starts_in', 'earth_hour_ends_in']) {
+      this.homey.flow.getConditionCard(id).registerArgumentAutocompleteListener('event', autocomplete);
+    }
+    this.log('Event cards registered');
+  }
+
+  /**
+   * Runs a condition for the event picked in its event argument, when that is not Earth Hour.
+   * @param {string} cardId - Condition card id, for the log
+   * @param {string} eventId - Picked event id
+   * @param {(event: object, timezone: string, now: Date) => boolean} check - Answers for the event
+   * @returns {boolean} False when the event no longer exists
+   */
+  _runEventCondition(cardId, eventId, check) {
+    const event = events.getEvent(this, eventId);
+    if (!event) {
+      this.log(`[${cardId}] event ${eventId} no longer exists, result: false`);
+      return false;
+    }
+    const result = check(event, this.homey.clock.getTimezone(), clock.now());
+    this.log(`[${cardId}] event: ${eventId}, result: ${result}`);
+    return result;
+  }
+
+  /**
+   * Returns the device adapter, creating the Homey Web API client on first use so the app doesn't
+   * open an API session until a device feature is actually used.
+   * @returns {Promise<object>} Device adapter (see deviceAdapter.createDeviceAdapter)
+   */
+  async _getDeviceAdapter() {
+    if (!this._deviceAdapter) {
+      const api = await HomeyAPI.createAppAPI({ homey: this.homey });
+      this._deviceAdapter = createDeviceAdapter(api);
+    }
+    return this._deviceAdapter;
+  }
+
+  /**
+   * Autocomplete listener for zone arguments: "All zones" followed by the Homey zones matching the query.
+   * @param {string} query - Text typed by the user
+   * @returns {Promise<{ id: string, name: string }[]>}
+   */
+  async _getZoneAutocomplete(query) {
+    const zones = await (await this._getDeviceAdapter()).getZones();
+    const allZones = { id: 'all', name: this.homey.__('flow.allZones') };
+    return [allZones, ...zones]
+      .filter(({ name }) => name.toLowerCase().includes(query.toLowerCase()));
+  }
+
+  /**
+   * The zones a light fade can be limited to, "All zones" first (settings page).
+   * @returns {Promise<{ id: string, name: string }[]>}
+   */
+  async getZones() {
+    return this._getZoneAutocomplete('');
+  }
+
+  /**
+   * The lights and sockets the lights-out check looks at, for its exclusion list (settings page).
+   * @returns {Promise<{ id: string, name: string, zone: string }[]>}
+   */
+  async getComplianceDevices() {
+    return compliance.getCheckedDevices(await this._getDeviceAdapter());
+  }
+
+  /**
+   * Registers flow action card listeners for snapshotting and restoring device states, for
+   * fading lights out before and back in after Earth Hour, and for simulating Earth Hour.
+   */
+  _registerActionCards() {
+    const snapshotCard = this.homey.flow.getActionCard('snapshot_and_switch_off');
+    snapshotCard.registerArgumentAutocompleteListener('zone', (query) => this._getZoneAutocomplete(query));
+    snapshotCard.registerRunListener(async (args) => {
+      const result = await snapshot.snapshotAndSwitchOff(this, await this._getDeviceAdapter(), {
+        zone: args.zone ? args.zone.id : 'all',
+        deviceClass: args.device_class,
+      });
+      this.log(`[snapshot_and_switch_off] saved: ${result.saved}, switched off: ${result.switchedOff}`);
+    });
+
+    const restoreCard = this.homey.flow.getActionCard('restore_snapshot');
+    restoreCard.registerRunListener(async () => {
+      const result = await snapshot.restoreSnapshot(this, await this._getDeviceAdapter());
+      this.log(`[restore_snapshot] restored: ${result.restored}, failed: ${result.failed}`);
+    });
+
+    for (const [cardId, direction] of [['fade_out_lights', 'out'], ['fade_in_lights', 'in']]) {
+      const fadeCard = this.homey.flow.getActionCard(cardId);
+      fadeCard.registerArgumentAutocompleteListener('zone', (query) => this._getZoneAutocomplete(query));
+      fadeCard.registerRunListener(async (args) => {
+        const { startAt, endAt } = fade.getFadeWindow(direction, clock.now(), this.homey.clock.getTimezone(), args.minutes);
+        fade.scheduleFade(this, {
+          direction, zone: args.zone ? args.zone.id : 'all', startAt, endAt,
+        });
+        this._scheduler.reschedule('fade planned');
+      });
+    }
+
+    const cancelFadeCard = this.homey.flow.getActionCard('cancel_fade');
+    cancelFadeCard.registerRunListener(async () => {
+      if (fade.cancelFade(this)) this._scheduler.reschedule('fade cancelled');
+    });
+
+    const simulateCard = this.homey.flow.getActionCard('simulate_earth_hour');
+    simulateCard.registerRunListener(async (args) => this.startSimulation(args.minutes));
+
+    const cancelSimulationCard = this.homey.flow.getActionCard('cancel_simulation');
+    cancelSimulationCard.registerRunListener(async () => this.endSimulation());
+
+    this.log('Action cards registered');
+  }
+
   /**
    * Registers flow condition card listeners. Conditions must receive the active timezone
-   * so they evaluate correctly; registration runs at init and on timezone change.
+   * so they evaluate correctly; registration runs at init and on timezone change. While a
+   * simulation runs they answer for the simulated Earth Hour instead (see earthHourState.getCurrentState).
    * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
    */
   _registerConditionCards(timezone) {
     const earthHourStartsInCondition = this.homey.flow.getConditionCard('earth_hour_starts_in');
     earthHourStartsInCondition.registerRunListener(async (args) => {
-      const minutesUntil = earthHourTime.getMinutesUntilEarthHourStart(timezone);
-      const targetMinutes = args.unit === 'hours' ? args.amount * 60 : args.amount;
+      const eventId = events.getArgumentEventId(args);
+      if (eventId !== events.EARTH_HOUR_ID) {
+        return this._runEventCondition('earth_hour_starts_in', eventId, (event, eventTimezone, now) => {
+          const minutesUntil = earthHourTime.getMinutesUntilEarthHourStart(eventTimezone, events.getOccurrence(event, eventTimezone, now));
+          return minutesUntil >= 0 && minutesUntil <= earthHourTime.toMinutes(args.amount, args.unit);
+        });
+      }
+      const minutesUntil = earthHourTime.getMinutesUntilEarthHourStart(timezone, earthHourState.getCurrentOccurrence(this, timezone));
+      const targetMinutes = earthHourTime.toMinutes(args.amount, args.unit);
       const result = minutesUntil >= 0 && minutesUntil <= targetMinutes;
       this.log(`[earth_hour_starts_in] minutesUntil: ${minutesUntil}, target: ${targetMinutes} ${args.unit}, result: ${result}`);
       return result;
@@ -70,22 +577,85 @@ module.exports = class EarthHourApp extends Homey.App {
 
     const earthHourEndsInCondition = this.homey.flow.getConditionCard('earth_hour_ends_in');
     earthHourEndsInCondition.registerRunListener(async (args) => {
-      const minutesUntil = earthHourTime.getMinutesUntilEarthHourEnd(timezone);
+      const eventId = events.getArgumentEventId(args);
+      if (eventId !== events.EARTH_HOUR_ID) {
+        return this._runEventCondition('earth_hour_ends_in', eventId, (event, eventTimezone, now) => {
+          const minutesUntil = earthHourTime.getMinutesUntilEarthHourEnd(eventTimezone, events.getOccurrence(event, eventTimezone, now));
+          return minutesUntil >= 0 && minutesUntil <= args.amount;
+        });
+      }
+      const minutesUntil = earthHourTime.getMinutesUntilEarthHourEnd(timezone, earthHourState.getCurrentOccurrence(this, timezone));
       const result = minutesUntil >= 0 && minutesUntil <= args.amount;
       this.log(`[earth_hour_ends_in] minutesUntil: ${minutesUntil}, target: ${args.amount} minutes, result: ${result}`);
       return result;
     });
 
+    const timeCompareCondition = this.homey.flow.getConditionCard('earth_hour_time_compare');
+    timeCompareCondition.registerRunListener(async (args) => {
+      const eventId = events.getArgumentEventId(args);
+      if (eventId !== events.EARTH_HOUR_ID) {
+        return this._runEventCondition('earth_hour_time_compare', eventId, (event, eventTimezone, now) => {
+          const moment = events.getReferenceMoment(event, args.reference, args.direction, eventTimezone, now);
+          return earthHourTime.compareTimeToMoment(moment, now, eventTimezone, args);
+        });
+      }
+      const now = clock.now();
+      const moment = simulation.getSimulatedMoment(this, args.reference, args.direction, now)
+        || earthHourTime.getReferenceMoment(args.reference, args.direction, timezone, now);
+      const result = earthHourTime.compareTimeToMoment(moment, now, timezone, args);
+      this.log(
+        `[earth_hour_time_compare] ${args.direction} ${args.reference} (${moment.toISOString()}) `
+        + `${args.comparator} ${args.amount} ${args.unit}, result: ${result}`,
+      );
+      return result;
+    });
+
     const isCurrentlyEarthHourCondition = this.homey.flow.getConditionCard('is_currently_earth_hour');
-    isCurrentlyEarthHourCondition.registerRunListener(async () => {
-      const result = earthHourChecks.isCurrentlyEarthHour(timezone);
+    isCurrentlyEarthHourCondition.registerRunListener(async (args) => {
+      const eventId = events.getArgumentEventId(args);
+      if (eventId !== events.EARTH_HOUR_ID) {
+        return this._runEventCondition('is_currently_earth_hour', eventId, (event, eventTimezone, now) => events.isEventActive(event, eventTimezone, now));
+      }
+      const result = earthHourChecks.isCurrentlyEarthHour(timezone, earthHourState.getCurrentState(this, timezone));
       this.log(`[is_currently_earth_hour] result: ${result}`);
       return result;
     });
 
+    const earthHourSomewhereCondition = this.homey.flow.getConditionCard('earth_hour_somewhere');
+    earthHourSomewhereCondition.registerRunListener(async () => {
+      const current = earthHourState.getCurrentState(this, timezone);
+      const result = (current.simulated && current.state === 'active') || wave.getObservingZones(clock.now()).length > 0;
+      this.log(`[earth_hour_somewhere] result: ${result}`);
+      return result;
+    });
+
+    const afterSunsetCondition = this.homey.flow.getConditionCard('earth_hour_after_sunset');
+    afterSunsetCondition.registerRunListener(async () => {
+      const darkness = sun.getEarthHourDarkness(this, earthHourState.getOccurrence(timezone).year, timezone);
+      if (!darkness) {
+        this.log('[earth_hour_after_sunset] Homey location unknown, result: false');
+        return false;
+      }
+      const sunset = darkness.sunset ? dateFormat.formatDateInTimezone(darkness.sunset, timezone) : 'none';
+      this.log(`[earth_hour_after_sunset] sunset: ${sunset}, result: ${darkness.afterSunset}`);
+      return darkness.afterSunset;
+    });
+
+    const stateIsCondition = this.homey.flow.getConditionCard('earth_hour_state_is');
+    stateIsCondition.registerRunListener(async (args) => {
+      const { state } = earthHourState.getCurrentState(this, timezone);
+      const result = state === args.state;
+      this.log(`[earth_hour_state_is] state: ${state}, target: ${args.state}, result: ${result}`);
+      return result;
+    });
+
     const isEarthHourDayCondition = this.homey.flow.getConditionCard('is_earth_hour_day');
-    isEarthHourDayCondition.registerRunListener(async () => {
-      const result = earthHourChecks.isEarthHourDay(timezone);
+    isEarthHourDayCondition.registerRunListener(async (args) => {
+      const eventId = events.getArgumentEventId(args);
+      if (eventId !== events.EARTH_HOUR_ID) {
+        return this._runEventCondition('is_earth_hour_day', eventId, (event, eventTimezone, now) => events.isEventDay(event, eventTimezone, now));
+      }
+      const result = earthHourChecks.isEarthHourDay(timezone, earthHourState.getCurrentState(this, timezone));
       this.log(`[is_earth_hour_day] result: ${result}`);
       return result;
     });
@@ -94,61 +664,331 @@ module.exports = class EarthHourApp extends Homey.App {
   }
 
   /**
-   * Sets up a single cron job for Earth Hour start/end triggers. Runs every minute to detect
-   * start/end within a 1-minute window. Existing job is stopped first so timezone changes
-   * don't leave a duplicate running.
+   * Job source for the scheduler: every event's pending start/end triggers and reminders, "starts in"
+   * offset triggers and their uptime checkpoint, the Earth Hour wave reaching watched time zones, the start in the dark, Earth Hour
+   * state changes, light fades, the lights-out check, energy measurements, the end of a simulation
+   * and flow token and device updates, each with the moment it is due. Reads the timezone on every
+   * call so a timezone change only needs a reschedule.
+   * @param {Date} now - Current moment
+   * @returns {{ id: string, at: Date, run: () => Promise<void> }[]}
+   */
+  _getScheduledJobs(now) {
+    const timezone = this.homey.clock.getTimezone();
+    const triggerJobs = triggerState.getPendingTriggers(this, now, timezone).map(({
+      eventId, kind, year, at,
+    }) => ({
+      id: `trigger.${eventId}.${kind}.${year}`,
+      at,
+      run: () => this._runTriggers(timezone, eventId),
+    }));
+    const reminderJobs = notifications.getPendingReminders(this, now, timezone).map(({ id, at }) => ({
+      id: `reminder.${id}`,
+      at,
+      run: () => this._runReminders(timezone),
+    }));
+    const offsetJobs = triggerState.getPendingOffsetTriggers(this, now, timezone, this._startsSoonOffsets)
+      .map((offset) => ({
+        id: `trigger.starts_soon.${offset.key}.${offset.year}`,
+        at: offset.at,
+        run: () => this._fireStartsSoonTrigger(offset),
+      }));
+    // While "starts in" flows exist, record that the app is up so a restart can tell which moments it missed.
+    const checkpointJobs = this._startsSoonOffsets.length > 0 ? [{
+      id: 'trigger.starts_soon.checkpoint',
+      at: this._offsetCheckpointAt,
+      run: async () => {
+        triggerState.markOffsetCheckpoint(this, clock.now());
+        this._offsetCheckpointAt = new Date(clock.nowMs() + triggerState.OFFSET_CHECKPOINT_INTERVAL_MS);
+      },
+    }] : [];
+    const waveJobs = wave.getPendingZoneStarts(this, now, this._waveTimezones).map((zoneStart) => ({
+      id: `trigger.wave.${zoneStart.timezone}.${zoneStart.year}`,
+      at: zoneStart.at,
+      run: () => this._fireWaveTrigger(zoneStart),
+    }));
+    const darkStartJobs = sun.getPendingDarkStarts(this, now, timezone).map((darkStart) => ({
+      id: `trigger.dark_start.${darkStart.year}`,
+      at: darkStart.at,
+      run: () => this._fireDarkStartTrigger(darkStart.year, timezone),
+    }));
+    const autoFadeJobs = fade.getPendingAutoFades(this, now, timezone).map((autoFade) => ({
+      id: `fade.auto.${autoFade.direction}.${autoFade.year}`,
+      at: autoFade.at,
+      run: async () => fade.runAutoFade(this, autoFade, clock.now(), timezone),
+    }));
+    const nextFadeStep = fade.getNextFadeStep(this);
+    const fadeJobs = nextFadeStep ? [{
+      id: 'fade.step',
+      at: nextFadeStep,
+      run: async () => fade.runFadeStep(this, await this._getDeviceAdapter(), clock.now()),
+    }] : [];
+    const complianceJobs = compliance.getPendingChecks(this, now, timezone).map(({ year, at }) => ({
+      id: `compliance.${year}`,
+      at,
+      run: () => this._runComplianceCheck(year),
+    }));
+    const energyJobs = energyReport.getPendingEnergyJobs(this, now, timezone).map((job) => (job.kind === 'sample' ? {
+      id: `energy.sample.${job.window.key}`,
+      at: job.at,
+      run: async () => energyReport.takeSample(this, await this._getDeviceAdapter(), job.window, clock.now()),
+    } : {
+      id: `energy.report.${job.year}`,
+      at: job.at,
+      run: () => this._runEnergyReport(job.year),
+    }));
+    const stateJobs = [{
+      id: 'state.change',
+      at: earthHourState.getNextStateCheck(this, now, timezone),
+      run: () => this._runStateChange(timezone),
+    }];
+    const running = simulation.getSimulation(this);
+    const simulationJobs = running ? [{
+      id: 'simulation.end',
+      at: new Date(running.endAt),
+      run: () => this.endSimulation(),
+    }] : [];
+    const liveJobs = [{
+      id: 'live.update',
+      at: this._liveUpdateAt,
+      run: async () => {
+        const delayMs = await this._updateLiveState(timezone);
+        this._liveUpdateAt = new Date(clock.nowMs() + delayMs);
+      },
+    }];
+    return [
+      ...triggerJobs, ...reminderJobs, ...offsetJobs, ...checkpointJobs, ...waveJobs, ...darkStartJobs, ...autoFadeJobs, ...fadeJobs,
+      ...complianceJobs, ...energyJobs, ...stateJobs, ...simulationJobs, ...liveJobs,
+    ];
+  }
+
+  /**
+   * Brings the flow tokens and the Earth Hour devices up to date.
    * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+   * @returns {Promise<number>} Milliseconds until the next update
    */
-  _setupCronJobs(timezone) {
-    if (this._earthHourCron) {
-      this.log('[Cron] Stopping existing Earth Hour cron job');
-      this._earthHourCron.stop();
+  async _updateLiveState(timezone) {
+    const values = flowTokens.getTokenValues(this, timezone);
+    await flowTokens.updateTokens(this, this._flowTokens, values);
+    try {
+      for (const device of this.homey.drivers.getDriver('earth-hour').getDevices()) {
+        await device.setState(values);
+      }
+    } catch (error) {
+      // The driver isn't ready yet while the app starts; its devices show the state on init.
+      this.error('[Device] Error updating Earth Hour devices:', error);
     }
-    this._lastTriggeredStartYear = null;
-    this._lastTriggeredEndYear = null;
-
-    this.log(`[Cron] Registering Earth Hour cron job (timezone: ${timezone})`);
-    this._earthHourCron = CronJob.from({
-      cronTime: '* * * * *',
-      onTick: async () => {
-        try {
-          const now = new Date();
-          const currentYear = now.getFullYear();
-          const earthHourStart = earthHourDate.getEarthHourDate(currentYear, timezone);
-          const earthHourEnd = earthHourDate.getEarthHourEnd(currentYear, timezone);
-
-          const diffStartMs = Math.abs(now.getTime() - earthHourStart.getTime());
-          const diffEndMs = Math.abs(now.getTime() - earthHourEnd.getTime());
-          const diffStartMin = diffStartMs / (1000 * 60);
-          const diffEndMin = diffEndMs / (1000 * 60);
-
-          this.log(
-            `[Cron] now: ${dateFormat.formatDateInTimezone(now, timezone)}, `
-            + `start: ${dateFormat.formatDateInTimezone(earthHourStart, timezone)} (Δ${diffStartMin.toFixed(2)}m), `
-            + `end: ${dateFormat.formatDateInTimezone(earthHourEnd, timezone)} (Δ${diffEndMin.toFixed(2)}m), `
-            + `lastTriggered: start=${this._lastTriggeredStartYear} end=${this._lastTriggeredEndYear}`,
-          );
-
-          if (diffStartMin <= 1 && this._lastTriggeredStartYear !== currentYear) {
-            this.log('[Cron] Earth Hour starts! Triggering flow...');
-            await this._earthHourStartsTrigger.trigger();
-            this._lastTriggeredStartYear = currentYear;
-          }
-          if (diffEndMin <= 1 && this._lastTriggeredEndYear !== currentYear) {
-            this.log('[Cron] Earth Hour ends! Triggering flow...');
-            await this._earthHourEndsTrigger.trigger();
-            this._lastTriggeredEndYear = currentYear;
-          }
-
-          await notifications.runScheduledNotifications(this, timezone);
-        } catch (error) {
-          this.error('Error in Earth Hour cron job:', error);
-        }
-      },
-      start: true,
-      timeZone: timezone,
+    return flowTokens.getUpdateDelay(values);
+  }
+
+  /**
+   * Works out the energy saved during an Earth Hour year, posts it to the timeline and fires the
+   * "energy report" trigger. Does nothing when there weren't enough measurements.
+   * @param {number} year - Earth Hour year
+   */
+  async _runEnergyReport(year) {
+    const result = energyReport.createReport(this, year);
+    if (!result) return;
+    await energyReport.sendReport(this, result);
+    await this._energyReportTrigger.trigger({
+      year,
+      saved_kwh: result.savedKwh,
+      co2_kg: result.co2Kg,
+      baseline_kwh: result.baselineKwh,
+      earth_hour_kwh: result.earthHourKwh,
+    });
+    history.record(this, 'trigger', 'energy_report', { year });
+  }
+
+  /**
+   * Runs the lights-out check for an Earth Hour year and fires the "devices still on" trigger when
+   * anything is left on.
+   * @param {number} year - Earth Hour year
+   */
+  async _runComplianceCheck(year) {
+    const devices = await compliance.runCheck(this, await this._getDeviceAdapter(), year);
+    if (devices.length === 0) return;
+    await this._devicesStillOnTrigger.trigger({
+      count: devices.length,
+      devices: devices.map(({ name }) => name).join(', '),
+    });
+    history.record(this, 'trigger', 'devices_still_on', { year, count: devices.length });
+  }
+
+  /**
+   * Sends the reminders that are due and fires the "reminder due" trigger for each, so flows can
+   * deliver them anywhere (push, speech, displays) besides or instead of the timeline.
+   * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+   */
+  async _runReminders(timezone) {
+    const due = await notifications.runScheduledNotifications(this, timezone);
+    for (const reminder of due) {
+      await this._reminderDueTrigger.trigger({
+        kind: reminder.id,
+        message: reminder.message,
+        date: reminder.date,
+        time: reminder.time,
+        event: reminder.eventName,
+      }, { eventId: reminder.event });
+      const details = { kind: reminder.id };
+      if (reminder.event !== events.EARTH_HOUR_ID) details.event = reminder.event;
+      history.record(this, 'trigger', 'reminder_due', details);
+    }
+  }
+
+  /**
+   * Fires the "Earth Hour starts in" flows for one argument set, once per event year.
+   * @param {{ key: string, eventId: string, amount: number, unit: string, year: number }} offset -
+   *   Pending offset from triggerState.getPendingOffsetTriggers
+   */
+  async _fireStartsSoonTrigger({
+    key, eventId, amount, unit, year,
+  }) {
+    if (triggerState.hasOffsetFired(this, key, year)) return;
+    this.log(`[earth_hour_starts_soon] ${eventId} ${year} starts in ${amount} ${unit}! Triggering flow...`);
+    triggerState.markOffsetFired(this, key, year);
+    await this._startsSoonTrigger.trigger({}, { eventId, amount, unit });
+    const details = { year, amount, unit };
+    if (eventId !== events.EARTH_HOUR_ID) details.event = eventId;
+    history.record(this, 'trigger', 'earth_hour_starts_soon', details);
+  }
+
+  /**
+   * Fires the "Earth Hour state changed" flows when the state differs from the last one recorded.
+   * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+   */
+  async _runStateChange(timezone) {
+    const changed = earthHourState.updateState(this, timezone);
+    if (!changed) return;
+    this.log(`[earth_hour_state_changed] Earth Hour ${changed.year} state: ${changed.state}`);
+    await this._stateChangedTrigger.trigger({
+      state: this.homey.__(`state.${changed.state}`),
+      year: changed.year,
+      simulated: changed.simulated,
+    }, { state: changed.state });
+    history.record(this, 'trigger', 'earth_hour_state_changed', { year: changed.year, state: changed.state, simulated: changed.simulated });
+  }
+
+  /**
+   * Fires the "Earth Hour starts in [city/time zone]" flows for one time zone, once per Earth Hour year.
+   * @param {{ timezone: string, year: number, at: Date }} zoneStart - Pending start from wave.getPendingZoneStarts
+   */
+  async _fireWaveTrigger({ timezone, year, at }) {
+    if (wave.hasZoneFired(this, timezone, year)) return;
+    const city = wave.getCity(timezone);
+    // The timer may fire a moment early; count the zones as they are once this one has started.
+    const countAt = new Date(Math.max(clock.nowMs(), at.getTime()));
+    this.log(`[earth_hour_starts_in_zone] Earth Hour ${year} starts in ${city} (${timezone})! Triggering flow...`);
+    wave.markZoneFired(this, timezone, year);
+    await this._waveTrigger.trigger({
+      city,
+      timezone,
+      start_time: dateFormat.formatTimeFriendly(at, this.homey.clock.getTimezone()),
+      zones_observing: wave.countObservingTimeZones(countAt),
+      year,
+    }, { timezone });
+    history.record(this, 'trigger', 'earth_hour_starts_in_zone', { year, timezone });
+  }
+
+  /**
+   * Fires the "Earth Hour starts in the dark" flows, once per Earth Hour year.
+   * @param {number} year - Earth Hour year
+   * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+   */
+  async _fireDarkStartTrigger(year, timezone) {
+    if (sun.hasDarkStartFired(this, year)) return;
+    const darkness = sun.getEarthHourDarkness(this, year, timezone);
+    if (!darkness || !darkness.darkAt) return;
+    const formatTime = (date) => (date ? dateFormat.formatTimeFriendly(date, timezone) : '');
+    this.log(`[earth_hour_dark_start] Earth Hour ${year} starts in the dark at ${formatTime(darkness.darkAt)}! Triggering flow...`);
+    sun.markDarkStartFired(this, year);
+    await this._darkStartTrigger.trigger({
+      time: formatTime(darkness.darkAt),
+      sunset: formatTime(darkness.sunset),
+      dusk: formatTime(darkness.civilDusk),
+      year,
     });
-    this.log('[Cron] Earth Hour cron job registered and started');
+    history.record(this, 'trigger', 'earth_hour_dark_start', { year });
+  }
+
+  /**
+   * Fires the start/end triggers of an event that are due now and haven't fired yet for the
+   * occurrence its catch-up is about (see events.getPlannedOccurrences; for Earth Hour the one the
+   * state is about). Overdue triggers are caught up: starting mid-event fires the start trigger late
+   * (is_late token), and starting after the end on the same night fires the end trigger so restore
+   * flows still run. The end of Earth Hour also resets "prepare home" and restores the snapshot.
+   * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+   * @param {string} [eventId] - Event id (see events.js), Earth Hour by default
+   */
+  async _runTriggers(timezone, eventId = events.EARTH_HOUR_ID) {
+    const event = events.getEvent(this, eventId);
+    if (!event) return;
+    const now = clock.now();
+    const [{ year, start, end }] = events.getPlannedOccurrences(event, timezone, now);
+    const isEarthHour = eventId === events.EARTH_HOUR_ID;
+
+    const cards = { start: this._earthHourStartsTrigger, end: this._earthHourEndsTrigger };
+    for (const { kind, isLate } of triggerState.getDueTriggers(now, start, end, timezone)) {
+      if (triggerState.hasFired(this, eventId, kind, year)) continue;
+
+      this.log(
+        `[Triggers] ${events.getEventName(this, event)} ${kind}${isLate ? ' (late)' : ''}! Triggering flow... `
+        + `now: ${dateFormat.formatDateInTimezone(now, timezone)}, `
+        + `start: ${dateFormat.formatDateInTimezone(start, timezone)}, `
+        + `end: ${dateFormat.formatDateInTimezone(end, timezone)}`,
+      );
+      // Mark first: a crash mid-trigger should not fire the same flows again on the next boot.
+      triggerState.markFired(this, eventId, kind, year);
+      // The live update job becomes due, so the scheduler flips the devices in this same pass.
+      if (isEarthHour) this._liveUpdateAt = clock.now();
+      await cards[kind].trigger(this._getTriggerTokens(year, start, end, timezone, isLate, false, event), { eventId });
+      const details = { year, is_late: isLate };
+      if (!isEarthHour) details.event = eventId;
+      history.record(this, 'trigger', `earth_hour_${kind === 'start' ? 'starts' : 'ends'}`, details);
+
+      if (isEarthHour && kind === 'end') {
+        this.homey.settings.unset(PREPARED_SETTINGS_KEY);
+        await this._autoRestoreSnapshot();
+      }
+    }
+  }
+
+  /**
+   * Restores the device snapshot after Earth Hour when auto-restore is switched on.
+   */
+  async _autoRestoreSnapshot() {
+    if (!this.homey.settings.get(snapshot.AUTO_RESTORE_SETTINGS_KEY)) return;
+    try {
+      this.log('[Snapshot] Auto-restoring snapshot after Earth Hour');
+      await snapshot.restoreSnapshot(this, await this._getDeviceAdapter());
+    } catch (error) {
+      this.error('[Snapshot] Error auto-restoring snapshot:', error);
+    }
+  }
+
+  /**
+   * Tokens shared by the "Earth Hour starts" and "Earth Hour ends" trigger cards, formatted for
+   * speech and push messages in the user's language.
+   * @param {number} year - Earth Hour (or event) year
+   * @param {Date} start - Earth Hour start
+   * @param {Date} end - Earth Hour end
+   * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+   * @param {boolean} isLate - Whether the trigger fires late (caught up after a restart)
+   * @param {boolean} [simulated] - Whether the trigger comes from a simulation
+   * @param {object} [event] - The event that starts or ends, see events.js
+   * @returns {object} Tokens: event, year, date, start_time, end_time, duration (minutes), is_late, simulated
+   */
+  _getTriggerTokens(year, start, end, timezone, isLate, simulated = false, event = events.EARTH_HOUR) {
+    const locale = this.homey.i18n.getLanguage();
+    return {
+      event: events.getEventName(this, event),
+      year,
+      date: dateFormat.formatDateFriendly(start, timezone, locale),
+      start_time: dateFormat.formatTimeFriendly(start, timezone),
+      end_time: dateFormat.formatTimeFriendly(end, timezone),
+      duration: Math.round((end.getTime() - start.getTime()) / (60 * 1000)),
+      is_late: isLate,
+      simulated,
+    };
   }
 
 };
@@ -0,0 +1,38 @@
+'use strict';
+
+const Homey = require('homey');
+
+/**
+ * Virtual "Earth Hour" device: an alarm while Earth Hour is on, a countdown in minutes (to the
+ * start, or to the end while it runs) and the next Earth Hour as text. The maintenance button
+ * test-fires the start and end flows.
+ */
+module.exports = class EarthHourDevice extends Homey.Device {
+
+  /**
+   * Shows the current state right away; after that the app's scheduler pushes updates.
+   */
+  async onInit() {
+    this.registerCapabilityListener('button.test_triggers', () => this.homey.app.testTriggers());
+    await this.setState(this.homey.app.getLiveValues());
+  }
+
+  /**
+   * Sets the capabilities from the app's live values.
+   * @param {{ is_earth_hour: boolean, minutes_until_start: number, minutes_remaining: number, next_start: string }} values
+   *   From flowTokens.getTokenValues
+   */
+  async setState(values) {
+    const capabilities = {
+      alarm_generic: values.is_earth_hour,
+      earth_hour_countdown: values.is_earth_hour ? values.minutes_remaining : values.minutes_until_start,
+      earth_hour_next: values.next_start,
+    };
+    for (const [capability, value] of Object.entries(capabilities)) {
+      if (this.getCapabilityValue(capability) === value) continue;
+      await this.setCapabilityValue(capability, value)
+        .catch((error) => this.error(`[Device] Error setting ${capability}:`, error));
+    }
+  }
+
+};
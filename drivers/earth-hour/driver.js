@@ -0,0 +1,22 @@
+'use strict';
+
+const Homey = require('homey');
+
+/** Data id of the single Earth Hour device; there is only one Earth Hour per home. */
+const DEVICE_ID = 'earth-hour';
+
+/**
+ * Driver for the virtual "Earth Hour" device, which shows the Earth Hour state on dashboards and
+ * in the device list. Pairing offers one device; the app keeps its capabilities up to date.
+ */
+module.exports = class EarthHourDriver extends Homey.Driver {
+
+  /**
+   * Lists the one device to add.
+   * @returns {Promise<{ name: string, data: { id: string } }[]>}
+   */
+  async onPairListDevices() {
+    return [{ name: this.homey.__('device.name'), data: { id: DEVICE_ID } }];
+  }
+
+};
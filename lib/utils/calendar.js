@@ -0,0 +1,234 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const earthHourDate = require('./earthHourDate');
+const dateFormat = require('./dateFormat');
+const reminders = require('./reminders');
+
+/**
+ * iCalendar (RFC 5545) export of upcoming Earth Hours, a file to import into family calendars: the
+ * app API only answers JSON to signed-in clients, so there is no feed a calendar app could subscribe
+ * to. Times come from earthHourDate, so overrides and the schedule feed apply, and events are
+ * written in the Homey timezone with a VTIMEZONE built from that zone's actual offset changes. UIDs
+ * depend only on the year, so a calendar that re-imports the file updates an event instead of
+ * duplicating it. Optional alarms mirror the switched-on reminders (see reminders.js).
+ */
+
+/** Domain part of event UIDs: the app id. */
+const UID_DOMAIN = 'org.earthhour';
+
+const PRODUCT_ID = '-//Earth Hour for Homey//EN';
+
+/** Longest line in octets before it is folded (RFC 5545 section 3.1). */
+const MAX_LINE_OCTETS = 75;
+
+/** Reminder units that map onto an iCalendar duration; months have no fixed length. */
+const DURATION_UNITS = {
+  minutes: 'M', hours: 'H', days: 'D', weeks: 'W',
+};
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11).
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most MAX_LINE_OCTETS octets per line, without splitting a character.
+ * @param {string} line
+ * @returns {string} Line with CRLF + space inserted where it was folded
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length.
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats an offset in minutes as +hhmm.
+ * @param {number} minutes - Offset from UTC
+ * @returns {string}
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Finds the moments the zone's UTC offset changes within a period, to the minute.
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {number} fromMs - Start of the period, on a whole minute
+ * @param {number} toMs - End of the period
+ * @returns {{ at: number, offsetFrom: number, offsetTo: number, isDst: boolean }[]}
+ */
+function findOffsetChanges(timezone, fromMs, toMs) {
+  const offsetAt = (ms) => DateTime.fromMillis(ms, { zone: timezone }).offset;
+  const minuteMs = 60 * 1000;
+  const dayMs = 24 * 60 * minuteMs;
+  const changes = [];
+  for (let dayStart = fromMs; dayStart < toMs; dayStart += dayMs) {
+    const offsetFrom = offsetAt(dayStart);
+    if (offsetAt(dayStart + dayMs) === offsetFrom) continue;
+    let low = dayStart;
+    let high = dayStart + dayMs;
+    // Offsets change on whole minutes, so the search steps in whole minutes from a minute boundary.
+    while (high - low > minuteMs) {
+      const middle = low + Math.floor((high - low) / 2 / minuteMs) * minuteMs;
+      if (offsetAt(middle) === offsetFrom) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    changes.push({
+      at: high,
+      offsetFrom,
+      offsetTo: offsetAt(high),
+      isDst: DateTime.fromMillis(high, { zone: timezone }).isInDST,
+    });
+  }
+  return changes;
+}
+
+/**
+ * Builds the VTIMEZONE component covering a period: the offset in force at its start, then one
+ * STANDARD or DAYLIGHT observance per offset change.
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {number} fromMs - Start of the period
+ * @param {number} toMs - End of the period
+ * @returns {string[]} Content lines
+ */
+function buildTimezone(timezone, fromMs, toMs) {
+  const start = DateTime.fromMillis(fromMs, { zone: timezone });
+  const observances = [
+    {
+      at: fromMs, offsetFrom: start.offset, offsetTo: start.offset, isDst: start.isInDST,
+    },
+    ...findOffsetChanges(timezone, fromMs, toMs),
+  ];
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  for (const observance of observances) {
+    const kind = observance.isDst ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the local time of the change as read in the offset before it.
+    const local = DateTime.fromMillis(observance.at + observance.offsetFrom * 60 * 1000, { zone: 'utc' });
+    const name = DateTime.fromMillis(observance.at, { zone: timezone }).offsetNameShort;
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${local.toFormat("yyyyMMdd'T'HHmmss")}`,
+      `TZOFFSETFROM:${formatOffset(observance.offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(observance.offsetTo)}`,
+      `TZNAME:${escapeText(name)}`,
+      `END:${kind}`,
+    );
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * The alarm trigger for a reminder: a duration before the start when the offset has one, otherwise
+ * the exact moment the app sends the reminder.
+ * @param {object} reminder - Reminder definition
+ * @param {number} year - Earth Hour year
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {string} TRIGGER content line
+ */
+function getAlarmTrigger(reminder, year, timezone) {
+  const unit = DURATION_UNITS[reminder.unit];
+  if (unit && !reminder.time) {
+    const prefix = unit === 'M' || unit === 'H' ? 'PT' : 'P';
+    return `TRIGGER:-${prefix}${reminder.amount}${unit}`;
+  }
+  const moment = DateTime.fromJSDate(reminders.getReminderMoment(reminder, year, timezone)).toUTC();
+  return `TRIGGER;VALUE=DATE-TIME:${moment.toFormat("yyyyMMdd'T'HHmmss'Z'")}`;
+}
+
+/**
+ * Builds an .ics calendar with the Earth Hours of the given years.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {number[]} years - Earth Hour years
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {object} [options] - { alarms: boolean } (default true)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(ctx, years, timezone, { alarms = true } = {}) {
+  const locale = ctx.homey.i18n.getLanguage();
+  // DTSTAMP is when the file was made, so it takes the real time even when the app clock is shifted.
+  const stamp = DateTime.fromJSDate(new Date()).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+  const localTime = (date) => DateTime.fromJSDate(date).setZone(timezone).toFormat("yyyyMMdd'T'HHmmss");
+  const alarmReminders = alarms ? reminders.getReminders(ctx).filter(({ enabled }) => enabled) : [];
+
+  const starts = years.map((year) => earthHourDate.getEarthHourDate(year, timezone).getTime());
+  const firstStart = DateTime.fromMillis(Math.min(...starts), { zone: timezone }).startOf('year');
+  const lastEnd = DateTime.fromMillis(Math.max(...starts), { zone: timezone }).endOf('year');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(ctx.homey.__('calendar.name'))}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    ...buildTimezone(timezone, firstStart.toMillis(), lastEnd.toMillis()),
+  ];
+
+  for (const year of years) {
+    const start = earthHourDate.getEarthHourDate(year, timezone);
+    const end = earthHourDate.getEarthHourEnd(year, timezone);
+    const tokens = {
+      date: dateFormat.formatDateFriendlyNoYear(start, timezone, locale),
+      time: dateFormat.formatTimeFriendly(start, timezone),
+      year,
+    };
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:earth-hour-${year}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${timezone}:${localTime(start)}`,
+      `DTEND;TZID=${timezone}:${localTime(end)}`,
+      `SUMMARY:${escapeText(ctx.homey.__('calendar.summary', { year }))}`,
+      `DESCRIPTION:${escapeText(ctx.homey.__('calendar.description'))}`,
+      'URL:https://www.earthhour.org',
+      'TRANSP:TRANSPARENT',
+    );
+    for (const reminder of alarmReminders) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(reminders.getReminderMessage(ctx, reminder, tokens))}`,
+        getAlarmTrigger(reminder, year, timezone),
+        'END:VALARM',
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  buildCalendar,
+};
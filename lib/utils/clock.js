@@ -0,0 +1,107 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+
+/**
+ * The app's notion of "now". Every helper asks this module instead of calling new Date() or
+ * DateTime.now(), so the whole app can run shifted in time to reproduce a specific night or to
+ * fast-forward through a year. The clock is set from the advanced setting below; with nothing set
+ * it is the real clock.
+ *
+ * Setting values: { offsetMinutes: number } shifts the real clock, { now: ISO string } freezes it.
+ */
+
+/** Settings key holding the clock override (advanced setting, for debugging). */
+const SETTINGS_KEY = 'debug.clock';
+
+/** Milliseconds added to the real clock. */
+let offsetMs = 0;
+
+/** Frozen moment in ms, or null when the clock runs. */
+let fixedMs = null;
+
+/**
+ * Sets the clock from a raw settings value. An invalid value resets it to the real clock.
+ * @param {object|null} raw - { offsetMinutes } or { now }, or null for the real clock
+ * @returns {boolean} False if the value was invalid and ignored
+ */
+function setClock(raw) {
+  offsetMs = 0;
+  fixedMs = null;
+  if (raw === null || raw === undefined) return true;
+  if (typeof raw !== 'object') return false;
+  if (raw.now !== undefined) {
+    const ms = typeof raw.now === 'string' ? Date.parse(raw.now) : NaN;
+    if (Number.isNaN(ms)) return false;
+    fixedMs = ms;
+    return true;
+  }
+  if (raw.offsetMinutes !== undefined) {
+    if (typeof raw.offsetMinutes !== 'number' || !Number.isFinite(raw.offsetMinutes)) return false;
+    offsetMs = Math.round(raw.offsetMinutes * 60 * 1000);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Whether the clock is frozen: time doesn't pass until the setting changes.
+ * @returns {boolean}
+ */
+function isFixed() {
+  return fixedMs !== null;
+}
+
+/**
+ * Whether the clock differs from the real one: shifted by an offset or frozen.
+ * @returns {boolean}
+ */
+function isShifted() {
+  return fixedMs !== null || offsetMs !== 0;
+}
+
+/**
+ * The current moment in milliseconds.
+ * @returns {number}
+ */
+function nowMs() {
+  return fixedMs !== null ? fixedMs : Date.now() + offsetMs;
+}
+
+/**
+ * The current moment.
+ * @returns {Date}
+ */
+function now() {
+  return new Date(nowMs());
+}
+
+/**
+ * The current moment in a timezone, for calendar arithmetic.
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {DateTime}
+ */
+function nowIn(timezone) {
+  return DateTime.fromMillis(nowMs(), { zone: timezone });
+}
+
+/**
+ * Describes the clock for the log.
+ * @returns {string}
+ */
+function describe() {
+  if (fixedMs !== null) return `fixed at ${new Date(fixedMs).toISOString()}`;
+  if (offsetMs !== 0) return `shifted by ${Math.round(offsetMs / (60 * 1000))} minutes`;
+  return 'real time';
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  setClock,
+  isFixed,
+  isShifted,
+  nowMs,
+  now,
+  nowIn,
+  describe,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const deviceAdapter = require('./deviceAdapter');
+const earthHourState = require('./earthHourState');
+const history = require('./history');
+
+/**
+ * Lights-out check a few minutes into Earth Hour: finds lights and sockets that are still on, posts
+ * them to the timeline and hands them to the "devices still on" trigger so a flow can switch them off.
+ * Devices on the exclusion list (fridges, medical equipment, network gear) are never reported.
+ */
+
+/** Settings key: set to false to turn the check off. */
+const ENABLED_SETTINGS_KEY = 'compliance.enabled';
+
+/** Settings key holding the zone ids to check (sub-zones included); empty or unset checks every zone. */
+const ZONES_SETTINGS_KEY = 'compliance.zones';
+
+/** Settings key holding the ids of devices that are never reported. */
+const EXCLUSIONS_SETTINGS_KEY = 'compliance.exclusions';
+
+/** Settings key holding the Earth Hour year the check last ran for. */
+const CHECKED_SETTINGS_KEY = 'compliance.checkedYear';
+
+/** Device classes the check looks at. */
+const CHECKED_CLASSES = ['light', 'socket'];
+
+/** How long after the start the check runs, giving flows time to switch things off. */
+const CHECK_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Lists the checks that still need running, for the scheduler: per planned Earth Hour (see
+ * earthHourState.getPlannedOccurrences), due
+ * CHECK_DELAY_MS after the start and still until the end, so a restart mid-Earth-Hour catches up.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ year: number, at: Date }[]}
+ */
+function getPendingChecks(ctx, now, timezone) {
+  if (ctx.homey.settings.get(ENABLED_SETTINGS_KEY) === false) return [];
+
+  const pending = [];
+  for (const { year, start, end } of earthHourState.getPlannedOccurrences(timezone, now)) {
+    if (ctx.homey.settings.get(CHECKED_SETTINGS_KEY) === year) continue;
+    if (now.getTime() >= end.getTime()) continue;
+    pending.push({ year, at: new Date(start.getTime() + CHECK_DELAY_MS) });
+  }
+  return pending;
+}
+
+/**
+ * Lists every light and socket the check can report, for the exclusion picker on the settings page.
+ * @param {object} adapter - Device adapter (see deviceAdapter.createDeviceAdapter)
+ * @returns {Promise<{ id: string, name: string, zone: string }[]>} Devices sorted by name
+ */
+async function getCheckedDevices(adapter) {
+  return (await adapter.getDevices())
+    .filter((device) => CHECKED_CLASSES.includes(device.class))
+    .map(({ id, name, zone }) => ({ id, name, zone }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Finds the lights and sockets that are on in the configured zones, minus the excluded devices.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} adapter - Device adapter (see deviceAdapter.createDeviceAdapter)
+ * @returns {Promise<{ id: string, name: string }[]>} Devices still on, sorted by name
+ */
+async function findDevicesStillOn(ctx, adapter) {
+  const zones = ctx.homey.settings.get(ZONES_SETTINGS_KEY) || [];
+  const exclusions = new Set(ctx.homey.settings.get(EXCLUSIONS_SETTINGS_KEY) || []);
+
+  let zoneIds = null;
+  if (zones.length > 0) {
+    zoneIds = new Set();
+    for (const zone of zones) {
+      for (const id of await adapter.getZoneIds(zone)) zoneIds.add(id);
+    }
+  }
+
+  return deviceAdapter.filterDevices(await adapter.getDevices(), zoneIds)
+    .filter((device) => CHECKED_CLASSES.includes(device.class)
+      && device.capabilities.onoff === true
+      && !exclusions.has(device.id))
+    .map(({ id, name }) => ({ id, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Runs the check for an Earth Hour year and records it, so it runs once per year. When anything is
+ * still on, a timeline notification lists it.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} adapter - Device adapter (see deviceAdapter.createDeviceAdapter)
+ * @param {number} year - Earth Hour year
+ * @returns {Promise<{ id: string, name: string }[]>} Devices still on
+ */
+async function runCheck(ctx, adapter, year) {
+  ctx.homey.settings.set(CHECKED_SETTINGS_KEY, year);
+  const devices = await findDevicesStillOn(ctx, adapter);
+  ctx.log(`[Compliance] ${devices.length} device(s) still on during Earth Hour ${year}`);
+  if (devices.length === 0) return devices;
+
+  try {
+    const excerpt = ctx.homey.__('notifications.devicesStillOn', {
+      count: devices.length,
+      devices: devices.map(({ name }) => name).join(', '),
+    });
+    await ctx.homey.notifications.createNotification({ excerpt });
+    history.record(ctx, 'notification', 'devicesStillOn', { year, count: devices.length });
+  } catch (error) {
+    ctx.error('[Compliance] Error sending notification:', error);
+  }
+  return devices;
+}
+
+module.exports = {
+  ENABLED_SETTINGS_KEY,
+  ZONES_SETTINGS_KEY,
+  EXCLUSIONS_SETTINGS_KEY,
+  CHECKED_SETTINGS_KEY,
+  getPendingChecks,
+  getCheckedDevices,
+  findDevicesStillOn,
+  runCheck,
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Thin adapter over the Homey Web API for the device features (snapshot/restore, fades, checks).
+ * Everything device-related goes through this object so it can be tested against an in-memory
+ * stand-in with the same shape as the Homey API ({ devices, zones } managers).
+ *
+ * Devices are returned as plain objects: { id, name, zone, class, cumulative, capabilities: { [id]: value } },
+ * where class is the virtual class when set (e.g. a socket that powers a lamp counts as a light) and
+ * cumulative marks whole-home meters (e.g. a P1 meter) whose readings already include other devices.
+ */
+
+/**
+ * Turns a Homey API device into the plain object the adapter returns.
+ * @param {object} device - Device from the Homey API
+ * @returns {{ id: string, name: string, zone: string, class: string, cumulative: boolean, capabilities: object }}
+ */
+function toPlainDevice(device) {
+  const capabilities = {};
+  for (const capabilityId of device.capabilities || []) {
+    const capability = (device.capabilitiesObj || {})[capabilityId];
+    if (capability) capabilities[capabilityId] = capability.value;
+  }
+  return {
+    id: device.id,
+    name: device.name,
+    zone: device.zone,
+    class: device.virtualClass || device.class,
+    cumulative: Boolean((device.energyObj || {}).cumulative),
+    capabilities,
+  };
+}
+
+/**
+ * Creates the adapter around a Homey API instance (HomeyAPI.createAppAPI or a test stand-in).
+ * @param {object} api - Homey API with devices.getDevices, devices.getDevice, devices.setCapabilityValue
+ *   and zones.getZones
+ * @returns {object} Adapter: { getDevices, getDevice, getZoneIds, getZones, setCapabilityValue }
+ */
+function createDeviceAdapter(api) {
+  return {
+    /**
+     * Returns all devices as plain objects with their current capability values.
+     * @returns {Promise<{ id: string, name: string, zone: string, class: string, cumulative: boolean, capabilities: object }[]>}
+     */
+    async getDevices() {
+      const devices = await api.devices.getDevices();
+      return Object.values(devices).map(toPlainDevice);
+    },
+
+    /**
+     * Returns one device as a plain object (see getDevices), or null when it no longer exists.
+     * @param {string} deviceId - Device id
+     * @returns {Promise<object|null>}
+     */
+    async getDevice(deviceId) {
+      try {
+        return toPlainDevice(await api.devices.getDevice({ id: deviceId }));
+      } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Returns the zone and all zones nested below it, or null for "all zones".
+     * @param {string|null} zoneId - Zone to expand; null or 'all' for every zone
+     * @returns {Promise<Set<string>|null>}
+     */
+    async getZoneIds(zoneId) {
+      if (!zoneId || zoneId === 'all') return null;
+      const zones = Object.values(await api.zones.getZones());
+      const ids = new Set([zoneId]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        for (const zone of zones) {
+          if (zone.parent && ids.has(zone.parent) && !ids.has(zone.id)) {
+            ids.add(zone.id);
+            grew = true;
+          }
+        }
+      }
+      return ids;
+    },
+
+    /**
+     * Returns all zones for autocomplete lists.
+     * @returns {Promise<{ id: string, name: string }[]>}
+     */
+    async getZones() {
+      return Object.values(await api.zones.getZones()).map(({ id, name }) => ({ id, name }));
+    },
+
+    /**
+     * Sets one capability value on a device.
+     * @param {string} deviceId - Device id
+     * @param {string} capabilityId - Capability id (e.g. 'onoff', 'dim')
+     * @param {*} value - New value
+     */
+    async setCapabilityValue(deviceId, capabilityId, value) {
+      await api.devices.setCapabilityValue({ deviceId, capabilityId, value });
+    },
+  };
+}
+
+/**
+ * Filters devices by zone (including nested zones) and class.
+ * @param {object[]} devices - Devices from adapter.getDevices
+ * @param {Set<string>|null} zoneIds - Zones from adapter.getZoneIds; null for all zones
+ * @param {string} [deviceClass] - Device class, or 'all' / empty for every class
+ * @returns {object[]} Matching devices
+ */
+function filterDevices(devices, zoneIds, deviceClass) {
+  return devices.filter((device) => (!zoneIds || zoneIds.has(device.zone))
+    && (!deviceClass || deviceClass === 'all' || device.class === deviceClass));
+}
+
+module.exports = {
+  createDeviceAdapter,
+  filterDevices,
+};
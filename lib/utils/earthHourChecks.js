@@ -1,37 +1,35 @@
 'use strict';
 
 const { DateTime } = require('luxon');
-const earthHourDate = require('./earthHourDate');
+const earthHourState = require('./earthHourState');
+const clock = require('./clock');
 
 /**
  * Boolean checks for Earth Hour state. Used by flow conditions "Is currently Earth Hour"
- * and "Is Earth Hour day."
+ * and "Is Earth Hour day." Both read the state model in earthHourState; the conditions pass
+ * the state from earthHourState.getCurrentState so a simulation counts.
  */
 
 /**
- * True if the current moment falls within 20:30–21:30 on Earth Hour day (last Saturday of March).
- * Uses this year's Earth Hour window so it remains correct during the event.
+ * True if the current moment falls within Earth Hour (normally 20:30–21:30).
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {{ state: string }} [state] - Current state (default: earthHourState.getState)
  * @returns {boolean} True when now is within the Earth Hour window
  */
-function isCurrentlyEarthHour(timezone) {
-  const now = DateTime.now().setZone(timezone);
-  const start = DateTime.fromJSDate(earthHourDate.getThisYearsEarthHourStart(timezone)).setZone(timezone);
-  const end = DateTime.fromJSDate(earthHourDate.getThisYearsEarthHourEnd(timezone)).setZone(timezone);
-
-  return now >= start && now < end;
+function isCurrentlyEarthHour(timezone, state = earthHourState.getState(timezone)) {
+  return state.state === 'active';
 }
 
 /**
- * True if today's calendar date matches Earth Hour day (last Saturday of March), regardless of time.
- * Uses this year's Earth Hour date so it remains correct all day.
+ * True if today's calendar date is the day of the Earth Hour the state is about, regardless of
+ * time, so it stays true all day including after Earth Hour has ended.
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {boolean} True when today is the last Saturday of March this year
+ * @param {{ start: Date }} [state] - Current state (default: earthHourState.getState)
+ * @returns {boolean} True when today is Earth Hour day
  */
-function isEarthHourDay(timezone) {
-  const now = DateTime.now().setZone(timezone);
-  const earthHourStart = DateTime.fromJSDate(earthHourDate.getThisYearsEarthHourStart(timezone)).setZone(timezone);
-  return earthHourStart.hasSame(now, 'day');
+function isEarthHourDay(timezone, state = earthHourState.getState(timezone)) {
+  const earthHourStart = DateTime.fromJSDate(state.start).setZone(timezone);
+  return earthHourStart.hasSame(clock.nowIn(timezone), 'day');
 }
 
 module.exports = {
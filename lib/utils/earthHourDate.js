@@ -1,19 +1,23 @@
 'use strict';
 
 const { DateTime } = require('luxon');
+const earthHourSchedule = require('./earthHourSchedule');
+const clock = require('./clock');
 
 /**
- * Earth Hour date helpers. Earth Hour is 20:30–21:30 local time on the last Saturday of March.
+ * Earth Hour date helpers. Dates come from the schedule table in earthHourSchedule (official dates
+ * and user overrides); unknown years fall back to 20:30–21:30 local time on the last Saturday of March.
  * All functions accept a timezone string (e.g. 'Europe/Amsterdam') and return JS Date objects.
  */
 
 /**
- * Returns 20:30 local time on the last Saturday of March for the given year.
+ * Returns 20:30 local time on the last Saturday of March for the given year. This is the fallback
+ * rule for years that have no entry in the schedule table.
  * @param {number} year - The year to calculate for
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
  * @returns {Date} 8:30 PM local time on the last Saturday of March
  */
-function getEarthHourDate(year, timezone) {
+function getRuleEarthHourDate(year, timezone) {
   // Start from March 31 and work backwards; the last Saturday is never later than the 31st.
   const date = DateTime.fromObject({ year, month: 3, day: 31 }, { zone: timezone });
 
@@ -31,34 +35,62 @@ function getEarthHourDate(year, timezone) {
 }
 
 /**
- * Adds one hour to the Earth Hour start date. Used to calculate the end time
- * while preserving timezone handling.
- * @param {Date} startDate - Earth Hour start
+ * Returns the Earth Hour start for the given year: the scheduled date and time when the year is in
+ * the schedule table, otherwise 20:30 on the last Saturday of March.
+ * @param {number} year - The year to calculate for
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} startDate + 1 hour
+ * @returns {Date} Earth Hour start in local time
  */
-function addHourToStart(startDate, timezone) {
-  return DateTime.fromJSDate(startDate).setZone(timezone).plus({ hours: 1 }).toJSDate();
+function getEarthHourDate(year, timezone) {
+  const entry = earthHourSchedule.getScheduleEntry(year);
+  if (!entry) {
+    return getRuleEarthHourDate(year, timezone);
+  }
+  return DateTime.fromISO(`${entry.date}T${entry.time}`, { zone: timezone }).toJSDate();
 }
 
 /**
- * Returns 21:30 local time on the last Saturday of March for the given year (start + 1 hour).
+ * Returns the Earth Hour duration in minutes for the given year (60 unless the schedule says otherwise).
+ * @param {number} year - The year to look up
+ * @returns {number} Duration in minutes
+ */
+function getEarthHourDuration(year) {
+  const entry = earthHourSchedule.getScheduleEntry(year);
+  return entry ? entry.duration : earthHourSchedule.DEFAULT_DURATION;
+}
+
+/**
+ * Returns the Earth Hour end for the given year (start + scheduled duration, normally 21:30).
  * @param {number} year - The year to calculate for
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 9:30 PM on the last Saturday of March
+ * @returns {Date} Earth Hour end in local time
  */
 function getEarthHourEnd(year, timezone) {
-  return addHourToStart(getEarthHourDate(year, timezone), timezone);
+  return DateTime.fromJSDate(getEarthHourDate(year, timezone))
+    .setZone(timezone)
+    .plus({ minutes: getEarthHourDuration(year) })
+    .toJSDate();
+}
+
+/**
+ * Returns the end that belongs to a given start, looking the year up in the start's own timezone.
+ * @param {Date} startDate - Earth Hour start
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Date} End of the Earth Hour that begins at startDate
+ */
+function getEndForStart(startDate, timezone) {
+  const { year } = DateTime.fromJSDate(startDate).setZone(timezone);
+  return getEarthHourEnd(year, timezone);
 }
 
 /**
  * Returns the next upcoming Earth Hour start (current year if still ahead, otherwise next year).
  * Used by conditions and "minutes until" logic to evaluate against the relevant occurrence.
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 8:30 PM on the last Saturday of March (current or next year)
+ * @returns {Date} Earth Hour start (current or next year)
  */
 function getUpcomingEarthHourStart(timezone) {
-  const now = DateTime.now().setZone(timezone);
+  const now = clock.nowIn(timezone);
   const currentYear = now.year;
 
   const thisYearEarthHour = DateTime.fromJSDate(getEarthHourDate(currentYear, timezone)).setZone(timezone);
@@ -71,40 +103,40 @@ function getUpcomingEarthHourStart(timezone) {
 }
 
 /**
- * Returns the next upcoming Earth Hour end (start + 1 hour). Mirrors getUpcomingEarthHourStart.
+ * Returns the next upcoming Earth Hour end (start + duration). Mirrors getUpcomingEarthHourStart.
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 9:30 PM on the last Saturday of March (current or next year)
+ * @returns {Date} Earth Hour end (current or next year)
  */
 function getUpcomingEarthHourEnd(timezone) {
-  return addHourToStart(getUpcomingEarthHourStart(timezone), timezone);
+  return getEndForStart(getUpcomingEarthHourStart(timezone), timezone);
 }
 
 /**
- * Returns this year's Earth Hour start (20:30 on the last Saturday of March).
+ * Returns this year's Earth Hour start.
  * Use for "is currently Earth Hour?" and "is Earth Hour day?" checks; use getUpcomingEarthHourStart
  * for "minutes until" logic.
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 8:30 PM on the last Saturday of March this year
+ * @returns {Date} Earth Hour start this year
  */
 function getThisYearsEarthHourStart(timezone) {
-  const { year } = DateTime.now().setZone(timezone);
+  const { year } = clock.nowIn(timezone);
   return getEarthHourDate(year, timezone);
 }
 
 /**
- * Returns this year's Earth Hour end (start + 1 hour). Mirrors getThisYearsEarthHourStart.
+ * Returns this year's Earth Hour end (start + duration). Mirrors getThisYearsEarthHourStart.
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 9:30 PM on the last Saturday of March this year
+ * @returns {Date} Earth Hour end this year
  */
 function getThisYearsEarthHourEnd(timezone) {
-  return addHourToStart(getThisYearsEarthHourStart(timezone), timezone);
+  return getEndForStart(getThisYearsEarthHourStart(timezone), timezone);
 }
 
 /**
- * Returns 20:30 local time one month before Earth Hour.
+ * Returns the start time one month before Earth Hour (normally 20:30).
  * @param {number} year - The year of the Earth Hour (same as getEarthHourDate)
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 8:30 PM one month before Earth Hour
+ * @returns {Date} Start time one month before Earth Hour
  */
 function getOneMonthBeforeEarthHour(year, timezone) {
   const eh = DateTime.fromJSDate(getEarthHourDate(year, timezone)).setZone(timezone);
@@ -112,10 +144,10 @@ function getOneMonthBeforeEarthHour(year, timezone) {
 }
 
 /**
- * Returns 20:30 local time on the Saturday one week before Earth Hour.
+ * Returns the start time on the day one week before Earth Hour (normally Saturday 20:30).
  * @param {number} year - The year of the Earth Hour (same as getEarthHourDate)
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 8:30 PM on the Saturday one week before Earth Hour
+ * @returns {Date} Start time one week before Earth Hour
  */
 function getOneWeekBeforeEarthHour(year, timezone) {
   const eh = DateTime.fromJSDate(getEarthHourDate(year, timezone)).setZone(timezone);
@@ -123,10 +155,10 @@ function getOneWeekBeforeEarthHour(year, timezone) {
 }
 
 /**
- * Returns 20:30 local time on the Friday one day before Earth Hour.
+ * Returns the start time on the day before Earth Hour (normally Friday 20:30).
  * @param {number} year - The year of the Earth Hour (same as getEarthHourDate)
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 8:30 PM on the Friday before Earth Hour
+ * @returns {Date} Start time on the day before Earth Hour
  */
 function getOneDayBeforeEarthHour(year, timezone) {
   const eh = DateTime.fromJSDate(getEarthHourDate(year, timezone)).setZone(timezone);
@@ -134,20 +166,20 @@ function getOneDayBeforeEarthHour(year, timezone) {
 }
 
 /**
- * Returns 20:00 local time on Earth Hour day (30 minutes before 20:30 start).
+ * Returns 30 minutes before the Earth Hour start (normally 20:00 on Earth Hour day).
  * @param {number} year - The year of the Earth Hour (same as getEarthHourDate)
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {Date} 8:00 PM on the last Saturday of March
+ * @returns {Date} 30 minutes before Earth Hour starts
  */
 function getThirtyMinutesBeforeEarthHour(year, timezone) {
   const eh = DateTime.fromJSDate(getEarthHourDate(year, timezone)).setZone(timezone);
-  return eh.set({
-    hour: 20, minute: 0, second: 0, millisecond: 0,
-  }).toJSDate();
+  return eh.minus({ minutes: 30 }).toJSDate();
 }
 
 module.exports = {
+  getRuleEarthHourDate,
   getEarthHourDate,
+  getEarthHourDuration,
   getEarthHourEnd,
   getUpcomingEarthHourStart,
   getUpcomingEarthHourEnd,
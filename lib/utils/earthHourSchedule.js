@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Earth Hour schedule table keyed by year. WWF usually picks the last Saturday of March, but not
+ * always (e.g. 23 March 2024), so known official dates are bundled here, newer ones arrive through
+ * the remote schedule feed (see scheduleFeed) and users can override any year from app settings.
+ * Lookup order is override > feed > bundled; years without an entry fall back to the rule in earthHourDate.
+ *
+ * Entries are local wall-clock values so they apply in whatever timezone the Homey is in:
+ * { date: 'YYYY-MM-DD', time: 'HH:mm', duration: minutes, theme?: string }.
+ */
+
+const DEFAULT_TIME = '20:30';
+const DEFAULT_DURATION = 60;
+
+/** Settings key holding user overrides, e.g. { "2027": { "date": "2027-03-20", "time": "20:30" } }. */
+const OVERRIDES_SETTINGS_KEY = 'schedule.overrides';
+
+/**
+ * Official Earth Hour dates as announced by WWF. All of them started at 20:30 and lasted one hour.
+ */
+const OFFICIAL_DATES = {
+  2008: '2008-03-29',
+  2009: '2009-03-28',
+  2010: '2010-03-27',
+  2011: '2011-03-26',
+  2012: '2012-03-31',
+  2013: '2013-03-23',
+  2014: '2014-03-29',
+  2015: '2015-03-28',
+  2016: '2016-03-19',
+  2017: '2017-03-25',
+  2018: '2018-03-24',
+  2019: '2019-03-30',
+  2020: '2020-03-28',
+  2021: '2021-03-27',
+  2022: '2022-03-26',
+  2023: '2023-03-25',
+  2024: '2024-03-23',
+  2025: '2025-03-22',
+  2026: '2026-03-28',
+};
+
+/** Validated user overrides, keyed by year. Replaced wholesale by setOverrides. */
+let overrides = {};
+
+/** Validated entries from the remote schedule feed, keyed by year. Replaced wholesale by setFeedEntries. */
+let feedEntries = {};
+
+/**
+ * Validates a raw schedule entry and fills in defaults. The date must be a real calendar date in
+ * the given year so a typo cannot silently move Earth Hour to another year.
+ * @param {number} year - The year the entry is keyed under
+ * @param {object} entry - Raw entry: { date, time?, duration?, theme? }
+ * @returns {{ date: string, time: string, duration: number, theme?: string }|null}
+ *   Normalized entry, or null if invalid
+ */
+function normalizeEntry(year, entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(entry.date || '');
+  if (!dateMatch || Number(dateMatch[1]) !== year) return null;
+  const month = Number(dateMatch[2]);
+  const day = Number(dateMatch[3]);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth) return null;
+
+  const time = entry.time ?? DEFAULT_TIME;
+  const timeMatch = /^(\d{2}):(\d{2})$/.exec(time);
+  if (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) return null;
+
+  const duration = entry.duration ?? DEFAULT_DURATION;
+  if (!Number.isInteger(duration) || duration <= 0 || duration > 24 * 60) return null;
+
+  if (entry.theme !== undefined && typeof entry.theme !== 'string') return null;
+
+  const normalized = { date: entry.date, time, duration };
+  if (entry.theme) normalized.theme = entry.theme;
+  return normalized;
+}
+
+/**
+ * Replaces the user overrides. Invalid entries are dropped rather than rejecting the whole table,
+ * so one bad year doesn't discard the rest.
+ * @param {object|null|undefined} raw - Overrides keyed by year (as stored in settings)
+ * @returns {string[]} Years whose entries were rejected, for logging
+ */
+function setOverrides(raw) {
+  const next = {};
+  const rejected = [];
+  for (const [key, entry] of Object.entries(raw || {})) {
+    const year = Number(key);
+    const normalized = Number.isInteger(year) ? normalizeEntry(year, entry) : null;
+    if (normalized) {
+      next[year] = normalized;
+    } else {
+      rejected.push(key);
+    }
+  }
+  overrides = next;
+  return rejected;
+}
+
+/**
+ * Replaces the entries received from the remote schedule feed. Callers validate the payload first
+ * (scheduleFeed.parseFeed), so entries are taken as-is.
+ * @param {object|null|undefined} entries - Normalized entries keyed by year
+ */
+function setFeedEntries(entries) {
+  feedEntries = entries || {};
+}
+
+/**
+ * Returns the schedule entry for a year: a user override wins over the remote feed, which wins over
+ * the bundled official date.
+ * @param {number} year - The year to look up
+ * @returns {{ year: number, date: string, time: string, duration: number, theme?: string, source: string }|null}
+ *   Entry with its source ('override', 'feed' or 'official'), or null when the year is unknown
+ */
+function getScheduleEntry(year) {
+  const layered = [[overrides, 'override'], [feedEntries, 'feed']];
+  for (const [table, source] of layered) {
+    if (table[year]) {
+      const entry = {
+        year, date: table[year].date, time: table[year].time, duration: table[year].duration, source,
+      };
+      if (table[year].theme) entry.theme = table[year].theme;
+      return entry;
+    }
+  }
+  if (OFFICIAL_DATES[year]) {
+    return {
+      year, date: OFFICIAL_DATES[year], time: DEFAULT_TIME, duration: DEFAULT_DURATION, source: 'official',
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TIME,
+  DEFAULT_DURATION,
+  OVERRIDES_SETTINGS_KEY,
+  normalizeEntry,
+  setOverrides,
+  setFeedEntries,
+  getScheduleEntry,
+};
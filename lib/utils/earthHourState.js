@@ -0,0 +1,197 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const earthHourDate = require('./earthHourDate');
+const events = require('./events');
+const simulation = require('./simulation');
+const clock = require('./clock');
+
+/**
+ * Where we are relative to Earth Hour, in one model that conditions, tokens, reminders and the
+ * triggers all read. Years are always the year in the Homey timezone, never the server's.
+ *
+ * The occurrence is the Earth Hour everything counts towards: this year's until it has ended, then
+ * next year's. The state walks through it in order:
+ * far_off → reminder_window (from a month before) → day_of (from midnight) → imminent (the last
+ * IMMINENT_MINUTES) → active → just_ended (until the end of that night, like the end trigger's catch-up).
+ *
+ * What the user sees (conditions, flow tokens, the device and the "state changed" trigger) reads
+ * getCurrentOccurrence and getCurrentState, where a running simulation (see simulation.js) is the
+ * occurrence and is active until its end. Schedules, such as triggers and reminders, stay on the real one.
+ */
+
+/** States in the order they occur. */
+const STATES = ['far_off', 'reminder_window', 'day_of', 'imminent', 'active', 'just_ended'];
+
+/** Settings key holding the last state the "state changed" trigger fired for: { state, year }. */
+const SETTINGS_KEY = 'state.current';
+
+/** How long before the start the reminder window opens, matching the earliest built-in reminder. */
+const REMINDER_WINDOW_MONTHS = 1;
+
+/** How long before the start Earth Hour counts as imminent. */
+const IMMINENT_MINUTES = 60;
+
+/**
+ * The Earth Hour to count towards: this year's until it has ended, then next year's.
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} [now] - Current moment (default: the app clock)
+ * @returns {{ year: number, start: Date, end: Date }}
+ */
+function getOccurrence(timezone, now = clock.now()) {
+  return events.getOccurrence(events.EARTH_HOUR, timezone, now);
+}
+
+/**
+ * The current state, the Earth Hour it is about (the one that just ended while just_ended) and
+ * when it changes next.
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} [now] - Current moment (default: the app clock)
+ * @returns {{ state: string, year: number, start: Date, end: Date, changesAt: Date }}
+ */
+function getState(timezone, now = clock.now()) {
+  const nowMs = now.getTime();
+  const { year: currentYear } = DateTime.fromJSDate(now).setZone(timezone);
+  const lastEnd = earthHourDate.getEarthHourEnd(currentYear, timezone);
+  const endOfNight = DateTime.fromJSDate(lastEnd).setZone(timezone).endOf('day').plus({ milliseconds: 1 });
+  if (nowMs >= lastEnd.getTime() && nowMs < endOfNight.toMillis()) {
+    return {
+      state: 'just_ended',
+      year: currentYear,
+      start: earthHourDate.getEarthHourDate(currentYear, timezone),
+      end: lastEnd,
+      changesAt: endOfNight.toJSDate(),
+    };
+  }
+
+  const { year, start, end } = getOccurrence(timezone, now);
+  const localStart = DateTime.fromJSDate(start).setZone(timezone);
+  // Each state begins at its boundary; a boundary before the previous one (a start just after
+  // midnight makes imminent begin the day before) simply skips the state in between.
+  const boundaries = [
+    { state: 'reminder_window', at: localStart.minus({ months: REMINDER_WINDOW_MONTHS }).toMillis() },
+    { state: 'day_of', at: localStart.startOf('day').toMillis() },
+    { state: 'imminent', at: localStart.minus({ minutes: IMMINENT_MINUTES }).toMillis() },
+    { state: 'active', at: start.getTime() },
+    { state: 'just_ended', at: end.getTime() },
+  ];
+  let state = 'far_off';
+  let changesAt = null;
+  for (const boundary of boundaries) {
+    if (nowMs >= boundary.at) {
+      state = boundary.state;
+    } else if (changesAt === null || boundary.at < changesAt) {
+      changesAt = boundary.at;
+    }
+  }
+  return {
+    state, year, start, end, changesAt: new Date(changesAt),
+  };
+}
+
+/**
+ * The Earth Hours the scheduler plans jobs for, as for every event (see events.getPlannedOccurrences):
+ * the one the state is about (the one that just ended while just_ended, so catch-ups until the end
+ * of that night still run) and the one after it, so jobs well before the next start, such as
+ * reminders, are planned in time.
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} [now] - Current moment (default: the app clock)
+ * @returns {{ year: number, start: Date, end: Date }[]}
+ */
+function getPlannedOccurrences(timezone, now = clock.now()) {
+  return events.getPlannedOccurrences(events.EARTH_HOUR, timezone, now);
+}
+
+/**
+ * The simulation that is running now, as an occurrence. One whose end is overdue is over already.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} now - Current moment
+ * @returns {{ year: number, start: Date, end: Date }|null}
+ */
+function getRunningSimulation(ctx, timezone, now) {
+  const running = simulation.getSimulation(ctx);
+  if (!running || now.getTime() >= running.endAt) return null;
+  return {
+    year: DateTime.fromMillis(running.startAt, { zone: timezone }).year,
+    start: new Date(running.startAt),
+    end: new Date(running.endAt),
+  };
+}
+
+/**
+ * The occurrence what the user sees counts towards: the running simulation, or getOccurrence.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} [now] - Current moment (default: the app clock)
+ * @returns {{ year: number, start: Date, end: Date, simulated: boolean }}
+ */
+function getCurrentOccurrence(ctx, timezone, now = clock.now()) {
+  const running = getRunningSimulation(ctx, timezone, now);
+  const { year, start, end } = running || getOccurrence(timezone, now);
+  return {
+    year, start, end, simulated: running !== null,
+  };
+}
+
+/**
+ * The state what the user sees is in: active until its end while a simulation runs, otherwise getState.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} [now] - Current moment (default: the app clock)
+ * @returns {{ state: string, year: number, start: Date, end: Date, changesAt: Date, simulated: boolean }}
+ */
+function getCurrentState(ctx, timezone, now = clock.now()) {
+  const running = getRunningSimulation(ctx, timezone, now);
+  if (!running) {
+    const real = getState(timezone, now);
+    real.simulated = false;
+    return real;
+  }
+  return {
+    state: 'active', year: running.year, start: running.start, end: running.end, changesAt: running.end, simulated: true,
+  };
+}
+
+/**
+ * The moment the "state changed" trigger needs to run: now when the state differs from the last
+ * one recorded (including after a restart), otherwise when the state changes next.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Date}
+ */
+function getNextStateCheck(ctx, now, timezone) {
+  const { state, year, changesAt } = getCurrentState(ctx, timezone, now);
+  const recorded = ctx.homey.settings.get(SETTINGS_KEY);
+  if (!recorded || recorded.state !== state || recorded.year !== year) return now;
+  return changesAt;
+}
+
+/**
+ * Records the current state and tells whether it changed since the last one recorded. The first
+ * state after installing is recorded without counting as a change.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ state: string, year: number, start: Date, end: Date, changesAt: Date, simulated: boolean }|null}
+ *   The new state, or null when it didn't change
+ */
+function updateState(ctx, timezone) {
+  const current = getCurrentState(ctx, timezone);
+  const recorded = ctx.homey.settings.get(SETTINGS_KEY);
+  if (recorded && recorded.state === current.state && recorded.year === current.year) return null;
+  ctx.homey.settings.set(SETTINGS_KEY, { state: current.state, year: current.year });
+  return recorded ? current : null;
+}
+
+module.exports = {
+  STATES,
+  SETTINGS_KEY,
+  getOccurrence,
+  getState,
+  getPlannedOccurrences,
+  getCurrentOccurrence,
+  getCurrentState,
+  getNextStateCheck,
+  updateState,
+};
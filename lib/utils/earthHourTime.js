@@ -1,13 +1,55 @@
 'use strict';
 
 const { DateTime } = require('luxon');
-const earthHourDate = require('./earthHourDate');
+const earthHourState = require('./earthHourState');
+const events = require('./events');
+const clock = require('./clock');
 
 /**
- * Helpers for "minutes until" Earth Hour start/end. Used by flow conditions
- * (e.g. "Earth Hour starts in X minutes") to compare against user-specified windows.
+ * Helpers for "minutes until" Earth Hour start/end and "time until / since" Earth Hour. Used by flow
+ * conditions (e.g. "Earth Hour starts in X minutes") to compare against user-specified windows.
  */
 
+/** Minutes per unit offered by the flow card "unit" dropdowns. */
+const UNIT_MINUTES = {
+  minutes: 1,
+  hours: 60,
+  days: 24 * 60,
+  weeks: 7 * 24 * 60,
+};
+
+/** Units the "exactly" comparison counts in calendar days instead of elapsed time. */
+const CALENDAR_DAYS = {
+  days: 1,
+  weeks: 7,
+};
+
+/**
+ * Converts a flow card amount + unit to minutes.
+ * @param {number} amount - Amount from the card
+ * @param {'minutes'|'hours'|'days'|'weeks'} unit - Unit from the card
+ * @returns {number} Minutes
+ */
+function toMinutes(amount, unit) {
+  return amount * (UNIT_MINUTES[unit] || 1);
+}
+
+/**
+ * Returns the moment a given offset before a start, such as Earth Hour's or another event's. Days
+ * are calendar days in the timezone, so "1 day before" stays at the same wall-clock time across a
+ * DST change.
+ * @param {Date} startDate - Start the offset counts back from
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {number} amount - Amount from the card
+ * @param {'minutes'|'hours'|'days'} unit - Unit from the card
+ * @returns {Date} The start minus the offset
+ */
+function getMomentBeforeStart(startDate, timezone, amount, unit) {
+  const start = DateTime.fromJSDate(startDate).setZone(timezone);
+  const luxonUnit = UNIT_MINUTES[unit] ? unit : 'minutes';
+  return start.minus({ [luxonUnit]: amount }).toJSDate();
+}
+
 /**
  * Calculates rounded minutes between now and a target date. Helper function
  * used by getMinutesUntilEarthHourStart and getMinutesUntilEarthHourEnd.
@@ -22,38 +64,80 @@ function minutesUntil(targetDate, timezone, now) {
 }
 
 /**
- * Minutes until the next Earth Hour start. Positive = future, negative = already started or passed.
- * Uses this year's start when we're before this year's end (so during 20:30–21:30 we correctly
- * return negative); otherwise uses the upcoming (next year's) start.
+ * Minutes until the Earth Hour start. Positive = future, negative = already started.
+ * Counts towards the occurrence in earthHourState: this year's until it has ended (so during
+ * 20:30–21:30 we correctly return negative), then next year's.
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {number} Minutes until 20:30 on the last Saturday of March (current or next year)
- */
-function getMinutesUntilEarthHourStart(timezone) {
-  const now = DateTime.now().setZone(timezone);
-  const thisYearEnd = DateTime.fromJSDate(earthHourDate.getThisYearsEarthHourEnd(timezone)).setZone(timezone);
-  const startDate = now < thisYearEnd
-    ? earthHourDate.getThisYearsEarthHourStart(timezone)
-    : earthHourDate.getUpcomingEarthHourStart(timezone);
-  return minutesUntil(startDate, timezone, now);
+ * @param {{ start: Date }} [occurrence] - Occurrence to count towards (default: earthHourState.getOccurrence)
+ * @returns {number} Minutes until the Earth Hour start (current or next year)
+ */
+function getMinutesUntilEarthHourStart(timezone, occurrence = earthHourState.getOccurrence(timezone)) {
+  return minutesUntil(occurrence.start, timezone, clock.nowIn(timezone));
 }
 
 /**
- * Minutes until the next Earth Hour end. Positive = future, negative = already ended or passed.
- * Uses this year's end when we're before this year's end (so during 20:30–21:30 we correctly
- * return positive minutes until 21:30); otherwise uses the upcoming (next year's) end.
+ * Minutes until the Earth Hour end. Always positive: counts towards the same occurrence as
+ * getMinutesUntilEarthHourStart, so during 20:30–21:30 it is the minutes until 21:30.
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
- * @returns {number} Minutes until 21:30 on the last Saturday of March (current or next year)
- */
-function getMinutesUntilEarthHourEnd(timezone) {
-  const now = DateTime.now().setZone(timezone);
-  const thisYearEnd = DateTime.fromJSDate(earthHourDate.getThisYearsEarthHourEnd(timezone)).setZone(timezone);
-  const endDate = now < thisYearEnd
-    ? earthHourDate.getThisYearsEarthHourEnd(timezone)
-    : earthHourDate.getUpcomingEarthHourEnd(timezone);
-  return minutesUntil(endDate, timezone, now);
+ * @param {{ end: Date }} [occurrence] - Occurrence to count towards (default: earthHourState.getOccurrence)
+ * @returns {number} Minutes until the Earth Hour end (current or next year)
+ */
+function getMinutesUntilEarthHourEnd(timezone, occurrence = earthHourState.getOccurrence(timezone)) {
+  return minutesUntil(occurrence.end, timezone, clock.nowIn(timezone));
+}
+
+/**
+ * The Earth Hour start or end that "time until / since" measures against: for 'until' the next one
+ * still ahead, for 'since' the last one that has passed.
+ * @param {'start'|'end'} reference - Start or end of Earth Hour
+ * @param {'until'|'since'} direction - Towards the next moment or from the last one
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} now - Current moment
+ * @returns {Date}
+ */
+function getReferenceMoment(reference, direction, timezone, now) {
+  return events.getReferenceMoment(events.EARTH_HOUR, reference, direction, timezone, now);
+}
+
+/**
+ * Compares the time between now and a moment with an amount. "within" and "more than" use
+ * calendar arithmetic like getMomentBeforeStart; "exactly" counts whole units, and calendar days
+ * for days and weeks, so "exactly 2 days until" holds all day two days before.
+ * @param {Date} moment - Moment to measure to (until) or from (since)
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {object} args - Card arguments
+ * @param {'until'|'since'} args.direction - Whether the moment is ahead or behind
+ * @param {'within'|'more_than'|'exactly'} args.comparator - How to compare
+ * @param {number} args.amount - Amount from the card
+ * @param {'minutes'|'hours'|'days'|'weeks'} args.unit - Unit from the card
+ * @returns {boolean} False as well when the moment is on the wrong side of now
+ */
+function compareTimeToMoment(moment, now, timezone, {
+  direction, comparator, amount, unit,
+}) {
+  const nowInZone = DateTime.fromJSDate(now).setZone(timezone);
+  const momentInZone = DateTime.fromJSDate(moment).setZone(timezone);
+  const [earlier, later] = direction === 'since' ? [momentInZone, nowInZone] : [nowInZone, momentInZone];
+  if (later.toMillis() < earlier.toMillis()) return false;
+
+  const luxonUnit = UNIT_MINUTES[unit] ? unit : 'minutes';
+  if (comparator === 'exactly') {
+    if (CALENDAR_DAYS[luxonUnit]) {
+      const days = Math.round(later.startOf('day').diff(earlier.startOf('day'), 'days').days);
+      return days === amount * CALENDAR_DAYS[luxonUnit];
+    }
+    return Math.floor(later.diff(earlier, luxonUnit).get(luxonUnit)) === amount;
+  }
+  const limit = earlier.plus({ [luxonUnit]: amount }).toMillis();
+  return comparator === 'more_than' ? later.toMillis() > limit : later.toMillis() <= limit;
 }
 
 module.exports = {
+  toMinutes,
+  getMomentBeforeStart,
+  getReferenceMoment,
+  compareTimeToMoment,
   getMinutesUntilEarthHourStart,
   getMinutesUntilEarthHourEnd,
 };
@@ -0,0 +1,270 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const earthHourDate = require('./earthHourDate');
+const earthHourState = require('./earthHourState');
+const history = require('./history');
+
+/**
+ * Measured energy savings for Earth Hour. The app samples power use during the Earth Hour window
+ * and during the same window on the Saturdays before it (the baseline), then reports the
+ * difference as kWh and CO₂ saved. Results are kept per year for year-over-year comparison.
+ *
+ * When the home has a whole-home meter (cumulative, e.g. a P1 meter) only that is used, since its
+ * readings already include every other device. Otherwise measure_power of all devices is summed,
+ * plus the meter_power change of devices that only report a meter.
+ *
+ * Measuring reads every device through the Homey Web API, so it is opt-in (energy.enabled).
+ */
+
+/** Settings key: set to true to measure energy use. Off by default. */
+const ENABLED_SETTINGS_KEY = 'energy.enabled';
+
+/** Settings key holding the measurement windows in progress: { [key]: window state }. */
+const WINDOWS_SETTINGS_KEY = 'energy.windows';
+
+/** Settings key holding results per year: { [year]: { baselineKwh, earthHourKwh, savedKwh, co2Kg } }. */
+const RESULTS_SETTINGS_KEY = 'energy.results';
+
+/** Settings key for the grid's CO₂ intensity in kg per kWh. */
+const CO2_SETTINGS_KEY = 'energy.co2PerKwh';
+
+/** CO₂ intensity used when none is set: a rough European grid average in kg per kWh. */
+const DEFAULT_CO2_KG_PER_KWH = 0.4;
+
+/** Baseline windows: the Earth Hour window shifted back this many weeks. */
+const BASELINE_WEEKS = [1, 2, 3];
+
+/** Time between power samples within a window. */
+const SAMPLE_MS = 5 * 60 * 1000;
+
+/** A sample this long after the window end is too late to count; the window is closed with what it has. */
+const LATE_SAMPLE_MS = 60 * 1000;
+
+/**
+ * Returns the measurement windows for an Earth Hour year: the baseline windows (same local time on
+ * earlier Saturdays, so DST changes in between don't shift them) and the Earth Hour window itself.
+ * @param {number} year - Earth Hour year
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ key: string, year: number, weeksBefore: number, startAt: Date, endAt: Date }[]}
+ */
+function getMeasurementWindows(year, timezone) {
+  const start = DateTime.fromJSDate(earthHourDate.getEarthHourDate(year, timezone)).setZone(timezone);
+  const end = DateTime.fromJSDate(earthHourDate.getEarthHourEnd(year, timezone)).setZone(timezone);
+  return [...BASELINE_WEEKS, 0].map((weeksBefore) => ({
+    key: `${year}.${weeksBefore}`,
+    year,
+    weeksBefore,
+    startAt: start.minus({ weeks: weeksBefore }).toJSDate(),
+    endAt: end.minus({ weeks: weeksBefore }).toJSDate(),
+  }));
+}
+
+/**
+ * Reads current power use from devices: total watts from measure_power and, per device that only
+ * has a meter, its meter_power reading in kWh.
+ * @param {object[]} devices - Devices from adapter.getDevices
+ * @returns {{ watts: number, meters: object }}
+ */
+function readPower(devices) {
+  const cumulative = devices.filter((device) => device.cumulative);
+  const measured = cumulative.length > 0 ? cumulative : devices;
+  let watts = 0;
+  const meters = {};
+  for (const device of measured) {
+    const { measure_power: power, meter_power: meter } = device.capabilities;
+    if (typeof power === 'number') {
+      watts += power;
+    } else if (typeof meter === 'number') {
+      meters[device.id] = meter;
+    }
+  }
+  return { watts, meters };
+}
+
+/**
+ * Energy used in a window from its samples: average watts over the window length, plus the meter
+ * increase of meter-only devices between the first and last sample.
+ * @param {object} window - Window state from settings
+ * @returns {number|null} kWh, or null when the window has too few samples to say anything
+ */
+function getWindowKwh(window) {
+  if (window.samples < 2) return null;
+  const hours = (window.endAt - window.startAt) / (60 * 60 * 1000);
+  let kwh = ((window.wattsSum / window.samples) * hours) / 1000;
+  for (const [id, first] of Object.entries(window.metersFirst)) {
+    if (typeof window.metersLast[id] === 'number') kwh += Math.max(0, window.metersLast[id] - first);
+  }
+  return kwh;
+}
+
+/**
+ * Lists what still needs doing for the scheduler: the next sample of every open measurement window
+ * and the report once the Earth Hour window is over, for the planned Earth Hours (see
+ * earthHourState.getPlannedOccurrences). Nothing while measuring is off.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {({ kind: 'sample', window: object, at: Date }|{ kind: 'report', year: number, at: Date })[]}
+ */
+function getPendingEnergyJobs(ctx, now, timezone) {
+  if (ctx.homey.settings.get(ENABLED_SETTINGS_KEY) !== true) return [];
+
+  const states = ctx.homey.settings.get(WINDOWS_SETTINGS_KEY) || {};
+  const results = ctx.homey.settings.get(RESULTS_SETTINGS_KEY) || {};
+  const pending = [];
+
+  for (const { year } of earthHourState.getPlannedOccurrences(timezone, now)) {
+    if (results[year]) continue;
+    const windows = getMeasurementWindows(year, timezone);
+    for (const window of windows) {
+      const state = states[window.key];
+      const at = state
+        ? new Date(Math.min(state.lastSampleAt + SAMPLE_MS, window.endAt.getTime()))
+        : window.startAt;
+      if (state && state.lastSampleAt >= window.endAt.getTime()) continue;
+      if (now.getTime() > window.endAt.getTime() + LATE_SAMPLE_MS && at.getTime() < now.getTime() - LATE_SAMPLE_MS) continue;
+      pending.push({ kind: 'sample', window, at });
+    }
+    const earthHourWindow = windows[windows.length - 1];
+    if (states[earthHourWindow.key]) {
+      pending.push({ kind: 'report', year, at: new Date(earthHourWindow.endAt.getTime() + LATE_SAMPLE_MS) });
+    }
+  }
+  return pending;
+}
+
+/**
+ * Takes one power sample for a measurement window and stores it.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} adapter - Device adapter (see deviceAdapter.createDeviceAdapter)
+ * @param {{ key: string, year: number, startAt: Date, endAt: Date }} window - Window from getMeasurementWindows
+ * @param {Date} now - Current moment
+ */
+async function takeSample(ctx, adapter, window, now) {
+  const { watts, meters } = readPower(await adapter.getDevices());
+  const states = ctx.homey.settings.get(WINDOWS_SETTINGS_KEY) || {};
+  const state = states[window.key] || {
+    startAt: window.startAt.getTime(),
+    endAt: window.endAt.getTime(),
+    samples: 0,
+    wattsSum: 0,
+    metersFirst: meters,
+    metersLast: {},
+    lastSampleAt: null,
+  };
+  state.samples += 1;
+  state.wattsSum += watts;
+  state.metersLast = meters;
+  // Sampling late (e.g. after a restart) still closes the window at its end.
+  state.lastSampleAt = Math.min(now.getTime(), window.endAt.getTime());
+
+  // Drop windows of earlier years that never got a report (e.g. the Earth Hour window was missed).
+  const next = { [window.key]: state };
+  for (const [key, other] of Object.entries(states)) {
+    if (key !== window.key && Number(key.split('.')[0]) >= window.year) next[key] = other;
+  }
+  ctx.homey.settings.set(WINDOWS_SETTINGS_KEY, next);
+}
+
+/**
+ * Computes and stores the result for an Earth Hour year, and drops that year's window samples.
+ * The baseline is the average of the baseline windows that have enough samples; without any there
+ * is nothing to compare against and no result is stored.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {number} year - Earth Hour year
+ * @returns {{ year: number, baselineKwh: number, earthHourKwh: number, savedKwh: number, co2Kg: number }|null}
+ */
+function createReport(ctx, year) {
+  const states = ctx.homey.settings.get(WINDOWS_SETTINGS_KEY) || {};
+  const earthHourKwh = states[`${year}.0`] ? getWindowKwh(states[`${year}.0`]) : null;
+  const baselines = BASELINE_WEEKS
+    .map((weeksBefore) => states[`${year}.${weeksBefore}`])
+    .filter(Boolean)
+    .map(getWindowKwh)
+    .filter((kwh) => kwh !== null);
+
+  const remaining = {};
+  for (const [key, state] of Object.entries(states)) {
+    if (!key.startsWith(`${year}.`)) remaining[key] = state;
+  }
+  ctx.homey.settings.set(WINDOWS_SETTINGS_KEY, remaining);
+
+  if (earthHourKwh === null || baselines.length === 0) {
+    ctx.log(`[Energy] Not enough measurements for Earth Hour ${year}, no report`);
+    return null;
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const baselineKwh = baselines.reduce((sum, kwh) => sum + kwh, 0) / baselines.length;
+  const savedKwh = baselineKwh - earthHourKwh;
+  const co2PerKwh = ctx.homey.settings.get(CO2_SETTINGS_KEY) || DEFAULT_CO2_KG_PER_KWH;
+  const result = {
+    year,
+    baselineKwh: round(baselineKwh),
+    earthHourKwh: round(earthHourKwh),
+    savedKwh: round(savedKwh),
+    co2Kg: round(savedKwh * co2PerKwh),
+  };
+
+  const results = ctx.homey.settings.get(RESULTS_SETTINGS_KEY) || {};
+  results[year] = {
+    baselineKwh: result.baselineKwh,
+    earthHourKwh: result.earthHourKwh,
+    savedKwh: result.savedKwh,
+    co2Kg: result.co2Kg,
+  };
+  ctx.homey.settings.set(RESULTS_SETTINGS_KEY, results);
+  ctx.log(`[Energy] Earth Hour ${year}: baseline ${result.baselineKwh} kWh, used ${result.earthHourKwh} kWh, saved ${result.savedKwh} kWh`);
+  return result;
+}
+
+/**
+ * The stored results of earlier Earth Hours, newest first, for the settings page and the Web API.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {{ year: number, baselineKwh: number, earthHourKwh: number, savedKwh: number, co2Kg: number }[]}
+ */
+function getResults(ctx) {
+  const results = ctx.homey.settings.get(RESULTS_SETTINGS_KEY) || {};
+  return Object.keys(results)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .map((year) => ({
+      year,
+      baselineKwh: results[year].baselineKwh,
+      earthHourKwh: results[year].earthHourKwh,
+      savedKwh: results[year].savedKwh,
+      co2Kg: results[year].co2Kg,
+    }));
+}
+
+/**
+ * Posts the savings to the timeline, with numbers formatted for the user's language.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {{ savedKwh: number, co2Kg: number }} result - Result from createReport
+ */
+async function sendReport(ctx, result) {
+  try {
+    const locale = ctx.homey.i18n.getLanguage();
+    const format = (value) => value.toLocaleString(locale, { maximumFractionDigits: 2 });
+    const key = result.savedKwh > 0 ? 'notifications.energySaved' : 'notifications.energyNotSaved';
+    const excerpt = ctx.homey.__(key, { kwh: format(Math.abs(result.savedKwh)), co2: format(Math.abs(result.co2Kg)) });
+    await ctx.homey.notifications.createNotification({ excerpt });
+    history.record(ctx, 'notification', 'energyReport', { year: result.year });
+  } catch (error) {
+    ctx.error('[Energy] Error sending report notification:', error);
+  }
+}
+
+module.exports = {
+  ENABLED_SETTINGS_KEY,
+  WINDOWS_SETTINGS_KEY,
+  RESULTS_SETTINGS_KEY,
+  CO2_SETTINGS_KEY,
+  getMeasurementWindows,
+  getPendingEnergyJobs,
+  takeSample,
+  createReport,
+  getResults,
+  sendReport,
+};
@@ -0,0 +1,431 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const earthHourDate = require('./earthHourDate');
+const reminders = require('./reminders');
+const clock = require('./clock');
+
+/**
+ * Annual events the start/end triggers, conditions and reminders work for, from declarative
+ * definitions. The Earth Hour flow cards have an optional event argument; left empty, it is Earth
+ * Hour, the built-in default. Earth Hour takes its dates from its schedule table (official dates,
+ * overrides and the online schedule, see earthHourDate) and its reminders are the built-in and user
+ * reminders of reminders.js; every other event follows its date rule and lists its own reminders.
+ *
+ * Definition: { id, nameKey, name, rule, time, duration, reminders, message }, where rule is
+ * { type: 'fixed', month, day }, { type: 'nthWeekday', month, weekday, nth } or
+ * { type: 'lastWeekday', month, weekday } (weekday 1 = Monday … 7 = Sunday), time is the local start
+ * 'HH:mm', duration is in minutes (ALL_DAY for a whole day), reminders is a list of
+ * { amount, unit, time } like a reminder's offset (null for Earth Hour, see getEventReminders),
+ * and the name comes from nameKey (a locale key)
+ * or name (the user's own, a string or { [language]: string }). message is the user's reminder text,
+ * with [event], [date], [time] and [year] filled in; without it the reminder gets a generic message.
+ *
+ * Every event's triggers fire through triggerState and its reminders go out through notifications,
+ * with one fired-state and one sent-state for all of them.
+ */
+
+/** Id of the built-in Earth Hour event. */
+const EARTH_HOUR_ID = 'earth_hour';
+
+/** Duration of an all-day event, in minutes. */
+const ALL_DAY = 24 * 60;
+
+/** Built-in events, Earth Hour first. */
+const BUILT_IN_EVENTS = [
+  {
+    id: EARTH_HOUR_ID,
+    nameKey: 'events.earthHour',
+    rule: { type: 'lastWeekday', month: 3, weekday: 6 },
+    time: '20:30',
+    duration: 60,
+    reminders: null,
+    schedule: true,
+  },
+  {
+    id: 'earth_day',
+    nameKey: 'events.earthDay',
+    rule: { type: 'fixed', month: 4, day: 22 },
+    time: '00:00',
+    duration: ALL_DAY,
+    reminders: [{ amount: 1, unit: 'days', time: '09:00' }],
+  },
+  {
+    id: 'world_environment_day',
+    nameKey: 'events.worldEnvironmentDay',
+    rule: { type: 'fixed', month: 6, day: 5 },
+    time: '00:00',
+    duration: ALL_DAY,
+    reminders: [{ amount: 1, unit: 'days', time: '09:00' }],
+  },
+].map((event) => ({
+  id: event.id,
+  nameKey: event.nameKey,
+  name: null,
+  rule: event.rule,
+  time: event.time,
+  duration: event.duration,
+  reminders: event.reminders,
+  message: null,
+  schedule: event.schedule === true,
+}));
+
+/** The built-in Earth Hour definition. */
+const EARTH_HOUR = BUILT_IN_EVENTS[0];
+
+/** Settings key holding the user's own events: an array of raw definitions. */
+const CUSTOM_SETTINGS_KEY = 'events.custom';
+
+/** Most reminders a user event can have. */
+const MAX_EVENT_REMINDERS = 5;
+
+/** Valid user events per app context, kept by loadCustomEvents so settings are only checked when they change. */
+const loadedCustomEvents = new WeakMap();
+
+/** Local time of day, 'HH:mm'. */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validates a date rule.
+ * @param {object} rule - Raw rule
+ * @returns {object|null} Normalized rule, or null when invalid
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') return null;
+  const {
+    type, month, day, weekday, nth,
+  } = rule;
+  if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+  if (type === 'fixed') {
+    // 29 February isn't there every year.
+    const { daysInMonth } = DateTime.fromObject({ year: 2023, month });
+    if (!Number.isInteger(day) || day < 1 || day > daysInMonth) return null;
+    return { type, month, day };
+  }
+  if (!Number.isInteger(weekday) || weekday < 1 || weekday > 7) return null;
+  if (type === 'lastWeekday') return { type, month, weekday };
+  if (type === 'nthWeekday' && Number.isInteger(nth) && nth >= 1 && nth <= 4) {
+    return {
+      type, month, weekday, nth,
+    };
+  }
+  return null;
+}
+
+/**
+ * Validates a user-defined event from settings.
+ * @param {object} entry - Raw definition: { id, name, rule, time, duration, reminders?, message? }
+ * @returns {object|null} Normalized definition, or null when invalid
+ */
+function normalizeCustomEvent(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const {
+    id, name, time, duration, message,
+  } = entry;
+  if (typeof id !== 'string' || !/^custom-[\w-]+$/.test(id)) return null;
+  const isText = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+  const isLocalized = (value, maxLength) => isText(value, maxLength)
+    || (Boolean(value) && typeof value === 'object' && Object.values(value).length > 0
+      && Object.values(value).every((text) => isText(text, maxLength)));
+  if (!isLocalized(name, 100)) return null;
+  const rule = normalizeRule(entry.rule);
+  if (!rule) return null;
+  if (typeof time !== 'string' || !TIME_PATTERN.test(time)) return null;
+  if (!Number.isInteger(duration) || duration < 1 || duration > ALL_DAY) return null;
+  if (message !== undefined && message !== null && !isLocalized(message, 500)) return null;
+
+  const rawReminders = entry.reminders === undefined || entry.reminders === null ? [] : entry.reminders;
+  if (!Array.isArray(rawReminders) || rawReminders.length > MAX_EVENT_REMINDERS) return null;
+  const eventReminders = [];
+  for (const reminder of rawReminders) {
+    if (!reminder || !Number.isInteger(reminder.amount) || reminder.amount < 0) return null;
+    if (!reminders.OFFSET_UNITS.includes(reminder.unit)) return null;
+    const reminderTime = reminder.time === undefined ? null : reminder.time;
+    if (reminderTime !== null && (typeof reminderTime !== 'string' || !TIME_PATTERN.test(reminderTime))) return null;
+    eventReminders.push({ amount: reminder.amount, unit: reminder.unit, time: reminderTime });
+  }
+
+  return {
+    id,
+    nameKey: null,
+    name,
+    rule,
+    time,
+    duration,
+    reminders: eventReminders,
+    message: message || null,
+    schedule: false,
+  };
+}
+
+/**
+ * The id of an event reminder, which its enabled, timeline and sent state are kept under. The dot
+ * keeps it apart from Earth Hour's reminder ids.
+ * @param {string} eventId - Event id
+ * @param {number} index - Index in the event's reminders
+ * @returns {string} e.g. "earth_day.0"
+ */
+function getReminderId(eventId, index) {
+  return `${eventId}.${index}`;
+}
+
+/**
+ * Validates the user's events from settings and keeps them for getEvents. The app calls this
+ * whenever the setting changes, so invalid entries and duplicate ids are logged once per change.
+ * The sent state of reminders of events that no longer exist is dropped.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {object[]} Valid user event definitions
+ */
+function loadCustomEvents(ctx) {
+  const custom = ctx.homey.settings.get(CUSTOM_SETTINGS_KEY) || [];
+  const loaded = [];
+  for (const entry of Array.isArray(custom) ? custom : []) {
+    const event = normalizeCustomEvent(entry);
+    if (!event) {
+      ctx.error('[Events] Ignoring invalid event:', JSON.stringify(entry));
+    } else if (loaded.some(({ id }) => id === event.id)) {
+      ctx.error(`[Events] Ignoring event with duplicate id: ${event.id}`);
+    } else {
+      loaded.push(event);
+    }
+  }
+  loadedCustomEvents.set(ctx, loaded);
+
+  const ids = [];
+  for (const event of [...BUILT_IN_EVENTS, ...loaded]) {
+    (event.reminders || []).forEach((reminder, index) => ids.push(getReminderId(event.id, index)));
+  }
+  reminders.forgetSent(ctx, (id) => id.includes('.') && !ids.includes(id));
+  return loaded;
+}
+
+/**
+ * Returns every event, built-in first. User events come from loadCustomEvents, which runs on first use.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {object[]} Event definitions
+ */
+function getEvents(ctx) {
+  return [...BUILT_IN_EVENTS, ...(loadedCustomEvents.get(ctx) || loadCustomEvents(ctx))];
+}
+
+/**
+ * Looks up an event by id.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} id - Event id
+ * @returns {object|null} Event definition, or null when it doesn't exist (any more)
+ */
+function getEvent(ctx, id) {
+  return getEvents(ctx).find((event) => event.id === id) || null;
+}
+
+/**
+ * The id of the event picked in a flow card's optional event argument.
+ * @param {{ event?: { id: string }|null }} args - Flow card arguments
+ * @returns {string} Event id; EARTH_HOUR_ID when the argument is left empty
+ */
+function getArgumentEventId(args) {
+  return args.event ? args.event.id : EARTH_HOUR_ID;
+}
+
+/**
+ * The event name in the user's language.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} event - Event definition
+ * @returns {string}
+ */
+function getEventName(ctx, event) {
+  if (event.nameKey) return ctx.homey.__(event.nameKey);
+  if (typeof event.name === 'string') return event.name;
+  const language = ctx.homey.i18n.getLanguage();
+  return event.name[language] || event.name.en || Object.values(event.name)[0];
+}
+
+/**
+ * The calendar date a rule gives in a year.
+ * @param {object} rule - Date rule
+ * @param {number} year - The year
+ * @returns {{ year: number, month: number, day: number }}
+ */
+function getRuleDate(rule, year) {
+  if (rule.type === 'fixed') return { year, month: rule.month, day: rule.day };
+  const firstOfMonth = DateTime.fromObject({ year, month: rule.month, day: 1 });
+  if (rule.type === 'lastWeekday') {
+    const last = firstOfMonth.endOf('month');
+    return { year, month: rule.month, day: last.day - ((last.weekday - rule.weekday + 7) % 7) };
+  }
+  const first = 1 + ((rule.weekday - firstOfMonth.weekday + 7) % 7);
+  return { year, month: rule.month, day: first + (rule.nth - 1) * 7 };
+}
+
+/**
+ * Returns the event start in a year. Earth Hour comes from its schedule table.
+ * @param {object} event - Event definition
+ * @param {number} year - The year
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Date}
+ */
+function getEventStart(event, year, timezone) {
+  if (event.schedule) return earthHourDate.getEarthHourDate(year, timezone);
+  const [hour, minute] = event.time.split(':').map(Number);
+  const date = getRuleDate(event.rule, year);
+  return DateTime.fromObject({
+    year: date.year, month: date.month, day: date.day, hour, minute,
+  }, { zone: timezone }).toJSDate();
+}
+
+/**
+ * Returns the event end in a year: the start plus the duration, an all-day event ending at midnight.
+ * @param {object} event - Event definition
+ * @param {number} year - The year
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Date}
+ */
+function getEventEnd(event, year, timezone) {
+  if (event.schedule) return earthHourDate.getEarthHourEnd(year, timezone);
+  const start = DateTime.fromJSDate(getEventStart(event, year, timezone)).setZone(timezone);
+  return (event.duration === ALL_DAY ? start.plus({ days: 1 }) : start.plus({ minutes: event.duration })).toJSDate();
+}
+
+/**
+ * The occurrence to count towards: this year's until it has ended, then next year's.
+ * @param {object} event - Event definition
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} [now] - Current moment (default: the app clock)
+ * @returns {{ year: number, start: Date, end: Date }}
+ */
+function getOccurrence(event, timezone, now = clock.now()) {
+  const { year } = DateTime.fromJSDate(now).setZone(timezone);
+  const end = getEventEnd(event, year, timezone);
+  const useYear = now.getTime() < end.getTime() ? year : year + 1;
+  return {
+    year: useYear,
+    start: getEventStart(event, useYear, timezone),
+    end: getEventEnd(event, useYear, timezone),
+  };
+}
+
+/**
+ * The occurrences the scheduler plans an event's jobs for: the one whose end catch-up (until the end
+ * of that night) is still open, which is the one that just ended or else getOccurrence's, and the
+ * one after it, so jobs well before the next start, such as reminders, are planned in time.
+ * @param {object} event - Event definition
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} [now] - Current moment (default: the app clock)
+ * @returns {{ year: number, start: Date, end: Date }[]}
+ */
+function getPlannedOccurrences(event, timezone, now = clock.now()) {
+  const { year: currentYear } = DateTime.fromJSDate(now).setZone(timezone);
+  const endOfNightMs = DateTime.fromJSDate(getEventEnd(event, currentYear, timezone)).setZone(timezone).endOf('day').toMillis();
+  const year = now.getTime() <= endOfNightMs ? currentYear : currentYear + 1;
+  return [year, year + 1].map((plannedYear) => ({
+    year: plannedYear,
+    start: getEventStart(event, plannedYear, timezone),
+    end: getEventEnd(event, plannedYear, timezone),
+  }));
+}
+
+/**
+ * True if the event is going on.
+ * @param {object} event - Event definition
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} now - Current moment
+ * @returns {boolean}
+ */
+function isEventActive(event, timezone, now) {
+  const { start } = getOccurrence(event, timezone, now);
+  return now.getTime() >= start.getTime();
+}
+
+/**
+ * True if today is the day the event starts, all day including after it ended.
+ * @param {object} event - Event definition
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} now - Current moment
+ * @returns {boolean}
+ */
+function isEventDay(event, timezone, now) {
+  const today = DateTime.fromJSDate(now).setZone(timezone);
+  const { year } = today;
+  return DateTime.fromJSDate(getEventStart(event, year, timezone)).setZone(timezone).hasSame(today, 'day');
+}
+
+/**
+ * The start or end that "time until / since" measures against: for 'until' the next one still
+ * ahead, for 'since' the last one that has passed.
+ * @param {object} event - Event definition
+ * @param {'start'|'end'} reference - Start or end of the event
+ * @param {'until'|'since'} direction - Towards the next moment or from the last one
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {Date} now - Current moment
+ * @returns {Date}
+ */
+function getReferenceMoment(event, reference, direction, timezone, now) {
+  const getMoment = (year) => (reference === 'end' ? getEventEnd(event, year, timezone) : getEventStart(event, year, timezone));
+  const { year } = DateTime.fromJSDate(now).setZone(timezone);
+  const moment = getMoment(year);
+  if (direction === 'since') {
+    return moment.getTime() <= now.getTime() ? moment : getMoment(year - 1);
+  }
+  return moment.getTime() > now.getTime() ? moment : getMoment(year + 1);
+}
+
+/**
+ * An event's reminders as reminder definitions (see reminders.js), with the enabled and timeline
+ * switches from settings: Earth Hour's are the built-in and user reminders; another event's get the
+ * ids from getReminderId and the user's message, or the generic one for timed or all-day events.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} event - Event definition
+ * @returns {object[]} Reminder definitions
+ */
+function getEventReminders(ctx, event) {
+  if (event.id === EARTH_HOUR_ID) return reminders.getReminders(ctx);
+  const messageKey = event.duration === ALL_DAY ? 'notifications.eventReminderAllDay' : 'notifications.eventReminder';
+  return reminders.applySwitches(ctx, event.reminders.map(({ amount, unit, time }, index) => ({
+    id: getReminderId(event.id, index),
+    amount,
+    unit,
+    time,
+    messageKey: event.message ? null : messageKey,
+    message: event.message,
+    enabled: true,
+    timeline: true,
+  })));
+}
+
+/**
+ * Autocomplete results for the event argument: the events whose name matches the query.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} query - Text typed by the user
+ * @returns {{ id: string, name: string }[]}
+ */
+function getEventAutocomplete(ctx, query) {
+  const search = query.trim().toLowerCase();
+  return getEvents(ctx)
+    .map((event) => ({ id: event.id, name: getEventName(ctx, event) }))
+    .filter(({ name }) => name.toLowerCase().includes(search));
+}
+
+module.exports = {
+  EARTH_HOUR_ID,
+  EARTH_HOUR,
+  ALL_DAY,
+  BUILT_IN_EVENTS,
+  CUSTOM_SETTINGS_KEY,
+  normalizeCustomEvent,
+  loadCustomEvents,
+  getEvents,
+  getEvent,
+  getArgumentEventId,
+  getEventName,
+  getRuleDate,
+  getEventStart,
+  getEventEnd,
+  getOccurrence,
+  getPlannedOccurrences,
+  isEventActive,
+  isEventDay,
+  getReferenceMoment,
+  getReminderId,
+  getEventReminders,
+  getEventAutocomplete,
+};
@@ -0,0 +1,301 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const deviceAdapter = require('./deviceAdapter');
+const earthHourState = require('./earthHourState');
+
+/**
+ * Gradual fade-out of lights before Earth Hour and fade-in after it. A fade is a persisted plan
+ * ({ direction, zone, startAt, endAt, devices, lastStepAt }) that the scheduler steps through, so it
+ * continues after an app restart. Each later step re-reads the lights in the fade and drops any whose
+ * brightness no longer matches what we last set: the user touched it, and we stop fighting them.
+ * The step that begins the fade doesn't check, as lights may not report what was just set yet.
+ *
+ * Fade-out remembers each light's brightness so the fade-in afterwards can bring it back to that level.
+ */
+
+/** Settings key holding the active or pending fade. */
+const FADE_SETTINGS_KEY = 'fade.state';
+
+/** Settings key holding brightness levels saved by the last fade-out: { [id]: { name, dim } }. */
+const LEVELS_SETTINGS_KEY = 'fade.levels';
+
+/** Settings key for automatic mode: { enabled, minutes, zone }. */
+const AUTO_SETTINGS_KEY = 'fade.auto';
+
+/** Settings keys holding the Earth Hour year the automatic fade-out / fade-in last ran for. */
+const AUTO_YEAR_SETTINGS_KEYS = {
+  out: 'fade.autoOutYear',
+  in: 'fade.autoInYear',
+};
+
+/** Time between brightness steps. */
+const STEP_MS = 30 * 1000;
+
+/** Brightness difference that counts as a manual change (dim is 0–1). */
+const MANUAL_CHANGE_TOLERANCE = 0.02;
+
+/** Brightness a fade-in starts from, so lights come on barely lit instead of at their old level. */
+const FADE_IN_FLOOR = 0.01;
+
+/**
+ * Works out when a fade of the given length runs. Fade-out ends at the start of the occurrence (see
+ * earthHourState) and starts right away when less than the full length is left; during Earth Hour it
+ * simply runs from now. Fade-in starts at the end of the Earth Hour the state is about, or right
+ * away once that has passed.
+ * @param {'out'|'in'} direction - Fade direction
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {number} minutes - Fade length in minutes
+ * @returns {{ startAt: Date, endAt: Date }}
+ */
+function getFadeWindow(direction, now, timezone, minutes) {
+  const lengthMs = minutes * 60 * 1000;
+  const nowMs = now.getTime();
+
+  if (direction === 'in') {
+    const startMs = Math.max(nowMs, earthHourState.getState(timezone, now).end.getTime());
+    return { startAt: new Date(startMs), endAt: new Date(startMs + lengthMs) };
+  }
+
+  const earthHourStartMs = earthHourState.getOccurrence(timezone, now).start.getTime();
+  if (nowMs >= earthHourStartMs) {
+    return { startAt: now, endAt: new Date(nowMs + lengthMs) };
+  }
+  return {
+    startAt: new Date(Math.max(nowMs, earthHourStartMs - lengthMs)),
+    endAt: new Date(earthHourStartMs),
+  };
+}
+
+/**
+ * Checks the automatic mode setting. The fade length must be a positive whole number of minutes;
+ * anything else would give invalid fade moments.
+ * @param {*} auto - Value of the fade.auto setting
+ * @returns {boolean} True when unset, off or with a valid length
+ */
+function isValidAutoSettings(auto) {
+  if (!auto || !auto.enabled) return true;
+  return Number.isInteger(auto.minutes) && auto.minutes > 0;
+}
+
+/**
+ * Reads automatic mode, or null when it is off or invalid (see isValidAutoSettings).
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {{ minutes: number, zone: string }|null}
+ */
+function getAutoSettings(ctx) {
+  const auto = ctx.homey.settings.get(AUTO_SETTINGS_KEY);
+  if (!auto || !auto.enabled || !isValidAutoSettings(auto)) return null;
+  return { minutes: auto.minutes, zone: auto.zone || 'all' };
+}
+
+/**
+ * Lists the automatic fades that still need planning, for the scheduler. With automatic mode on,
+ * the fade-out is due N minutes before the start (and still until the end, to catch up after a
+ * restart) and the fade-in at the end (until midnight that night), once per planned Earth Hour
+ * each (see earthHourState.getPlannedOccurrences).
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ direction: 'out'|'in', year: number, at: Date }[]}
+ */
+function getPendingAutoFades(ctx, now, timezone) {
+  const auto = getAutoSettings(ctx);
+  if (!auto) return [];
+
+  const nowMs = now.getTime();
+  const pending = [];
+  for (const { year, start, end } of earthHourState.getPlannedOccurrences(timezone, now)) {
+    const endOfNightMs = DateTime.fromJSDate(end).setZone(timezone).endOf('day').toMillis();
+
+    if (ctx.homey.settings.get(AUTO_YEAR_SETTINGS_KEYS.out) !== year && nowMs < end.getTime()) {
+      pending.push({ direction: 'out', year, at: new Date(start.getTime() - auto.minutes * 60 * 1000) });
+    }
+    if (ctx.homey.settings.get(AUTO_YEAR_SETTINGS_KEYS.in) !== year && nowMs <= endOfNightMs) {
+      pending.push({ direction: 'in', year, at: end });
+    }
+  }
+  return pending;
+}
+
+/**
+ * Stores a new fade plan, replacing any fade in progress. Lights are picked when the fade begins
+ * (at startAt), not now, so a fade planned ahead sees the lights as they are at that moment.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {{ direction: 'out'|'in', zone: string, startAt: Date, endAt: Date }} plan - Fade window
+ */
+function scheduleFade(ctx, {
+  direction, zone, startAt, endAt,
+}) {
+  ctx.homey.settings.set(FADE_SETTINGS_KEY, {
+    direction,
+    zone: zone || 'all',
+    startAt: startAt.getTime(),
+    endAt: endAt.getTime(),
+    devices: null,
+    lastStepAt: null,
+  });
+  ctx.log(`[Fade] Fade-${direction} planned ${startAt.toISOString()} – ${endAt.toISOString()}`);
+}
+
+/**
+ * Plans an automatic fade and records it for the year, so it is planned only once.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {{ direction: 'out'|'in', year: number }} autoFade - Pending fade from getPendingAutoFades
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ */
+function runAutoFade(ctx, { direction, year }, now, timezone) {
+  const auto = getAutoSettings(ctx);
+  if (!auto) return;
+  ctx.homey.settings.set(AUTO_YEAR_SETTINGS_KEYS[direction], year);
+  const { startAt, endAt } = getFadeWindow(direction, now, timezone, auto.minutes);
+  scheduleFade(ctx, {
+    direction, zone: auto.zone, startAt, endAt,
+  });
+}
+
+/**
+ * Cancels the active or pending fade. Lights stay at whatever brightness they reached.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {boolean} True if a fade was cancelled
+ */
+function cancelFade(ctx) {
+  const fade = ctx.homey.settings.get(FADE_SETTINGS_KEY);
+  if (!fade) return false;
+  ctx.homey.settings.unset(FADE_SETTINGS_KEY);
+  ctx.log(`[Fade] Fade-${fade.direction} cancelled`);
+  return true;
+}
+
+/**
+ * Returns when the scheduler should next run runFadeStep, or null when no fade is planned.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {Date|null}
+ */
+function getNextFadeStep(ctx) {
+  const fade = ctx.homey.settings.get(FADE_SETTINGS_KEY);
+  if (!fade) return null;
+  if (!fade.devices) return new Date(fade.startAt);
+  return new Date(Math.min(fade.lastStepAt + STEP_MS, fade.endAt));
+}
+
+/**
+ * Picks the lights for a fade that is beginning. Fade-out takes dimmable lights that are on and
+ * saves their brightness; fade-in takes the lights saved by the last fade-out and switches them
+ * on at the floor level.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} adapter - Device adapter (see deviceAdapter.createDeviceAdapter)
+ * @param {object} fade - Fade state
+ * @returns {Promise<object>} Devices keyed by id: { name, from, to, lastSet }
+ */
+async function beginFade(ctx, adapter, fade) {
+  const zoneIds = await adapter.getZoneIds(fade.zone);
+  const lights = deviceAdapter.filterDevices(await adapter.getDevices(), zoneIds, 'light')
+    .filter((device) => typeof device.capabilities.dim === 'number');
+  const devices = {};
+
+  if (fade.direction === 'out') {
+    const levels = {};
+    for (const light of lights.filter((device) => device.capabilities.onoff !== false)) {
+      const { dim } = light.capabilities;
+      levels[light.id] = { name: light.name, dim };
+      devices[light.id] = {
+        name: light.name, from: dim, to: 0, lastSet: dim,
+      };
+    }
+    ctx.homey.settings.set(LEVELS_SETTINGS_KEY, levels);
+    return devices;
+  }
+
+  const levels = ctx.homey.settings.get(LEVELS_SETTINGS_KEY) || {};
+  for (const light of lights.filter((device) => levels[device.id])) {
+    try {
+      await adapter.setCapabilityValue(light.id, 'dim', FADE_IN_FLOOR);
+      await adapter.setCapabilityValue(light.id, 'onoff', true);
+      devices[light.id] = {
+        name: light.name, from: FADE_IN_FLOOR, to: levels[light.id].dim, lastSet: FADE_IN_FLOOR,
+      };
+    } catch (error) {
+      ctx.error(`[Fade] Could not switch on ${light.name}:`, error);
+    }
+  }
+  return devices;
+}
+
+/**
+ * Runs one fade step: begins the fade if needed, then moves every light still in the fade to the
+ * brightness for the current moment. Lights changed by someone else since the last step are left
+ * alone from then on. At the end a fade-out switches the lights off and a fade-in clears the saved levels.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} adapter - Device adapter (see deviceAdapter.createDeviceAdapter)
+ * @param {Date} now - Current moment
+ */
+async function runFadeStep(ctx, adapter, now) {
+  const fade = ctx.homey.settings.get(FADE_SETTINGS_KEY);
+  if (!fade || now.getTime() < fade.startAt) return;
+
+  const beginning = !fade.devices;
+  if (beginning) {
+    fade.devices = await beginFade(ctx, adapter, fade);
+    ctx.log(`[Fade] Fade-${fade.direction} started for ${Object.keys(fade.devices).length} light(s)`);
+  }
+
+  const progress = Math.min(1, (now.getTime() - fade.startAt) / Math.max(1, fade.endAt - fade.startAt));
+
+  for (const [id, light] of Object.entries(fade.devices)) {
+    try {
+      if (!beginning) {
+        const device = await adapter.getDevice(id);
+        const touched = !device
+          || device.capabilities.onoff === false
+          || Math.abs(device.capabilities.dim - light.lastSet) > MANUAL_CHANGE_TOLERANCE;
+        if (touched) {
+          ctx.log(`[Fade] ${light.name} changed manually, leaving it alone`);
+          delete fade.devices[id];
+          continue;
+        }
+      }
+
+      const dim = Math.round((light.from + (light.to - light.from) * progress) * 100) / 100;
+      if (progress >= 1 && fade.direction === 'out') {
+        await adapter.setCapabilityValue(id, 'onoff', false);
+      } else {
+        await adapter.setCapabilityValue(id, 'dim', dim);
+      }
+      light.lastSet = dim;
+    } catch (error) {
+      ctx.error(`[Fade] Could not dim ${light.name}:`, error);
+      delete fade.devices[id];
+    }
+  }
+
+  if (progress >= 1) {
+    ctx.homey.settings.unset(FADE_SETTINGS_KEY);
+    if (fade.direction === 'in') ctx.homey.settings.unset(LEVELS_SETTINGS_KEY);
+    ctx.log(`[Fade] Fade-${fade.direction} finished`);
+    return;
+  }
+
+  fade.lastStepAt = now.getTime();
+  // The fade may have been cancelled while we were talking to devices; don't bring it back.
+  if (ctx.homey.settings.get(FADE_SETTINGS_KEY)) {
+    ctx.homey.settings.set(FADE_SETTINGS_KEY, fade);
+  }
+}
+
+module.exports = {
+  FADE_SETTINGS_KEY,
+  LEVELS_SETTINGS_KEY,
+  AUTO_SETTINGS_KEY,
+  AUTO_YEAR_SETTINGS_KEYS,
+  isValidAutoSettings,
+  getFadeWindow,
+  getPendingAutoFades,
+  runAutoFade,
+  scheduleFade,
+  cancelFade,
+  getNextFadeStep,
+  runFadeStep,
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const earthHourState = require('./earthHourState');
+const earthHourTime = require('./earthHourTime');
+const earthHourChecks = require('./earthHourChecks');
+const dateFormat = require('./dateFormat');
+const clock = require('./clock');
+
+/**
+ * App-wide flow tokens (homey.flow.createToken) with a live countdown to Earth Hour. Values come
+ * from the same helpers as the condition cards, so a flow comparing a token never disagrees with
+ * "Earth Hour starts in". Until this year's Earth Hour has ended the countdown is to this year's
+ * start (0 while it runs); after that it is to next year's. A running simulation counts as Earth
+ * Hour, like in the conditions (see earthHourState.getCurrentState).
+ */
+
+/** Tokens offered to flows; the title is the locale key tokens.<id>. */
+const TOKENS = [
+  { id: 'days_until_start', type: 'number' },
+  { id: 'hours_until_start', type: 'number' },
+  { id: 'minutes_until_start', type: 'number' },
+  { id: 'minutes_remaining', type: 'number' },
+  { id: 'is_earth_hour', type: 'boolean' },
+  { id: 'next_start', type: 'string' },
+];
+
+const MINUTE_MS = 60 * 1000;
+
+/** Minutes until the start within which tokens are updated every minute, like during Earth Hour. */
+const EVERY_MINUTE_WITHIN_MINUTES = 24 * 60;
+
+/**
+ * Current token values.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ days_until_start: number, hours_until_start: number, minutes_until_start: number,
+ *   minutes_remaining: number, is_earth_hour: boolean, next_start: string }}
+ */
+function getTokenValues(ctx, timezone) {
+  const now = clock.now();
+  const occurrence = earthHourState.getCurrentOccurrence(ctx, timezone, now);
+  const isEarthHour = earthHourChecks.isCurrentlyEarthHour(timezone, earthHourState.getCurrentState(ctx, timezone, now));
+  const minutesUntilStart = Math.max(0, earthHourTime.getMinutesUntilEarthHourStart(timezone, occurrence));
+  const { start } = occurrence;
+  const locale = ctx.homey.i18n.getLanguage();
+  return {
+    days_until_start: Math.floor(minutesUntilStart / (24 * 60)),
+    hours_until_start: Math.floor(minutesUntilStart / 60),
+    minutes_until_start: minutesUntilStart,
+    minutes_remaining: isEarthHour ? Math.max(0, earthHourTime.getMinutesUntilEarthHourEnd(timezone, occurrence)) : 0,
+    is_earth_hour: isEarthHour,
+    next_start: ctx.homey.__('tokens.nextStartValue', {
+      date: dateFormat.formatDateFriendly(start, timezone, locale),
+      time: dateFormat.formatTimeFriendly(start, timezone),
+    }),
+  };
+}
+
+/**
+ * Milliseconds until the tokens should next be updated: a minute on the last day and during Earth
+ * Hour, otherwise until hours_until_start next counts down. days_until_start only changes on those
+ * same hour marks, so neither token is ever more than a minute behind.
+ * @param {{ minutes_until_start: number, is_earth_hour: boolean }} values - From getTokenValues
+ * @returns {number}
+ */
+function getUpdateDelay(values) {
+  const minutes = values.minutes_until_start;
+  if (values.is_earth_hour || minutes <= EVERY_MINUTE_WITHIN_MINUTES) return MINUTE_MS;
+  return ((minutes % 60) + 1) * MINUTE_MS;
+}
+
+/**
+ * Registers the flow tokens with their current values.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Promise<object>} Tokens by id, for updateTokens
+ */
+async function createTokens(ctx, timezone) {
+  const values = getTokenValues(ctx, timezone);
+  const tokens = {};
+  for (const { id, type } of TOKENS) {
+    tokens[id] = await ctx.homey.flow.createToken(id, {
+      type,
+      title: ctx.homey.__(`tokens.${id}`),
+      value: values[id],
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Sets the tokens to the given values.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} tokens - Tokens by id, from createTokens
+ * @param {object} values - From getTokenValues
+ */
+async function updateTokens(ctx, tokens, values) {
+  for (const { id } of TOKENS) {
+    try {
+      await tokens[id].setValue(values[id]);
+    } catch (error) {
+      ctx.error(`[Tokens] Error updating ${id}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  TOKENS,
+  getTokenValues,
+  getUpdateDelay,
+  createTokens,
+  updateTokens,
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const clock = require('./clock');
+
+/**
+ * History of what the app did: fired flow triggers and sent timeline notifications, newest last.
+ * Kept in settings so it survives restarts; the oldest entries are dropped beyond MAX_ENTRIES.
+ * Read through the Web API (GET /history) by dashboards and scripts.
+ *
+ * Entry: { type: 'trigger'|'notification', name, at: ISO string, details: object }, where name is
+ * the trigger card id or the notification kind (e.g. 'thankYou', a reminder id).
+ */
+
+/** Settings key holding the history entries. */
+const HISTORY_SETTINGS_KEY = 'history.events';
+
+/** Entry types. */
+const TYPES = ['trigger', 'notification'];
+
+/** Most entries kept; a year of Earth Hour activity is well under this. */
+const MAX_ENTRIES = 200;
+
+/**
+ * Adds an entry to the history. Never throws: history must not get in the way of the action
+ * it records.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {'trigger'|'notification'} type - Entry type
+ * @param {string} name - Trigger card id or notification kind
+ * @param {object} [details] - Extra information, e.g. { year }
+ */
+function record(ctx, type, name, details = {}) {
+  try {
+    const entries = ctx.homey.settings.get(HISTORY_SETTINGS_KEY) || [];
+    entries.push({
+      type, name, at: clock.now().toISOString(), details,
+    });
+    ctx.homey.settings.set(HISTORY_SETTINGS_KEY, entries.slice(-MAX_ENTRIES));
+  } catch (error) {
+    ctx.error(`[History] Error recording ${type} ${name}:`, error);
+  }
+}
+
+/**
+ * Returns history entries, newest first.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} [options] - { type?: 'trigger'|'notification', limit?: number }
+ * @returns {{ type: string, name: string, at: string, details: object }[]}
+ */
+function getHistory(ctx, { type, limit } = {}) {
+  const entries = ctx.homey.settings.get(HISTORY_SETTINGS_KEY) || [];
+  return entries
+    .filter((entry) => !type || entry.type === type)
+    .reverse()
+    .slice(0, limit || MAX_ENTRIES);
+}
+
+module.exports = {
+  HISTORY_SETTINGS_KEY,
+  TYPES,
+  MAX_ENTRIES,
+  record,
+  getHistory,
+};
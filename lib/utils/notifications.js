@@ -2,17 +2,17 @@
 
 const earthHourDate = require('./earthHourDate');
 const dateFormat = require('./dateFormat');
+const reminders = require('./reminders');
+const history = require('./history');
+const sun = require('./sun');
+const events = require('./events');
+const clock = require('./clock');
 
-/**
- * True if targetDate is within 1 minute of nowMs. Used to detect notification moments.
- * @param {number} nowMs - Current time in milliseconds
- * @param {Date} targetDate - Target moment
- * @returns {boolean}
- */
-function isWithinOneMinute(nowMs, targetDate) {
-  const diffMs = Math.abs(nowMs - targetDate.getTime());
-  return diffMs <= 60 * 1000;
-}
+/** Settings key recording that the thank-you notification was sent. */
+const THANK_YOU_SETTINGS_KEY = 'notifications.thankYouShown';
+
+/** How far a reminder moment may lie ahead of or behind now and still count as due. */
+const DUE_WINDOW_MS = 60 * 1000;
 
 /**
  * Sends the thank-you timeline notification once after installation. Uses upcoming
@@ -23,7 +23,7 @@ function isWithinOneMinute(nowMs, targetDate) {
  */
 async function sendThankYou(ctx, timezone) {
   try {
-    const shown = await ctx.homey.settings.get('notifications.thankYouShown');
+    const shown = await ctx.homey.settings.get(THANK_YOU_SETTINGS_KEY);
     if (shown) return;
 
     const locale = ctx.homey.i18n.getLanguage();
@@ -33,7 +33,8 @@ async function sendThankYou(ctx, timezone) {
     const excerpt = ctx.homey.__('notifications.thankYou', { date: dateStr, time: timeStr });
 
     await ctx.homey.notifications.createNotification({ excerpt });
-    await ctx.homey.settings.set('notifications.thankYouShown', true);
+    await ctx.homey.settings.set(THANK_YOU_SETTINGS_KEY, true);
+    history.record(ctx, 'notification', 'thankYou');
     ctx.log('[Notifications] Thank-you notification sent');
   } catch (error) {
     ctx.error('[Notifications] Error sending thank-you notification:', error);
@@ -41,130 +42,136 @@ async function sendThankYou(ctx, timezone) {
 }
 
 /**
- * Sends the one-month-before reminder notification if due (one month before Earth Hour, 20:30).
+ * Sends the thank-you notification again, e.g. from the settings page.
  * @param {object} ctx - App context: { homey, log, error }
- * @param {string} timezone
- * @param {number} nowMs
- * @param {number} useYear
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
  */
-async function sendOneMonthBeforeReminder(ctx, timezone, nowMs, useYear) {
-  try {
-    const oneMonth = earthHourDate.getOneMonthBeforeEarthHour(useYear, timezone);
-    if (!isWithinOneMinute(nowMs, oneMonth)) return;
-
-    const sent = await ctx.homey.settings.get('notifications.oneMonthBeforeYear');
-    if (sent === useYear) return;
-
-    const locale = ctx.homey.i18n.getLanguage();
-    const eh = earthHourDate.getEarthHourDate(useYear, timezone);
-    const excerpt = ctx.homey.__('notifications.oneMonthBefore', {
-      date: dateFormat.formatDateFriendlyNoYear(eh, timezone, locale),
-      time: dateFormat.formatTimeFriendly(eh, timezone),
-    });
-    await ctx.homey.notifications.createNotification({ excerpt });
-    await ctx.homey.settings.set('notifications.oneMonthBeforeYear', useYear);
-    ctx.log('[Notifications] One-month-before reminder sent');
-  } catch (error) {
-    ctx.error('[Notifications] Error sending one-month-before reminder:', error);
-  }
+async function resendThankYou(ctx, timezone) {
+  ctx.homey.settings.unset(THANK_YOU_SETTINGS_KEY);
+  await sendThankYou(ctx, timezone);
 }
 
 /**
- * Sends the one-week-before reminder if due (Saturday before EH, 20:30).
+ * A note for the reminders when Earth Hour starts before it is dark at Homey's location, with the
+ * sunset and civil dusk times.
  * @param {object} ctx - App context: { homey, log, error }
- * @param {string} timezone
- * @param {number} nowMs
- * @param {number} useYear
+ * @param {number} year - Earth Hour year
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {string|null} Null when it is dark at the start, or the location or dusk is unknown
  */
-async function sendOneWeekBeforeReminder(ctx, timezone, nowMs, useYear) {
-  try {
-    const oneWeek = earthHourDate.getOneWeekBeforeEarthHour(useYear, timezone);
-    if (!isWithinOneMinute(nowMs, oneWeek)) return;
-
-    const sent = await ctx.homey.settings.get('notifications.oneWeekBeforeYear');
-    if (sent === useYear) return;
-
-    const excerpt = ctx.homey.__('notifications.oneWeekBefore', {
-      time: dateFormat.formatTimeFriendly(earthHourDate.getEarthHourDate(useYear, timezone), timezone),
-    });
-    await ctx.homey.notifications.createNotification({ excerpt });
-    await ctx.homey.settings.set('notifications.oneWeekBeforeYear', useYear);
-    ctx.log('[Notifications] One-week-before reminder sent');
-  } catch (error) {
-    ctx.error('[Notifications] Error sending one-week-before reminder:', error);
-  }
+function getDarknessNote(ctx, year, timezone) {
+  const darkness = sun.getEarthHourDarkness(ctx, year, timezone);
+  if (!darkness || darkness.afterDusk || !darkness.sunset || !darkness.civilDusk) return null;
+  return ctx.homey.__('notifications.notDarkYet', {
+    time: dateFormat.formatTimeFriendly(darkness.start, timezone),
+    sunset: dateFormat.formatTimeFriendly(darkness.sunset, timezone),
+    dusk: dateFormat.formatTimeFriendly(darkness.civilDusk, timezone),
+  });
 }
 
 /**
- * Sends the one-day-before reminder if due (Friday before EH, 20:30).
+ * Lists the reminder moments still to come, for the scheduler: per event (see events.js), the
+ * reminders for the occurrence it counts towards. Reminders switched off, already sent for that
+ * year, or more than a minute in the past, are left out: a missed reminder is skipped rather than
+ * sent late. While the app clock is shifted (see clock.js) a missed reminder stays in until its
+ * event starts, so moving the clock forward delivers the reminders it skipped over.
  * @param {object} ctx - App context: { homey, log, error }
- * @param {string} timezone
- * @param {number} nowMs
- * @param {number} useYear
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ id: string, event: object, reminder: object, year: number, at: Date }[]}
  */
-async function sendOneDayBeforeReminder(ctx, timezone, nowMs, useYear) {
-  try {
-    const oneDay = earthHourDate.getOneDayBeforeEarthHour(useYear, timezone);
-    if (!isWithinOneMinute(nowMs, oneDay)) return;
-
-    const sent = await ctx.homey.settings.get('notifications.oneDayBeforeYear');
-    if (sent === useYear) return;
-
-    const excerpt = ctx.homey.__('notifications.oneDayBefore', {
-      time: dateFormat.formatTimeFriendly(earthHourDate.getEarthHourDate(useYear, timezone), timezone),
-    });
-    await ctx.homey.notifications.createNotification({ excerpt });
-    await ctx.homey.settings.set('notifications.oneDayBeforeYear', useYear);
-    ctx.log('[Notifications] One-day-before reminder sent');
-  } catch (error) {
-    ctx.error('[Notifications] Error sending one-day-before reminder:', error);
+function getPendingReminders(ctx, now, timezone) {
+  const pending = [];
+  for (const event of events.getEvents(ctx)) {
+    const { year, start } = events.getOccurrence(event, timezone, now);
+    for (const reminder of events.getEventReminders(ctx, event)) {
+      if (!reminder.enabled || reminders.hasSent(ctx, reminder, year)) continue;
+      const at = reminders.getReminderMomentBefore(reminder, start, timezone);
+      const missed = at.getTime() < now.getTime() - DUE_WINDOW_MS;
+      if (missed && !(clock.isShifted() && now.getTime() < start.getTime())) continue;
+      pending.push({
+        id: reminder.id, event, reminder, year, at,
+      });
+    }
   }
+  return pending;
 }
 
 /**
- * Sends the thirty-minutes-before reminder if due (EH day, 20:00).
+ * Posts a due reminder to the timeline, or only logs it when the user leaves delivery to a flow.
  * @param {object} ctx - App context: { homey, log, error }
- * @param {string} timezone
- * @param {number} nowMs
- * @param {number} useYear
+ * @param {{ id: string, message: string, year: number, timeline: boolean }} reminder - Due reminder
  */
-async function sendThirtyMinBeforeReminder(ctx, timezone, nowMs, useYear) {
+async function deliverReminder(ctx, {
+  id, message, year, timeline,
+}) {
+  if (!timeline) {
+    ctx.log(`[Notifications] Reminder ${id} due, timeline skipped`);
+    return;
+  }
   try {
-    const thirtyMin = earthHourDate.getThirtyMinutesBeforeEarthHour(useYear, timezone);
-    if (!isWithinOneMinute(nowMs, thirtyMin)) return;
-
-    const sent = await ctx.homey.settings.get('notifications.thirtyMinBeforeYear');
-    if (sent === useYear) return;
-
-    const excerpt = ctx.homey.__('notifications.thirtyMinBefore');
-    await ctx.homey.notifications.createNotification({ excerpt });
-    await ctx.homey.settings.set('notifications.thirtyMinBeforeYear', useYear);
-    ctx.log('[Notifications] Thirty-min-before reminder sent');
+    await ctx.homey.notifications.createNotification({ excerpt: message });
+    history.record(ctx, 'notification', id, { year });
+    ctx.log(`[Notifications] Reminder ${id} sent`);
   } catch (error) {
-    ctx.error('[Notifications] Error sending thirty-min-before reminder:', error);
+    ctx.error(`[Notifications] Error sending reminder ${id}:`, error);
   }
 }
 
 /**
- * Runs scheduled notification checks: if within ~1 minute of a notification moment,
- * sends the corresponding timeline notification and persists "sent" state per year.
+ * Runs scheduled notification checks: every pending reminder (see getPendingReminders) whose moment
+ * is at most a minute ahead is, in time order, recorded as sent for the event year and posted to the
+ * timeline, unless the user leaves delivery to a flow. When it isn't dark yet at the start of Earth
+ * Hour, its messages end with the sunset and dusk times. The due reminders are returned so the app
+ * can fire its trigger.
  * @param {object} ctx - App context: { homey, log, error }
  * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Promise<{ id: string, event: string, eventName: string, message: string, date: string, time: string }[]>}
+ *   Reminders that were due
  */
 async function runScheduledNotifications(ctx, timezone) {
-  const now = new Date();
-  const nowMs = now.getTime();
-  const currentYear = now.getFullYear();
-  const thisYearEh = earthHourDate.getEarthHourDate(currentYear, timezone);
-  const useYear = now >= thisYearEh ? currentYear + 1 : currentYear;
+  const now = clock.now();
+  const locale = ctx.homey.i18n.getLanguage();
+  const due = [];
+  for (const {
+    id, event, reminder, year, at,
+  } of getPendingReminders(ctx, now, timezone).sort((a, b) => a.at - b.at)) {
+    if (at.getTime() > now.getTime() + DUE_WINDOW_MS) continue;
+
+    const start = events.getEventStart(event, year, timezone);
+    const tokens = {
+      date: dateFormat.formatDateFriendlyNoYear(start, timezone, locale),
+      time: dateFormat.formatTimeFriendly(start, timezone),
+      year,
+      event: events.getEventName(ctx, event),
+    };
+    const text = reminders.getReminderMessage(ctx, reminder, tokens);
+    const darknessNote = event.id === events.EARTH_HOUR_ID ? getDarknessNote(ctx, year, timezone) : null;
+    const message = darknessNote ? `${text} ${darknessNote}` : text;
+    reminders.markSent(ctx, reminder, year);
+    due.push({
+      id, event: event.id, eventName: tokens.event, message, date: tokens.date, time: tokens.time,
+    });
+    await deliverReminder(ctx, {
+      id, message, year, timeline: reminder.timeline,
+    });
+  }
+  return due;
+}
 
-  await sendOneMonthBeforeReminder(ctx, timezone, nowMs, useYear);
-  await sendOneWeekBeforeReminder(ctx, timezone, nowMs, useYear);
-  await sendOneDayBeforeReminder(ctx, timezone, nowMs, useYear);
-  await sendThirtyMinBeforeReminder(ctx, timezone, nowMs, useYear);
+/**
+ * Forgets which reminders were sent, every event's, so the reminders that are still ahead go out again.
+ * @param {object} ctx - App context: { homey, log, error }
+ */
+function resetReminders(ctx) {
+  reminders.resetSent(ctx);
+  ctx.log('[Notifications] Reminder sent state reset');
 }
 
 module.exports = {
   sendThankYou,
+  resendThankYou,
+  getPendingReminders,
   runScheduledNotifications,
+  resetReminders,
 };
@@ -0,0 +1,281 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const earthHourDate = require('./earthHourDate');
+
+/**
+ * Reminder definitions. A reminder is due a given offset before the Earth Hour start, optionally at
+ * a fixed local time of day ("3 days before at 09:00"), and is sent at most once per Earth Hour year.
+ * The four built-in reminders are default entries; users add their own in the app settings.
+ *
+ * Definition: { id, amount, unit, time, messageKey, message, enabled, timeline }, where unit is one of
+ * OFFSET_UNITS, time is 'HH:mm' or null (same time of day as the start), and the text comes from
+ * messageKey (a locale key) or message (the user's own text, a string or { [language]: string }).
+ * timeline is false when a flow (the "reminder due" trigger) delivers the reminder instead.
+ */
+
+/** Offset units a reminder can use. */
+const OFFSET_UNITS = ['minutes', 'hours', 'days', 'weeks', 'months'];
+
+/**
+ * Built-in reminders. legacySettingsKey is where the sent year was stored before reminders had
+ * a shared sent-state map; it is still read so an update doesn't send a reminder twice.
+ */
+const DEFAULT_REMINDERS = [
+  {
+    id: 'oneMonthBefore', amount: 1, unit: 'months', messageKey: 'notifications.oneMonthBefore', legacySettingsKey: 'notifications.oneMonthBeforeYear',
+  },
+  {
+    id: 'oneWeekBefore', amount: 1, unit: 'weeks', messageKey: 'notifications.oneWeekBefore', legacySettingsKey: 'notifications.oneWeekBeforeYear',
+  },
+  {
+    id: 'oneDayBefore', amount: 1, unit: 'days', messageKey: 'notifications.oneDayBefore', legacySettingsKey: 'notifications.oneDayBeforeYear',
+  },
+  {
+    id: 'thirtyMinBefore', amount: 30, unit: 'minutes', messageKey: 'notifications.thirtyMinBefore', legacySettingsKey: 'notifications.thirtyMinBeforeYear',
+  },
+].map((reminder) => ({
+  id: reminder.id,
+  amount: reminder.amount,
+  unit: reminder.unit,
+  time: null,
+  messageKey: reminder.messageKey,
+  message: null,
+  enabled: true,
+  timeline: true,
+  legacySettingsKey: reminder.legacySettingsKey,
+}));
+
+/** Settings key holding the user's own reminders: an array of raw definitions. */
+const CUSTOM_SETTINGS_KEY = 'notifications.custom';
+
+/** Settings key holding which reminders are switched on: { [reminderId]: boolean }; overrides the definition. */
+const ENABLED_SETTINGS_KEY = 'notifications.enabled';
+
+/** Settings key holding which reminders are posted to the timeline: { [reminderId]: boolean }; overrides the definition. */
+const TIMELINE_SETTINGS_KEY = 'notifications.timeline';
+
+/** Settings key holding, per reminder id, the year it was last sent for; other events' reminders (see events.js) included. */
+const SENT_SETTINGS_KEY = 'notifications.sentYears';
+
+/** Longest offset we accept for a user reminder, in days; anything further is before the previous Earth Hour. */
+const MAX_OFFSET_DAYS = 300;
+
+/** Rough length of each unit in days, only used to enforce MAX_OFFSET_DAYS. */
+const UNIT_DAYS = {
+  minutes: 1 / (24 * 60), hours: 1 / 24, days: 1, weeks: 7, months: 31,
+};
+
+/** Valid user reminders per app context, kept by loadCustomReminders so settings are only checked when they change. */
+const loadedCustomReminders = new WeakMap();
+
+/**
+ * Validates a user-defined reminder from settings.
+ * @param {object} entry - Raw definition: { id, amount, unit, time?, message?, enabled?, timeline? }
+ * @returns {object|null} Normalized definition, or null when invalid
+ */
+function normalizeCustomReminder(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const {
+    id, amount, unit, time, message, enabled, timeline,
+  } = entry;
+  if (typeof id !== 'string' || !/^custom-[\w-]+$/.test(id)) return null;
+  if (!Number.isInteger(amount) || amount < 0 || !OFFSET_UNITS.includes(unit)) return null;
+  if (amount * UNIT_DAYS[unit] > MAX_OFFSET_DAYS) return null;
+  if (time !== undefined && time !== null && (typeof time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) return null;
+
+  const isText = (value) => typeof value === 'string' && value.length <= 500;
+  const validMessage = message === undefined || message === null || isText(message)
+    || (typeof message === 'object' && Object.values(message).every(isText));
+  if (!validMessage) return null;
+
+  return {
+    id,
+    amount,
+    unit,
+    time: time || null,
+    messageKey: null,
+    message: message || null,
+    enabled: enabled !== false,
+    timeline: timeline !== false,
+  };
+}
+
+/**
+ * Drops the sent state of the reminders picked, e.g. ones that were removed.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {(id: string) => boolean} isForgotten - Picks the reminder ids to drop
+ */
+function forgetSent(ctx, isForgotten) {
+  const sent = ctx.homey.settings.get(SENT_SETTINGS_KEY) || {};
+  if (!Object.keys(sent).some(isForgotten)) return;
+  const next = {};
+  for (const [id, year] of Object.entries(sent)) if (!isForgotten(id)) next[id] = year;
+  ctx.homey.settings.set(SENT_SETTINGS_KEY, next);
+}
+
+/**
+ * Validates the user's reminders from settings and keeps them for getReminders. The app calls this
+ * whenever the setting changes, so invalid entries and duplicate ids are logged once per change.
+ * The sent state of Earth Hour reminders that no longer exist is dropped, so the map doesn't grow
+ * with every reminder ever added; other events' reminder ids have a dot and are left to events.js.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {object[]} Valid user reminder definitions
+ */
+function loadCustomReminders(ctx) {
+  const custom = ctx.homey.settings.get(CUSTOM_SETTINGS_KEY) || [];
+  const loaded = [];
+  for (const entry of Array.isArray(custom) ? custom : []) {
+    const reminder = normalizeCustomReminder(entry);
+    if (!reminder) {
+      ctx.error('[Reminders] Ignoring invalid reminder:', JSON.stringify(entry));
+    } else if (loaded.some(({ id }) => id === reminder.id)) {
+      ctx.error(`[Reminders] Ignoring reminder with duplicate id: ${reminder.id}`);
+    } else {
+      loaded.push(reminder);
+    }
+  }
+  loadedCustomReminders.set(ctx, loaded);
+
+  const ids = [...DEFAULT_REMINDERS, ...loaded].map(({ id }) => id);
+  forgetSent(ctx, (id) => !id.includes('.') && !ids.includes(id));
+  return loaded;
+}
+
+/**
+ * Copies reminder definitions with the enabled and timeline flags the user set in settings, which
+ * override the definitions'.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object[]} definitions - Reminder definitions
+ * @returns {object[]} Reminder definitions
+ */
+function applySwitches(ctx, definitions) {
+  const enabled = ctx.homey.settings.get(ENABLED_SETTINGS_KEY) || {};
+  const timeline = ctx.homey.settings.get(TIMELINE_SETTINGS_KEY) || {};
+  return definitions.map((reminder) => {
+    const resolved = {};
+    for (const [key, value] of Object.entries(reminder)) resolved[key] = value;
+    if (typeof enabled[reminder.id] === 'boolean') resolved.enabled = enabled[reminder.id];
+    if (typeof timeline[reminder.id] === 'boolean') resolved.timeline = timeline[reminder.id];
+    return resolved;
+  });
+}
+
+/**
+ * Returns every Earth Hour reminder, built-in first, with the enabled and timeline flags resolved
+ * from settings. User reminders come from loadCustomReminders, which runs on first use.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {object[]} Reminder definitions
+ */
+function getReminders(ctx) {
+  return applySwitches(ctx, [...DEFAULT_REMINDERS, ...(loadedCustomReminders.get(ctx) || loadCustomReminders(ctx))]);
+}
+
+/**
+ * Returns the moment a reminder is due before any start, e.g. of another event (see events.js).
+ * @param {{ amount: number, unit: string, time?: string|null }} reminder - Offset and time of day
+ * @param {Date} startDate - Start the offset counts back from
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Date}
+ */
+function getReminderMomentBefore(reminder, startDate, timezone) {
+  const start = DateTime.fromJSDate(startDate).setZone(timezone);
+  let moment = start.minus({ [reminder.unit]: reminder.amount });
+  if (reminder.time) {
+    const [hour, minute] = reminder.time.split(':').map(Number);
+    moment = moment.set({
+      hour, minute, second: 0, millisecond: 0,
+    });
+  }
+  return moment.toJSDate();
+}
+
+/**
+ * Returns the moment a reminder is due for an Earth Hour year: the start minus the offset, moved
+ * to the reminder's time of day when it has one.
+ * @param {object} reminder - Reminder definition
+ * @param {number} year - Earth Hour year
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Date}
+ */
+function getReminderMoment(reminder, year, timezone) {
+  return getReminderMomentBefore(reminder, earthHourDate.getEarthHourDate(year, timezone), timezone);
+}
+
+/**
+ * True if the reminder was already sent for the given year.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} reminder - Reminder definition
+ * @param {number} year - Earth Hour year
+ * @returns {boolean}
+ */
+function hasSent(ctx, reminder, year) {
+  const sent = ctx.homey.settings.get(SENT_SETTINGS_KEY) || {};
+  if (sent[reminder.id] === year) return true;
+  return Boolean(reminder.legacySettingsKey) && ctx.homey.settings.get(reminder.legacySettingsKey) === year;
+}
+
+/**
+ * Records that the reminder was sent for the given year.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} reminder - Reminder definition
+ * @param {number} year - Earth Hour year
+ */
+function markSent(ctx, reminder, year) {
+  const sent = ctx.homey.settings.get(SENT_SETTINGS_KEY) || {};
+  sent[reminder.id] = year;
+  ctx.homey.settings.set(SENT_SETTINGS_KEY, sent);
+}
+
+/**
+ * Forgets which reminders were sent, every event's, including the built-ins' legacy keys.
+ * @param {object} ctx - App context: { homey, log, error }
+ */
+function resetSent(ctx) {
+  ctx.homey.settings.unset(SENT_SETTINGS_KEY);
+  for (const { legacySettingsKey } of DEFAULT_REMINDERS) {
+    ctx.homey.settings.unset(legacySettingsKey);
+  }
+}
+
+/**
+ * Builds the reminder text in the user's language. Locale messages get the date, time and year as
+ * tokens; the user's own text gets [date], [time] and [year] filled in (not __date__, which the
+ * settings page's translation would swallow), and [event] for another event's reminders. A user
+ * reminder without text gets a generic message.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} reminder - Reminder definition
+ * @param {{ date: string, time: string, year: number, event?: string }} tokens - Formatted date and time
+ * @returns {string}
+ */
+function getReminderMessage(ctx, reminder, tokens) {
+  if (reminder.messageKey) return ctx.homey.__(reminder.messageKey, tokens);
+
+  let text = reminder.message;
+  if (text && typeof text === 'object') {
+    const language = ctx.homey.i18n.getLanguage();
+    text = text[language] || text.en || Object.values(text)[0];
+  }
+  if (!text) return ctx.homey.__('notifications.customReminder', tokens);
+  return text.replace(/\[(date|time|year|event)\]/g, (match, token) => (token in tokens ? String(tokens[token]) : match));
+}
+
+module.exports = {
+  OFFSET_UNITS,
+  DEFAULT_REMINDERS,
+  CUSTOM_SETTINGS_KEY,
+  ENABLED_SETTINGS_KEY,
+  TIMELINE_SETTINGS_KEY,
+  SENT_SETTINGS_KEY,
+  normalizeCustomReminder,
+  loadCustomReminders,
+  applySwitches,
+  getReminders,
+  getReminderMoment,
+  getReminderMomentBefore,
+  hasSent,
+  markSent,
+  forgetSent,
+  resetSent,
+  getReminderMessage,
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const earthHourDate = require('./earthHourDate');
+const earthHourSchedule = require('./earthHourSchedule');
+const dateFormat = require('./dateFormat');
+const history = require('./history');
+const clock = require('./clock');
+
+/**
+ * Syncs the official Earth Hour schedule from a small remote JSON feed. The last good payload is
+ * cached in settings so the app keeps using it offline; when nothing was ever fetched the bundled
+ * dates and the last-Saturday rule still apply.
+ *
+ * Feed format: { "years": { "2027": { "date": "2027-03-27", "time": "20:30", "duration": 60, "theme": "…" } } }
+ */
+
+const DEFAULT_FEED_URL = 'https://raw.githubusercontent.com/Doekse/earthhour-homey/main/schedule.json';
+
+/** Settings key for the last good feed: { fetchedAt, url, years }. */
+const CACHE_SETTINGS_KEY = 'schedule.feed';
+
+/** Optional settings key to point the app at another feed (e.g. a local test server). */
+const URL_SETTINGS_KEY = 'schedule.feedUrl';
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+/**
+ * Fetches and JSON-parses a URL over http or https. Rejects on non-200 responses, oversized bodies,
+ * timeouts and invalid JSON so callers can treat every failure as "offline".
+ * @param {string} url - Feed URL
+ * @param {number} [timeoutMs] - Request timeout in milliseconds
+ * @returns {Promise<object>} Parsed JSON body
+ */
+function fetchJson(url, timeoutMs = REQUEST_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.get(url, { timeout: timeoutMs }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`Unexpected status ${response.statusCode} from ${url}`));
+        return;
+      }
+
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_RESPONSE_BYTES) {
+          request.destroy(new Error(`Response from ${url} exceeds ${MAX_RESPONSE_BYTES} bytes`));
+        }
+      });
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new Error(`Invalid JSON from ${url}: ${error.message}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Validates a feed payload. A single bad entry rejects the whole payload: remote data is all or
+ * nothing, so a broken publish never half-replaces a good cached copy.
+ * @param {object} payload - Parsed feed JSON
+ * @returns {object} Normalized entries keyed by year
+ * @throws {Error} When the payload or any entry is invalid
+ */
+function parseFeed(payload) {
+  if (!payload || typeof payload !== 'object' || !payload.years || typeof payload.years !== 'object') {
+    throw new Error('Feed must be an object with a "years" object');
+  }
+
+  const years = {};
+  for (const [key, entry] of Object.entries(payload.years)) {
+    const year = Number(key);
+    const normalized = Number.isInteger(year) ? earthHourSchedule.normalizeEntry(year, entry) : null;
+    if (!normalized) {
+      throw new Error(`Invalid feed entry for ${key}`);
+    }
+    years[year] = normalized;
+  }
+  if (Object.keys(years).length === 0) {
+    throw new Error('Feed contains no years');
+  }
+  return years;
+}
+
+/**
+ * Loads the cached feed from settings into the schedule table. Called at boot so the last good
+ * copy applies before (or without) any network access.
+ * @param {object} ctx - App context: { homey, log, error }
+ */
+function loadCachedFeed(ctx) {
+  const cached = ctx.homey.settings.get(CACHE_SETTINGS_KEY);
+  if (!cached || !cached.years) return;
+
+  try {
+    earthHourSchedule.setFeedEntries(parseFeed(cached));
+    ctx.log(`[ScheduleFeed] Loaded cached feed from ${cached.fetchedAt}`);
+  } catch (error) {
+    ctx.error('[ScheduleFeed] Ignoring invalid cached feed:', error);
+  }
+}
+
+/**
+ * Fetches the feed, applies it to the schedule table and caches it. If the upcoming Earth Hour
+ * moved as a result, posts a timeline notice; triggers and reminders read the schedule table, so
+ * they follow the new date without further work. Failures leave the current table untouched.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {Promise<{ updated: boolean, changed: boolean }>} Whether the feed applied and whether
+ *   the upcoming start moved
+ */
+async function syncFeed(ctx, timezone) {
+  const url = ctx.homey.settings.get(URL_SETTINGS_KEY) || DEFAULT_FEED_URL;
+
+  let years;
+  try {
+    years = parseFeed(await fetchJson(url));
+  } catch (error) {
+    ctx.error(`[ScheduleFeed] Sync failed, keeping current schedule: ${error.message}`);
+    return { updated: false, changed: false };
+  }
+
+  const previousStart = earthHourDate.getUpcomingEarthHourStart(timezone);
+  earthHourSchedule.setFeedEntries(years);
+  ctx.homey.settings.set(CACHE_SETTINGS_KEY, { fetchedAt: clock.now().toISOString(), url, years });
+
+  const upcomingStart = earthHourDate.getUpcomingEarthHourStart(timezone);
+  const changed = upcomingStart.getTime() !== previousStart.getTime();
+  ctx.log(`[ScheduleFeed] Synced ${Object.keys(years).length} year(s) from ${url}${changed ? ', upcoming date changed' : ''}`);
+
+  if (changed) {
+    try {
+      const locale = ctx.homey.i18n.getLanguage();
+      const excerpt = ctx.homey.__('notifications.dateChanged', {
+        date: dateFormat.formatDateFriendly(upcomingStart, timezone, locale),
+        time: dateFormat.formatTimeFriendly(upcomingStart, timezone),
+      });
+      await ctx.homey.notifications.createNotification({ excerpt });
+      history.record(ctx, 'notification', 'dateChanged');
+    } catch (error) {
+      ctx.error('[ScheduleFeed] Error sending date-changed notification:', error);
+    }
+  }
+
+  return { updated: true, changed };
+}
+
+module.exports = {
+  DEFAULT_FEED_URL,
+  CACHE_SETTINGS_KEY,
+  URL_SETTINGS_KEY,
+  fetchJson,
+  parseFeed,
+  loadCachedFeed,
+  syncFeed,
+};
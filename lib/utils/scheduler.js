@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Single-timer scheduler for everything time-based in the app (start/end triggers, reminders).
+ * Instead of polling every minute it asks for the pending jobs, arms one timer for the earliest
+ * and runs whatever is due when it fires. Long timers drift and pause while the system sleeps, so
+ * the timer is armed at most MAX_TIMER_MS ahead, and a cheap heartbeat compares the wall clock with
+ * the monotonic clock to re-arm after clock jumps or wake-from-sleep.
+ *
+ * A job is { id, at: Date, run: async () => void }. Job sources only return jobs that still need
+ * to run (e.g. not yet fired this year); a job whose time has passed is run immediately. Due jobs
+ * run in time order, so moving the app clock forward (see clock.js) replays them as they would
+ * have happened; reminders a real clock would skip when missed are replayed too while it is shifted
+ * (see notifications.getPendingReminders).
+ */
+
+const clock = require('./clock');
+
+/** Longest single timer; the scheduler re-evaluates at least this often. */
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+/** How often the wall clock is checked against the monotonic clock. */
+const HEARTBEAT_MS = 10 * 60 * 1000;
+
+/** Wall clock vs monotonic difference above which we assume the clock jumped or the system slept. */
+const CLOCK_JUMP_THRESHOLD_MS = 30 * 1000;
+
+/** Jobs this close to now count as due, so a timer firing a few ms early doesn't re-arm for nothing. */
+const DUE_TOLERANCE_MS = 1000;
+
+/**
+ * Milliseconds from the monotonic clock, which is unaffected by wall clock changes.
+ * @returns {number}
+ */
+function monotonicNow() {
+  const [seconds, nanoseconds] = process.hrtime();
+  return seconds * 1000 + nanoseconds / 1e6;
+}
+
+/**
+ * Creates a scheduler bound to the app's Homey timers.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {(now: Date) => { id: string, at: Date, run: () => Promise<void> }[]} getJobs - Returns
+ *   the jobs that still need to run; called on every (re-)arm
+ * @param {object} [options] - Overrides for tests: { maxTimerMs, heartbeatMs }
+ * @returns {{ start: () => void, stop: () => void, reschedule: (reason: string) => void }}
+ */
+function createScheduler(ctx, getJobs, options = {}) {
+  const maxTimerMs = options.maxTimerMs || MAX_TIMER_MS;
+  const heartbeatMs = options.heartbeatMs || HEARTBEAT_MS;
+
+  let active = false;
+  let timer = null;
+  let heartbeat = null;
+  let running = false;
+  let pendingReschedule = false;
+  let lastWallMs = 0;
+  let lastMonotonicMs = 0;
+
+  /** Clears the job timer (not the heartbeat). */
+  function clearTimer() {
+    if (timer) {
+      ctx.homey.clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Runs all due jobs, then arms the timer for the next one. Jobs that ran in this pass are not run
+   * again even if their source still lists them, so a job that fails to record its state cannot
+   * spin in a loop.
+   * @param {string} reason - Why we are evaluating, for the log
+   */
+  async function evaluate(reason) {
+    if (!active) return;
+    if (running) {
+      pendingReschedule = true;
+      return;
+    }
+    running = true;
+    clearTimer();
+
+    try {
+      const ran = new Set();
+      let due;
+      do {
+        const now = clock.now();
+        due = getJobs(now).filter((job) => job.at.getTime() <= now.getTime() + DUE_TOLERANCE_MS
+          && !ran.has(`${job.id}@${job.at.getTime()}`))
+          .sort((a, b) => a.at - b.at);
+        for (const job of due) {
+          ran.add(`${job.id}@${job.at.getTime()}`);
+          try {
+            await job.run();
+          } catch (error) {
+            ctx.error(`[Scheduler] Job ${job.id} failed:`, error);
+          }
+        }
+      } while (due.length > 0);
+
+      if (!active) return;
+      const now = clock.now();
+      const next = getJobs(now)
+        .filter((job) => job.at.getTime() > now.getTime() + DUE_TOLERANCE_MS)
+        .sort((a, b) => a.at - b.at)[0];
+      // A frozen clock never reaches the next job; the clock setting changing reschedules instead.
+      const delayMs = next && !clock.isFixed() ? Math.min(next.at.getTime() - now.getTime(), maxTimerMs) : maxTimerMs;
+      timer = ctx.homey.setTimeout(() => {
+        timer = null;
+        evaluate('timer').catch((error) => ctx.error('[Scheduler] Unexpected error:', error));
+      }, delayMs);
+
+      ctx.log(
+        `[Scheduler] (${reason}) next job: ${next ? `${next.id} at ${next.at.toISOString()}` : 'none'}, `
+        + `waking in ${Math.round(delayMs / 1000)}s`,
+      );
+    } catch (error) {
+      ctx.error('[Scheduler] Error evaluating jobs:', error);
+      clearTimer();
+      timer = ctx.homey.setTimeout(() => {
+        timer = null;
+        evaluate('retry').catch((error) => ctx.error('[Scheduler] Unexpected error:', error));
+      }, maxTimerMs);
+    } finally {
+      running = false;
+    }
+
+    if (pendingReschedule) {
+      pendingReschedule = false;
+      await evaluate('deferred');
+    }
+  }
+
+  /**
+   * Starts an evaluation without waiting for it; evaluate handles its own errors.
+   * @param {string} reason - Why we are evaluating, for the log
+   */
+  function evaluateSoon(reason) {
+    evaluate(reason).catch((error) => ctx.error('[Scheduler] Unexpected error:', error));
+  }
+
+  /**
+   * Heartbeat: if the wall clock moved more or less than the monotonic clock, the clock was changed
+   * or the system slept, so the armed timer no longer points at the right moment.
+   */
+  function checkClock() {
+    const wallMs = Date.now();
+    const monoMs = monotonicNow();
+    const driftMs = (wallMs - lastWallMs) - (monoMs - lastMonotonicMs);
+    lastWallMs = wallMs;
+    lastMonotonicMs = monoMs;
+    if (Math.abs(driftMs) > CLOCK_JUMP_THRESHOLD_MS) {
+      evaluateSoon(`clock jumped ${Math.round(driftMs / 1000)}s`);
+    }
+  }
+
+  return {
+    start() {
+      active = true;
+      lastWallMs = Date.now();
+      lastMonotonicMs = monotonicNow();
+      if (!heartbeat) {
+        heartbeat = ctx.homey.setInterval(checkClock, heartbeatMs);
+      }
+      evaluateSoon('start');
+    },
+
+    stop() {
+      active = false;
+      clearTimer();
+      if (heartbeat) {
+        ctx.homey.clearInterval(heartbeat);
+        heartbeat = null;
+      }
+    },
+
+    reschedule(reason) {
+      evaluateSoon(reason);
+    },
+  };
+}
+
+module.exports = {
+  createScheduler,
+};
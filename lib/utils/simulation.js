@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Simulated Earth Hour, to rehearse flows on any evening. While a simulation runs, the current state
+ * in earthHourState is as if Earth Hour started at the simulation start and lasts the chosen
+ * minutes, so the conditions, flow tokens, device and "state changed" trigger follow it, and the
+ * start and end triggers fire with the simulated token set. The per-year fired state in
+ * triggerState is never touched, so the real Earth Hour still fires as usual.
+ *
+ * The simulation is kept in settings ({ startAt, endAt } in ms) so the end still fires after a restart.
+ */
+
+/** Settings key holding the running simulation. */
+const SETTINGS_KEY = 'simulation.state';
+
+/** Longest simulation, in minutes. */
+const MAX_MINUTES = 120;
+
+/**
+ * Starts a simulation, replacing any that is running.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {number} minutes - Length of the simulated Earth Hour (1–MAX_MINUTES)
+ * @param {Date} now - Current moment
+ * @returns {{ startAt: number, endAt: number }}
+ */
+function startSimulation(ctx, minutes, now) {
+  const length = Math.min(Math.max(Math.round(minutes), 1), MAX_MINUTES);
+  const simulation = { startAt: now.getTime(), endAt: now.getTime() + length * 60 * 1000 };
+  ctx.homey.settings.set(SETTINGS_KEY, simulation);
+  ctx.log(`[Simulation] Simulating Earth Hour for ${length} minutes`);
+  return simulation;
+}
+
+/**
+ * Ends the simulation, if one is running.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {boolean} True if a simulation was running
+ */
+function endSimulation(ctx) {
+  if (!ctx.homey.settings.get(SETTINGS_KEY)) return false;
+  ctx.homey.settings.unset(SETTINGS_KEY);
+  ctx.log('[Simulation] Simulation ended');
+  return true;
+}
+
+/**
+ * Returns the running simulation, including one whose end is overdue (it still has to fire).
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {{ startAt: number, endAt: number }|null}
+ */
+function getSimulation(ctx) {
+  return ctx.homey.settings.get(SETTINGS_KEY) || null;
+}
+
+/**
+ * The simulated start or end for the "time until / since" condition, in the terms of
+ * earthHourTime.getReferenceMoment: only when it is on the asked side of now.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {'start'|'end'} reference - Start or end of Earth Hour
+ * @param {'until'|'since'} direction - Towards the next moment or from the last one
+ * @param {Date} now - Current moment
+ * @returns {Date|null} Null when no simulation is running or the moment is on the other side
+ */
+function getSimulatedMoment(ctx, reference, direction, now) {
+  const simulation = getSimulation(ctx);
+  if (!simulation) return null;
+  const at = reference === 'end' ? simulation.endAt : simulation.startAt;
+  const passed = at <= now.getTime();
+  return passed === (direction === 'since') ? new Date(at) : null;
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  MAX_MINUTES,
+  startSimulation,
+  endSimulation,
+  getSimulation,
+  getSimulatedMoment,
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+const deviceAdapter = require('./deviceAdapter');
+const clock = require('./clock');
+
+/**
+ * Snapshot and restore of device states around Earth Hour. "Turn everything back on" is wrong for
+ * devices that were already off and loses dim levels and colors, so before switching off we record
+ * each device's restorable capabilities and put exactly those back afterwards.
+ */
+
+/** Settings key holding the snapshot: { takenAt, devices: { [id]: { name, values } } }. */
+const SNAPSHOT_SETTINGS_KEY = 'snapshot.devices';
+
+/** Settings key: restore the snapshot automatically when Earth Hour ends. */
+const AUTO_RESTORE_SETTINGS_KEY = 'snapshot.autoRestore';
+
+/**
+ * Capabilities we save and restore, in restore order: mode and color before brightness, and
+ * onoff last so lights come back on at the right level instead of flashing at the old one.
+ */
+const RESTORABLE_CAPABILITIES = ['light_mode', 'light_hue', 'light_saturation', 'light_temperature', 'dim', 'onoff'];
+
+/**
+ * Saves the state of matching devices that can be switched, then switches off the ones that are on.
+ * Devices already in the snapshot keep their saved state, so running the card twice (or once per
+ * zone) doesn't overwrite "on" with the "off" we just set.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} adapter - Device adapter (see deviceAdapter.createDeviceAdapter)
+ * @param {{ zone?: string, deviceClass?: string }} filter - Zone id (or 'all') and device class (or 'all')
+ * @returns {Promise<{ saved: number, switchedOff: number }>}
+ */
+async function snapshotAndSwitchOff(ctx, adapter, { zone, deviceClass }) {
+  const zoneIds = await adapter.getZoneIds(zone);
+  const devices = deviceAdapter.filterDevices(await adapter.getDevices(), zoneIds, deviceClass)
+    .filter((device) => typeof device.capabilities.onoff === 'boolean');
+
+  const snapshot = ctx.homey.settings.get(SNAPSHOT_SETTINGS_KEY) || { takenAt: clock.now().toISOString(), devices: {} };
+  let saved = 0;
+  for (const device of devices) {
+    if (snapshot.devices[device.id]) continue;
+    const values = {};
+    for (const capabilityId of RESTORABLE_CAPABILITIES) {
+      if (device.capabilities[capabilityId] !== undefined && device.capabilities[capabilityId] !== null) {
+        values[capabilityId] = device.capabilities[capabilityId];
+      }
+    }
+    snapshot.devices[device.id] = { name: device.name, values };
+    saved += 1;
+  }
+  // Persist before switching anything off, so a crash halfway can still be restored.
+  ctx.homey.settings.set(SNAPSHOT_SETTINGS_KEY, snapshot);
+
+  let switchedOff = 0;
+  for (const device of devices) {
+    if (!device.capabilities.onoff) continue;
+    try {
+      await adapter.setCapabilityValue(device.id, 'onoff', false);
+      switchedOff += 1;
+    } catch (error) {
+      ctx.error(`[Snapshot] Could not switch off ${device.name}:`, error);
+    }
+  }
+
+  ctx.log(`[Snapshot] Saved ${saved} device(s), switched off ${switchedOff}`);
+  return { saved, switchedOff };
+}
+
+/**
+ * Puts every device in the snapshot back to its saved state and clears the snapshot. Devices that
+ * were off stay off; devices that were on get their color and brightness back before switching on.
+ * Devices that fail (e.g. removed or unreachable) are logged and skipped.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {object} adapter - Device adapter (see deviceAdapter.createDeviceAdapter)
+ * @returns {Promise<{ restored: number, failed: number }>}
+ */
+async function restoreSnapshot(ctx, adapter) {
+  const snapshot = ctx.homey.settings.get(SNAPSHOT_SETTINGS_KEY);
+  if (!snapshot || !snapshot.devices) {
+    ctx.log('[Snapshot] Nothing to restore');
+    return { restored: 0, failed: 0 };
+  }
+
+  let restored = 0;
+  let failed = 0;
+  for (const [deviceId, { name, values }] of Object.entries(snapshot.devices)) {
+    if (!values.onoff) continue;
+    try {
+      for (const capabilityId of RESTORABLE_CAPABILITIES) {
+        if (values[capabilityId] !== undefined) {
+          await adapter.setCapabilityValue(deviceId, capabilityId, values[capabilityId]);
+        }
+      }
+      restored += 1;
+    } catch (error) {
+      failed += 1;
+      ctx.error(`[Snapshot] Could not restore ${name}:`, error);
+    }
+  }
+
+  ctx.homey.settings.unset(SNAPSHOT_SETTINGS_KEY);
+  ctx.log(`[Snapshot] Restored ${restored} device(s), ${failed} failed`);
+  return { restored, failed };
+}
+
+module.exports = {
+  SNAPSHOT_SETTINGS_KEY,
+  AUTO_RESTORE_SETTINGS_KEY,
+  snapshotAndSwitchOff,
+  restoreSnapshot,
+};
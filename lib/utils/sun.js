@@ -0,0 +1,163 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const earthHourDate = require('./earthHourDate');
+const earthHourState = require('./earthHourState');
+
+/**
+ * Sunset and civil dusk for Earth Hour, computed offline from Homey's location with the sunrise
+ * equation (accurate to a minute or two, no sun or weather API). At 20:30 in late March it is still
+ * light in the far north and the west of some time zones, so the app warns in the reminders and
+ * offers a start trigger at the later of the Earth Hour start and civil dusk.
+ *
+ * The "Earth Hour starts in the dark" trigger fires once per Earth Hour year; its fired-state is
+ * kept like the start/end triggers' (see triggerState), so restarts don't fire it twice.
+ */
+
+/** Settings key holding the last Earth Hour year the "starts in the dark" trigger fired for. */
+const DARK_FIRED_SETTINGS_KEY = 'sun.darkStartFiredYear';
+
+/** Sun altitude at sunset in degrees: the upper limb touching the horizon, with refraction. */
+const SUNSET_ALTITUDE = -0.833;
+
+/** Sun altitude at the end of civil twilight in degrees, from when it counts as dark. */
+const CIVIL_DUSK_ALTITUDE = -6;
+
+/** Julian date of the Unix epoch, and of J2000 (2000-01-01 12:00 UTC). */
+const JULIAN_UNIX_EPOCH = 2440587.5;
+const JULIAN_2000 = 2451545;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RADIANS = Math.PI / 180;
+
+/**
+ * The moment the sun sinks to an altitude in the evening of a day.
+ * @param {{ year: number, month: number, day: number }} date - Local calendar date
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @param {number} altitude - Sun altitude in degrees
+ * @returns {Date|null} Null when the sun stays above the altitude all day (white nights); the
+ *   solar midnight before the day when it stays below (already dark)
+ */
+function getEveningMoment(date, latitude, longitude, altitude) {
+  const noonUtcMs = Date.UTC(date.year, date.month - 1, date.day, 12);
+  const meanSolarNoon = noonUtcMs / DAY_MS + JULIAN_UNIX_EPOCH - JULIAN_2000 - longitude / 360;
+  const anomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+  const center = 1.9148 * Math.sin(anomaly * RADIANS) + 0.02 * Math.sin(2 * anomaly * RADIANS)
+    + 0.0003 * Math.sin(3 * anomaly * RADIANS);
+  const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = JULIAN_2000 + meanSolarNoon + 0.0053 * Math.sin(anomaly * RADIANS)
+    - 0.0069 * Math.sin(2 * eclipticLongitude * RADIANS);
+  const declination = Math.asin(Math.sin(eclipticLongitude * RADIANS) * Math.sin(23.4397 * RADIANS));
+
+  const cosHourAngle = (Math.sin(altitude * RADIANS) - Math.sin(latitude * RADIANS) * Math.sin(declination))
+    / (Math.cos(latitude * RADIANS) * Math.cos(declination));
+  if (cosHourAngle < -1) return null;
+  const hourAngle = cosHourAngle > 1 ? -180 : Math.acos(cosHourAngle) / RADIANS;
+  return new Date(Math.round(((transit + hourAngle / 360) - JULIAN_UNIX_EPOCH) * DAY_MS));
+}
+
+/**
+ * Sunset and civil dusk on a local calendar date.
+ * @param {{ year: number, month: number, day: number }} date - Local calendar date
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @returns {{ sunset: Date|null, civilDusk: Date|null }} Null when it doesn't get that dark that day
+ */
+function getSunTimes(date, latitude, longitude) {
+  return {
+    sunset: getEveningMoment(date, latitude, longitude, SUNSET_ALTITUDE),
+    civilDusk: getEveningMoment(date, latitude, longitude, CIVIL_DUSK_ALTITUDE),
+  };
+}
+
+/**
+ * Homey's location, or null when it isn't known (location access off or not set).
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {{ latitude: number, longitude: number }|null}
+ */
+function getLocation(ctx) {
+  const latitude = ctx.homey.geolocation.getLatitude();
+  const longitude = ctx.homey.geolocation.getLongitude();
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (latitude === 0 && longitude === 0) return null;
+  return { latitude, longitude };
+}
+
+/**
+ * How dark it is at Earth Hour of a year, at Homey's location. darkAt is the later of the start and
+ * civil dusk, or null when it doesn't get dark before Earth Hour ends.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {number} year - Earth Hour year
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ start: Date, end: Date, sunset: Date|null, civilDusk: Date|null, afterSunset: boolean,
+ *   afterDusk: boolean, darkAt: Date|null }|null} Null when Homey's location isn't known
+ */
+function getEarthHourDarkness(ctx, year, timezone) {
+  const location = getLocation(ctx);
+  if (!location) return null;
+  const start = earthHourDate.getEarthHourDate(year, timezone);
+  const end = earthHourDate.getEarthHourEnd(year, timezone);
+  const { year: localYear, month, day } = DateTime.fromJSDate(start).setZone(timezone);
+  const { sunset, civilDusk } = getSunTimes({ year: localYear, month, day }, location.latitude, location.longitude);
+
+  const afterSunset = sunset !== null && start.getTime() >= sunset.getTime();
+  const afterDusk = civilDusk !== null && start.getTime() >= civilDusk.getTime();
+  let darkAt = null;
+  if (afterDusk) {
+    darkAt = start;
+  } else if (civilDusk !== null && civilDusk.getTime() < end.getTime()) {
+    darkAt = civilDusk;
+  }
+  return {
+    start, end, sunset, civilDusk, afterSunset, afterDusk, darkAt,
+  };
+}
+
+/**
+ * True if the "starts in the dark" trigger already fired for the Earth Hour year.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {number} year - Earth Hour year
+ * @returns {boolean}
+ */
+function hasDarkStartFired(ctx, year) {
+  return ctx.homey.settings.get(DARK_FIRED_SETTINGS_KEY) === year;
+}
+
+/**
+ * Records that the "starts in the dark" trigger fired for the Earth Hour year.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {number} year - Earth Hour year
+ */
+function markDarkStartFired(ctx, year) {
+  ctx.homey.settings.set(DARK_FIRED_SETTINGS_KEY, year);
+}
+
+/**
+ * Lists the "starts in the dark" moments that still need firing: those of the planned Earth Hours
+ * (see earthHourState.getPlannedOccurrences) that haven't fired. A moment that passed while Homey was offline is still due until Earth Hour ends;
+ * years where it doesn't get dark before the end are left out.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ year: number, at: Date }[]}
+ */
+function getPendingDarkStarts(ctx, now, timezone) {
+  const pending = [];
+  for (const { year } of earthHourState.getPlannedOccurrences(timezone, now)) {
+    if (hasDarkStartFired(ctx, year)) continue;
+    const darkness = getEarthHourDarkness(ctx, year, timezone);
+    if (!darkness || !darkness.darkAt || now.getTime() >= darkness.end.getTime()) continue;
+    pending.push({ year, at: darkness.darkAt });
+  }
+  return pending;
+}
+
+module.exports = {
+  getSunTimes,
+  getLocation,
+  getEarthHourDarkness,
+  hasDarkStartFired,
+  markDarkStartFired,
+  getPendingDarkStarts,
+};
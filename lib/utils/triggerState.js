@@ -0,0 +1,250 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const earthHourTime = require('./earthHourTime');
+const events = require('./events');
+
+/**
+ * Persisted fired-state for the start/end triggers of every event (see events.js), Earth Hour
+ * included. Storing the fired year in settings (instead of in memory) keeps a restart inside the
+ * trigger window from firing twice, and lets the app catch up on a trigger it missed while Homey
+ * was offline or restarting.
+ */
+
+/** Settings key holding, per "<event id>.<start|end>", the last year the trigger fired for. */
+const FIRED_SETTINGS_KEY = 'triggers.firedYears';
+
+/**
+ * Settings keys where Earth Hour's start and end fired years were stored before every event shared
+ * FIRED_SETTINGS_KEY; still read so an update doesn't fire a trigger twice.
+ */
+const LEGACY_FIRED_SETTINGS_KEYS = {
+  start: 'triggers.startFiredYear',
+  end: 'triggers.endFiredYear',
+};
+
+/** Settings key holding, per offset trigger argument set (see getOffsetKey), the last year it fired for. */
+const OFFSET_FIRED_SETTINGS_KEY = 'triggers.offsetFiredYears';
+
+/** Settings key holding the last moment the app was known to be running (ISO), for the offset catch-up. */
+const OFFSET_CHECKPOINT_SETTINGS_KEY = 'triggers.offsetCheckpoint';
+
+/** How often the app records that it is running, so downtime can be told from a moment that passed while up. */
+const OFFSET_CHECKPOINT_INTERVAL_MS = 10 * 60 * 1000;
+
+/** Offset moments missed while Homey was down are caught up for at most this long. */
+const OFFSET_CATCH_UP_MS = 12 * 60 * 60 * 1000;
+
+/** Triggers fire on time when within this window of their moment; later counts as a late catch-up. */
+const ON_TIME_WINDOW_MS = 60 * 1000;
+
+/**
+ * True if the event's trigger already fired for the given year.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} eventId - Event id
+ * @param {'start'|'end'} kind - Which trigger
+ * @param {number} year - Event year
+ * @returns {boolean}
+ */
+function hasFired(ctx, eventId, kind, year) {
+  const fired = ctx.homey.settings.get(FIRED_SETTINGS_KEY) || {};
+  if (fired[`${eventId}.${kind}`] === year) return true;
+  return eventId === events.EARTH_HOUR_ID && ctx.homey.settings.get(LEGACY_FIRED_SETTINGS_KEYS[kind]) === year;
+}
+
+/**
+ * Records that the event's trigger fired for the given year. Entries of events that no longer
+ * exist are dropped so removed events don't pile up.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} eventId - Event id
+ * @param {'start'|'end'} kind - Which trigger
+ * @param {number} year - Event year
+ */
+function markFired(ctx, eventId, kind, year) {
+  const ids = events.getEvents(ctx).map(({ id }) => id);
+  const fired = ctx.homey.settings.get(FIRED_SETTINGS_KEY) || {};
+  const next = { [`${eventId}.${kind}`]: year };
+  for (const [key, otherYear] of Object.entries(fired)) {
+    if (!(key in next) && ids.includes(key.slice(0, key.lastIndexOf('.')))) next[key] = otherYear;
+  }
+  ctx.homey.settings.set(FIRED_SETTINGS_KEY, next);
+}
+
+/**
+ * Works out which triggers are due at a given moment, including late catch-up:
+ * - start is due from its moment until the end (late once past the on-time window), so booting
+ *   mid-Earth-Hour still fires it;
+ * - end is due from its moment until midnight that night (late once past the on-time window), so
+ *   restore flows still run when Homey was down at the end. A missed start is not replayed then.
+ * Both allow firing up to ON_TIME_WINDOW_MS early to match the minute-granular schedule.
+ * @param {Date} now - Current moment
+ * @param {Date} start - This year's Earth Hour start
+ * @param {Date} end - This year's Earth Hour end
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ kind: 'start'|'end', isLate: boolean }[]} Triggers whose window contains now
+ */
+function getDueTriggers(now, start, end, timezone) {
+  const nowMs = now.getTime();
+  const startMs = start.getTime();
+  const endMs = end.getTime();
+  const endOfNightMs = DateTime.fromJSDate(end).setZone(timezone).endOf('day').toMillis();
+  const due = [];
+
+  if (nowMs >= startMs - ON_TIME_WINDOW_MS && nowMs < endMs - ON_TIME_WINDOW_MS) {
+    due.push({ kind: 'start', isLate: nowMs > startMs + ON_TIME_WINDOW_MS });
+  }
+  if (nowMs >= endMs - ON_TIME_WINDOW_MS && nowMs <= endOfNightMs) {
+    due.push({ kind: 'end', isLate: nowMs > endMs + ON_TIME_WINDOW_MS });
+  }
+  return due;
+}
+
+/**
+ * Lists the start/end moments that still need firing, for the scheduler: per event, the triggers
+ * of its planned occurrences (see events.getPlannedOccurrences) that haven't fired and whose
+ * catch-up window (see getDueTriggers) is still open.
+ * A moment in the past means the trigger is overdue and should run now.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ eventId: string, kind: 'start'|'end', year: number, at: Date }[]}
+ */
+function getPendingTriggers(ctx, now, timezone) {
+  const nowMs = now.getTime();
+  const pending = [];
+
+  for (const event of events.getEvents(ctx)) {
+    for (const { year, start, end } of events.getPlannedOccurrences(event, timezone, now)) {
+      const endOfNightMs = DateTime.fromJSDate(end).setZone(timezone).endOf('day').toMillis();
+
+      if (!hasFired(ctx, event.id, 'start', year) && nowMs < end.getTime() - ON_TIME_WINDOW_MS) {
+        pending.push({
+          eventId: event.id, kind: 'start', year, at: start,
+        });
+      }
+      if (!hasFired(ctx, event.id, 'end', year) && nowMs <= endOfNightMs) {
+        pending.push({
+          eventId: event.id, kind: 'end', year, at: end,
+        });
+      }
+    }
+  }
+  return pending;
+}
+
+/**
+ * Identifies one distinct argument set of the "Earth Hour starts in" trigger card, so many flows
+ * with the same event and offset share one scheduled moment and one fired-state entry.
+ * @param {{ eventId?: string, amount: number, unit: string }} offset - Card arguments; eventId
+ *   defaults to Earth Hour
+ * @returns {string} e.g. "2-hours" for Earth Hour, "earth_day.2-hours" for another event
+ */
+function getOffsetKey({ eventId = events.EARTH_HOUR_ID, amount, unit }) {
+  const key = `${amount}-${unit}`;
+  return eventId === events.EARTH_HOUR_ID ? key : `${eventId}.${key}`;
+}
+
+/**
+ * True if the offset trigger with this argument set already fired for the given event year.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} key - Offset key from getOffsetKey
+ * @param {number} year - Earth Hour year
+ * @returns {boolean}
+ */
+function hasOffsetFired(ctx, key, year) {
+  const fired = ctx.homey.settings.get(OFFSET_FIRED_SETTINGS_KEY) || {};
+  return fired[key] === year;
+}
+
+/**
+ * Records that the offset trigger with this argument set fired for the given event year.
+ * Entries from earlier years are dropped so argument sets removed from flows don't pile up.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} key - Offset key from getOffsetKey
+ * @param {number} year - Earth Hour year
+ */
+function markOffsetFired(ctx, key, year) {
+  const fired = ctx.homey.settings.get(OFFSET_FIRED_SETTINGS_KEY) || {};
+  const next = { [key]: year };
+  for (const [otherKey, otherYear] of Object.entries(fired)) {
+    if (otherKey !== key && otherYear >= year) next[otherKey] = otherYear;
+  }
+  ctx.homey.settings.set(OFFSET_FIRED_SETTINGS_KEY, next);
+}
+
+/**
+ * The last moment the app was known to be running, recorded by markOffsetCheckpoint.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @returns {Date|null} Null before the first checkpoint (fresh install)
+ */
+function getOffsetCheckpoint(ctx) {
+  const value = ctx.homey.settings.get(OFFSET_CHECKPOINT_SETTINGS_KEY);
+  const checkpoint = value ? new Date(value) : null;
+  return checkpoint && !Number.isNaN(checkpoint.getTime()) ? checkpoint : null;
+}
+
+/**
+ * Records that the app is running at a moment. Offset moments before it passed while the app was
+ * up, so they either fired or were already past when their flow was created.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ */
+function markOffsetCheckpoint(ctx, now) {
+  ctx.homey.settings.set(OFFSET_CHECKPOINT_SETTINGS_KEY, now.toISOString());
+}
+
+/**
+ * Lists the offset trigger moments that still need firing, one per distinct argument set and
+ * planned occurrence of its event (see events.getPlannedOccurrences) that hasn't started.
+ * A moment that already passed is only caught up when it passed while Homey was down (after the
+ * last checkpoint) and at most OFFSET_CATCH_UP_MS ago, so a "starts in 30 days" flow created 10
+ * days before Earth Hour, or a fresh install, doesn't fire at once.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {{ eventId?: string, amount: number, unit: string }[]} offsets - Distinct argument sets
+ *   used in flows; eventId defaults to Earth Hour
+ * @returns {{ key: string, eventId: string, amount: number, unit: string, year: number, at: Date }[]}
+ */
+function getPendingOffsetTriggers(ctx, now, timezone, offsets) {
+  const nowMs = now.getTime();
+  const checkpoint = getOffsetCheckpoint(ctx);
+  const catchUpFromMs = Math.max(checkpoint ? checkpoint.getTime() : nowMs, nowMs - OFFSET_CATCH_UP_MS);
+  const pending = [];
+
+  for (const offset of offsets) {
+    const event = events.getEvent(ctx, offset.eventId || events.EARTH_HOUR_ID);
+    if (!event) continue;
+    const key = getOffsetKey(offset);
+
+    for (const { year, start } of events.getPlannedOccurrences(event, timezone, now)) {
+      if (nowMs >= start.getTime() || hasOffsetFired(ctx, key, year)) continue;
+      const at = earthHourTime.getMomentBeforeStart(start, timezone, offset.amount, offset.unit);
+      if (at.getTime() < nowMs - ON_TIME_WINDOW_MS && at.getTime() <= catchUpFromMs) continue;
+      pending.push({
+        key,
+        eventId: event.id,
+        amount: offset.amount,
+        unit: offset.unit,
+        year,
+        at,
+      });
+    }
+  }
+  return pending;
+}
+
+module.exports = {
+  FIRED_SETTINGS_KEY,
+  OFFSET_CHECKPOINT_INTERVAL_MS,
+  hasFired,
+  markFired,
+  getDueTriggers,
+  getPendingTriggers,
+  getOffsetKey,
+  hasOffsetFired,
+  markOffsetFired,
+  getOffsetCheckpoint,
+  markOffsetCheckpoint,
+  getPendingOffsetTriggers,
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+const { DateTime, IANAZone } = require('luxon');
+const earthHourState = require('./earthHourState');
+
+/**
+ * The global Earth Hour wave: Earth Hour starts at the same local time everywhere, so it rolls
+ * around the planet from the Pacific westwards over about a day. The schedule table holds local
+ * wall-clock values, so the state model (see earthHourState) gives each zone's Earth Hour when asked
+ * with that zone.
+ *
+ * The "Earth Hour starts in [zone]" trigger fires once per zone and Earth Hour year; its fired-state
+ * is kept like the offset triggers' (see triggerState), so restarts don't fire a zone twice.
+ */
+
+/** Settings key holding, per timezone, the last Earth Hour year its wave trigger fired for. */
+const FIRED_SETTINGS_KEY = 'wave.firedYears';
+
+/** Autocomplete id for "every time zone", firing as the wave reaches each zone in WAVE_ZONES. */
+const ANY_ZONE = 'any';
+
+/**
+ * Well-known places covering every UTC offset in use in late March, when Earth Hour falls, from
+ * where Earth Hour starts first to where it starts last. Used for "anywhere" and to count the time
+ * zones observing Earth Hour.
+ */
+const WAVE_ZONES = [
+  { timezone: 'Pacific/Kiritimati', city: 'Kiritimati' },
+  { timezone: 'Pacific/Chatham', city: 'Chatham Islands' },
+  { timezone: 'Pacific/Tongatapu', city: 'Nukuʻalofa' },
+  { timezone: 'Pacific/Auckland', city: 'Auckland' },
+  { timezone: 'Pacific/Fiji', city: 'Suva' },
+  { timezone: 'Australia/Sydney', city: 'Sydney' },
+  { timezone: 'Australia/Lord_Howe', city: 'Lord Howe Island' },
+  { timezone: 'Pacific/Noumea', city: 'Nouméa' },
+  { timezone: 'Australia/Adelaide', city: 'Adelaide' },
+  { timezone: 'Australia/Brisbane', city: 'Brisbane' },
+  { timezone: 'Australia/Darwin', city: 'Darwin' },
+  { timezone: 'Asia/Tokyo', city: 'Tokyo' },
+  { timezone: 'Australia/Eucla', city: 'Eucla' },
+  { timezone: 'Asia/Shanghai', city: 'Beijing' },
+  { timezone: 'Asia/Singapore', city: 'Singapore' },
+  { timezone: 'Asia/Bangkok', city: 'Bangkok' },
+  { timezone: 'Asia/Yangon', city: 'Yangon' },
+  { timezone: 'Asia/Dhaka', city: 'Dhaka' },
+  { timezone: 'Asia/Kathmandu', city: 'Kathmandu' },
+  { timezone: 'Asia/Kolkata', city: 'Mumbai' },
+  { timezone: 'Asia/Karachi', city: 'Karachi' },
+  { timezone: 'Asia/Kabul', city: 'Kabul' },
+  { timezone: 'Asia/Dubai', city: 'Dubai' },
+  { timezone: 'Asia/Tehran', city: 'Tehran' },
+  { timezone: 'Europe/Moscow', city: 'Moscow' },
+  { timezone: 'Africa/Nairobi', city: 'Nairobi' },
+  { timezone: 'Europe/Athens', city: 'Athens' },
+  { timezone: 'Africa/Johannesburg', city: 'Johannesburg' },
+  { timezone: 'Europe/Amsterdam', city: 'Amsterdam' },
+  { timezone: 'Africa/Lagos', city: 'Lagos' },
+  { timezone: 'Europe/London', city: 'London' },
+  { timezone: 'Atlantic/Azores', city: 'Azores' },
+  { timezone: 'Atlantic/South_Georgia', city: 'South Georgia' },
+  { timezone: 'America/Sao_Paulo', city: 'São Paulo' },
+  { timezone: 'America/St_Johns', city: 'St. John\'s' },
+  { timezone: 'America/Halifax', city: 'Halifax' },
+  { timezone: 'America/New_York', city: 'New York' },
+  { timezone: 'America/Chicago', city: 'Chicago' },
+  { timezone: 'America/Mexico_City', city: 'Mexico City' },
+  { timezone: 'America/Denver', city: 'Denver' },
+  { timezone: 'America/Los_Angeles', city: 'Los Angeles' },
+  { timezone: 'America/Anchorage', city: 'Anchorage' },
+  { timezone: 'Pacific/Gambier', city: 'Gambier Islands' },
+  { timezone: 'Pacific/Marquesas', city: 'Marquesas' },
+  { timezone: 'Pacific/Honolulu', city: 'Honolulu' },
+  { timezone: 'Pacific/Pago_Pago', city: 'Pago Pago' },
+];
+
+/**
+ * City name for a timezone: the one in WAVE_ZONES, otherwise the last part of the zone id.
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {string}
+ */
+function getCity(timezone) {
+  const known = WAVE_ZONES.find((zone) => zone.timezone === timezone);
+  if (known) return known.city;
+  return timezone.split('/').pop().replace(/_/g, ' ');
+}
+
+/**
+ * The WAVE_ZONES currently observing Earth Hour: those whose state (see earthHourState) is active.
+ * @param {Date} now - Current moment
+ * @returns {{ timezone: string, city: string }[]}
+ */
+function getObservingZones(now) {
+  return WAVE_ZONES.filter(({ timezone }) => earthHourState.getState(timezone, now).state === 'active');
+}
+
+/**
+ * Number of time zones (distinct UTC offsets) currently observing Earth Hour.
+ * @param {Date} now - Current moment
+ * @returns {number}
+ */
+function countObservingTimeZones(now) {
+  const offsets = new Set(getObservingZones(now)
+    .map(({ timezone }) => DateTime.fromJSDate(now).setZone(timezone).offset));
+  return offsets.size;
+}
+
+/**
+ * Timezones the wave trigger needs moments for, from the zone arguments used in flows.
+ * @param {string[]} zoneIds - Zone argument ids in use (timezones or ANY_ZONE)
+ * @returns {string[]} Distinct timezones
+ */
+function getWatchedTimezones(zoneIds) {
+  const timezones = new Set();
+  for (const id of zoneIds) {
+    if (id === ANY_ZONE) {
+      for (const { timezone } of WAVE_ZONES) timezones.add(timezone);
+    } else if (IANAZone.isValidZone(id)) {
+      timezones.add(id);
+    }
+  }
+  return [...timezones];
+}
+
+/**
+ * True if the wave trigger already fired for the zone and Earth Hour year.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {number} year - Earth Hour year in that zone
+ * @returns {boolean}
+ */
+function hasZoneFired(ctx, timezone, year) {
+  const fired = ctx.homey.settings.get(FIRED_SETTINGS_KEY) || {};
+  return fired[timezone] === year;
+}
+
+/**
+ * Records that the wave trigger fired for the zone and Earth Hour year. Entries from earlier years
+ * are dropped so zones removed from flows don't pile up.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {number} year - Earth Hour year in that zone
+ */
+function markZoneFired(ctx, timezone, year) {
+  const fired = ctx.homey.settings.get(FIRED_SETTINGS_KEY) || {};
+  const next = { [timezone]: year };
+  for (const [otherZone, otherYear] of Object.entries(fired)) {
+    if (otherZone !== timezone && otherYear >= year) next[otherZone] = otherYear;
+  }
+  ctx.homey.settings.set(FIRED_SETTINGS_KEY, next);
+}
+
+/**
+ * Lists the zone starts that still need firing: per zone, the starts of the Earth Hours planned
+ * there (see earthHourState.getPlannedOccurrences) that haven't fired yet. A start that passed while Homey was offline is still due until that zone's
+ * Earth Hour ends.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {Date} now - Current moment
+ * @param {string[]} timezones - Timezones to watch (see getWatchedTimezones)
+ * @returns {{ timezone: string, year: number, at: Date }[]}
+ */
+function getPendingZoneStarts(ctx, now, timezones) {
+  const nowMs = now.getTime();
+  const pending = [];
+  for (const timezone of timezones) {
+    for (const { year, start, end } of earthHourState.getPlannedOccurrences(timezone, now)) {
+      if (hasZoneFired(ctx, timezone, year)) continue;
+      if (nowMs >= end.getTime()) continue;
+      pending.push({ timezone, year, at: start });
+    }
+  }
+  return pending;
+}
+
+/**
+ * Autocomplete results for the zone argument: "every time zone", the WAVE_ZONES cities matching the
+ * query, and the query itself when it is a timezone id that isn't in the list.
+ * @param {string} query - Text typed by the user
+ * @param {string} anyZoneName - Localized name for "every time zone"
+ * @returns {{ id: string, name: string, description?: string }[]}
+ */
+function getZoneAutocomplete(query, anyZoneName) {
+  const search = query.trim().toLowerCase();
+  const results = [{ id: ANY_ZONE, name: anyZoneName }, ...WAVE_ZONES.map(({ timezone, city }) => ({
+    id: timezone, name: city, description: timezone,
+  }))].filter(({ name, description }) => name.toLowerCase().includes(search)
+    || (description && description.toLowerCase().includes(search)));
+  const typed = query.trim();
+  if (IANAZone.isValidZone(typed) && !results.some(({ id }) => id === typed)) {
+    results.push({ id: typed, name: getCity(typed), description: typed });
+  }
+  return results;
+}
+
+module.exports = {
+  ANY_ZONE,
+  WAVE_ZONES,
+  getCity,
+  getObservingZones,
+  countObservingTimeZones,
+  getWatchedTimezones,
+  hasZoneFired,
+  markZoneFired,
+  getPendingZoneStarts,
+  getZoneAutocomplete,
+};
@@ -0,0 +1,287 @@
+'use strict';
+
+const { IANAZone } = require('luxon');
+const earthHourDate = require('./earthHourDate');
+const earthHourState = require('./earthHourState');
+const earthHourChecks = require('./earthHourChecks');
+const earthHourTime = require('./earthHourTime');
+const earthHourSchedule = require('./earthHourSchedule');
+const events = require('./events');
+const dateFormat = require('./dateFormat');
+const history = require('./history');
+const clock = require('./clock');
+
+/**
+ * Request parsing and responses for the local Web API (api.js), so other apps, dashboards and
+ * scripts can read the Earth Hour state and schedule. Query values arrive as strings; invalid ones
+ * are rejected with an error carrying statusCode 400 and a message saying what is expected.
+ */
+
+/** First Earth Hour was in 2007; nothing before it has a date. */
+const MIN_YEAR = 2007;
+
+/** Last year the API computes a schedule for. */
+const MAX_YEAR = 2100;
+
+/** Most years one schedule request may cover. */
+const MAX_RANGE_YEARS = 20;
+
+/** The coarse state getState reports per earthHourState phase; the phases before the start are 'upcoming'. */
+const PHASE_STATES = {
+  active: 'active',
+  just_ended: 'ended',
+};
+
+/**
+ * Creates an error for a bad request.
+ * @param {string} message - What is wrong and what is expected
+ * @returns {Error} Error with statusCode 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Reads the optional timezone override.
+ * @param {string} [value] - IANA timezone from the query, e.g. 'Europe/Amsterdam'
+ * @param {string} fallback - Homey's timezone
+ * @returns {string}
+ */
+function parseTimezone(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (!IANAZone.isValidZone(value)) {
+    throw badRequest(`Unknown timezone "${value}", expected an IANA name such as Europe/Amsterdam`);
+  }
+  return value;
+}
+
+/**
+ * Reads a year from the query.
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {number}
+ */
+function parseYear(value, name) {
+  const year = /^\d{4}$/.test(value) ? Number(value) : NaN;
+  if (!(year >= MIN_YEAR && year <= MAX_YEAR)) {
+    throw badRequest(`Invalid ${name} "${value}", expected a year from ${MIN_YEAR} to ${MAX_YEAR}`);
+  }
+  return year;
+}
+
+/**
+ * Reads the years a schedule request asks for: one year (year), a range (from and to, inclusive)
+ * or, with neither, defaultCount years from defaultFrom.
+ * @param {object} query - Query parameters: { year?, from?, to? }
+ * @param {number} defaultFrom - First year when none is given
+ * @param {number} defaultCount - Number of years when none are given
+ * @returns {number[]}
+ */
+function parseYears(query, defaultFrom, defaultCount) {
+  const { year, from, to } = query;
+  if (year !== undefined) {
+    if (from !== undefined || to !== undefined) throw badRequest('Use either year or from/to, not both');
+    return [parseYear(year, 'year')];
+  }
+  if (from === undefined && to === undefined) {
+    return Array.from({ length: defaultCount }, (_, index) => defaultFrom + index);
+  }
+  if (from === undefined || to === undefined) throw badRequest('A range needs both from and to');
+  const first = parseYear(from, 'from');
+  const last = parseYear(to, 'to');
+  if (last < first) throw badRequest(`to (${last}) is before from (${first})`);
+  if (last - first + 1 > MAX_RANGE_YEARS) throw badRequest(`A range covers at most ${MAX_RANGE_YEARS} years`);
+  return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+}
+
+/**
+ * Reads the calendar export options.
+ * @param {object} query - Query parameters: { years?, alarms? }
+ * @param {number} defaultYears - Number of years when none is given
+ * @returns {{ count: number, alarms: boolean }}
+ */
+function parseCalendarQuery(query, defaultYears) {
+  const { years, alarms } = query;
+  if (years !== undefined && !(/^\d+$/.test(years) && Number(years) >= 1 && Number(years) <= MAX_RANGE_YEARS)) {
+    throw badRequest(`Invalid years "${years}", expected a number from 1 to ${MAX_RANGE_YEARS}`);
+  }
+  if (alarms !== undefined && alarms !== 'true' && alarms !== 'false') {
+    throw badRequest(`Invalid alarms "${alarms}", expected true or false`);
+  }
+  return { count: years === undefined ? defaultYears : Number(years), alarms: alarms !== 'false' };
+}
+
+/**
+ * Reads a schedule override for one year (PUT /schedule/overrides/:year).
+ * @param {string} yearValue - Year from the path
+ * @param {object} body - Request body: { date: 'YYYY-MM-DD', time?: 'HH:mm', duration?: minutes, theme? }
+ * @returns {{ year: number, entry: { date: string, time: string, duration: number, theme?: string } }}
+ */
+function parseScheduleOverride(yearValue, body) {
+  const year = parseYear(yearValue, 'year');
+  const entry = earthHourSchedule.normalizeEntry(year, body);
+  if (!entry) {
+    throw badRequest(`Invalid override for ${year}, expected { date: "${year}-MM-DD", time?: "HH:mm", duration?: minutes (1 to 1440), theme? }`);
+  }
+  return { year, entry };
+}
+
+/**
+ * Reads the history filter.
+ * @param {object} query - Query parameters: { type?, limit? }
+ * @returns {{ type?: string, limit?: number }}
+ */
+function parseHistoryQuery(query) {
+  const { type, limit } = query;
+  if (type !== undefined && !history.TYPES.includes(type)) {
+    throw badRequest(`Invalid type "${type}", expected one of: ${history.TYPES.join(', ')}`);
+  }
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= history.MAX_ENTRIES)) {
+    throw badRequest(`Invalid limit "${limit}", expected a number from 1 to ${history.MAX_ENTRIES}`);
+  }
+  return { type, limit: limit === undefined ? undefined : Number(limit) };
+}
+
+/**
+ * Minutes until the next Earth Hour start and end, as used by the "starts in" and "ends in"
+ * conditions: negative once passed, switching to next year after this year's end.
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {{ timezone: string, minutes_until_start: number, minutes_until_end: number }}
+ */
+function getMinutes(timezone) {
+  return {
+    timezone,
+    minutes_until_start: earthHourTime.getMinutesUntilEarthHourStart(timezone),
+    minutes_until_end: earthHourTime.getMinutesUntilEarthHourEnd(timezone),
+  };
+}
+
+/**
+ * The state of the Earth Hour the state model (see earthHourState) is about: its phase, the coarse
+ * state (see PHASE_STATES), its start and end, and the next start (the one after it once it has begun).
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @returns {object} { timezone, state, phase, year, start, end, next_start, is_earth_hour_day,
+ *   minutes_until_start, minutes_until_end }; moments as ISO strings
+ */
+function getState(timezone) {
+  const now = clock.now();
+  const current = earthHourState.getState(timezone, now);
+  const next = earthHourState.getPlannedOccurrences(timezone, now).find(({ start }) => start.getTime() > now.getTime());
+  const minutes = getMinutes(timezone);
+  return {
+    timezone,
+    state: PHASE_STATES[current.state] || 'upcoming',
+    phase: current.state,
+    year: current.year,
+    start: current.start.toISOString(),
+    end: current.end.toISOString(),
+    next_start: next.start.toISOString(),
+    is_earth_hour_day: earthHourChecks.isEarthHourDay(timezone, current),
+    minutes_until_start: minutes.minutes_until_start,
+    minutes_until_end: minutes.minutes_until_end,
+  };
+}
+
+/**
+ * The Earth Hour a countdown shows: this year's until it has ended (so it shows progress while it
+ * runs), then next year's, or the simulated one while a simulation runs (see
+ * earthHourState.getCurrentOccurrence). Moments as ISO strings plus friendly date and times in the
+ * user's language, and the app's current time so a countdown ticking on another clock can correct
+ * for the difference.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {string} locale - Homey language for the friendly date
+ * @returns {{ state: string, start: string, end: string, date: string, start_time: string, end_time: string,
+ *   now: string }} state is 'upcoming' or 'active'
+ */
+function getCountdown(ctx, timezone, locale) {
+  const now = clock.now();
+  const { start, end } = earthHourState.getCurrentOccurrence(ctx, timezone, now);
+  return {
+    state: earthHourChecks.isCurrentlyEarthHour(timezone, earthHourState.getCurrentState(ctx, timezone, now)) ? 'active' : 'upcoming',
+    start: start.toISOString(),
+    end: end.toISOString(),
+    date: dateFormat.formatDateFriendly(start, timezone, locale),
+    start_time: dateFormat.formatTimeFriendly(start, timezone),
+    end_time: dateFormat.formatTimeFriendly(end, timezone),
+    now: now.toISOString(),
+  };
+}
+
+/**
+ * Earth Hour dates for the given years, with friendly strings for display and ISO moments for scripts.
+ * @param {number[]} years - Earth Hour years
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {string} locale - Homey language for the friendly date
+ * @returns {{ year: number, date: string, start_time: string, end_time: string, start: string,
+ *   end: string, duration: number, source: string }[]} source is 'override', 'feed', 'official' or
+ *   'rule' (last Saturday of March)
+ */
+function getSchedule(years, timezone, locale) {
+  return years.map((year) => {
+    const start = earthHourDate.getEarthHourDate(year, timezone);
+    const end = earthHourDate.getEarthHourEnd(year, timezone);
+    const entry = earthHourSchedule.getScheduleEntry(year);
+    return {
+      year,
+      date: dateFormat.formatDateFriendly(start, timezone, locale),
+      start_time: dateFormat.formatTimeFriendly(start, timezone),
+      end_time: dateFormat.formatTimeFriendly(end, timezone),
+      start: start.toISOString(),
+      end: end.toISOString(),
+      duration: earthHourDate.getEarthHourDuration(year),
+      source: entry ? entry.source : 'rule',
+    };
+  });
+}
+
+/**
+ * The events the event flow cards work for (see events.js), each with the occurrence they count
+ * towards: this year's until it has ended, then next year's, and its own reminders with their ids
+ * for the enabled and timeline switches.
+ * @param {object} ctx - App context: { homey, log, error }
+ * @param {string} timezone - The timezone string (e.g. 'Europe/Amsterdam')
+ * @param {string} locale - Homey language for the friendly date
+ * @returns {{ id: string, name: string, custom: boolean, all_day: boolean, year: number, date: string,
+ *   start_time: string, end_time: string, start: string, end: string, reminders: object[] }[]}
+ */
+function getEvents(ctx, timezone, locale) {
+  return events.getEvents(ctx).map((event) => {
+    const { year, start, end } = events.getOccurrence(event, timezone);
+    return {
+      id: event.id,
+      name: events.getEventName(ctx, event),
+      custom: !events.BUILT_IN_EVENTS.includes(event),
+      all_day: event.duration === events.ALL_DAY,
+      year,
+      date: dateFormat.formatDateFriendly(start, timezone, locale),
+      start_time: dateFormat.formatTimeFriendly(start, timezone),
+      end_time: dateFormat.formatTimeFriendly(end, timezone),
+      start: start.toISOString(),
+      end: end.toISOString(),
+      // Earth Hour's reminders are the ones the settings page lists in its own section.
+      reminders: (event.reminders || []).map(({ amount, unit, time }, index) => ({
+        id: events.getReminderId(event.id, index), amount, unit, time,
+      })),
+    };
+  });
+}
+
+module.exports = {
+  MIN_YEAR,
+  MAX_YEAR,
+  MAX_RANGE_YEARS,
+  parseTimezone,
+  parseYears,
+  parseYear,
+  parseCalendarQuery,
+  parseScheduleOverride,
+  parseHistoryQuery,
+  getMinutes,
+  getState,
+  getCountdown,
+  getSchedule,
+  getEvents,
+};
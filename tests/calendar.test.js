@@ -0,0 +1,108 @@
+'use strict';
+
+const {
+  describe, it, mock, afterEach,
+} = require('node:test');
+const assert = require('node:assert');
+
+const calendar = require('../lib/utils/calendar');
+const reminders = require('../lib/utils/reminders');
+const clock = require('../lib/utils/clock');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const TZ = 'Europe/Amsterdam';
+
+afterEach(() => {
+  mock.timers.reset();
+  clock.setClock(null);
+});
+
+/**
+ * Unfolds an .ics text into its content lines.
+ * @param {string} ics
+ * @returns {string[]}
+ */
+function contentLines(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+/**
+ * Returns the lines of each component with the given name.
+ * @param {string[]} lines - Content lines
+ * @param {string} name - e.g. 'VEVENT'
+ * @returns {string[][]}
+ */
+function components(lines, name) {
+  const found = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === `BEGIN:${name}`) current = [];
+    else if (line === `END:${name}`) {
+      found.push(current);
+      current = null;
+    } else if (current) current.push(line);
+  }
+  return found;
+}
+
+describe('buildCalendar', () => {
+  it('writes one event per year in the Homey timezone with stable UIDs, stamped at the real time', () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-01-10T12:00:00.000Z') });
+    clock.setClock({ offsetMinutes: 60 * 24 * 30 });
+    const ics = calendar.buildCalendar(createCtx(), [2025, 2026], TZ, { alarms: false });
+    const lines = contentLines(ics);
+    const events = components(lines, 'VEVENT');
+
+    assert.ok(ics.endsWith('\r\n'));
+    assert.strictEqual(events.length, 2);
+    assert.ok(events[0].includes('UID:earth-hour-2025@org.earthhour'));
+    assert.ok(events[0].includes('DTSTART;TZID=Europe/Amsterdam:20250322T203000'));
+    assert.ok(events[0].includes('DTEND;TZID=Europe/Amsterdam:20250322T213000'));
+    assert.ok(events[0].includes('DTSTAMP:20250110T120000Z'));
+    assert.ok(events[1].includes('DTSTART;TZID=Europe/Amsterdam:20260328T203000'));
+    assert.deepStrictEqual(components(lines, 'VALARM'), []);
+  });
+
+  it('describes the zone\'s offset changes in the VTIMEZONE', () => {
+    const lines = contentLines(calendar.buildCalendar(createCtx(), [2025], TZ));
+    const daylight = components(lines, 'DAYLIGHT');
+    const standard = components(lines, 'STANDARD');
+
+    assert.ok(lines.includes('TZID:Europe/Amsterdam'));
+    assert.deepStrictEqual(daylight, [[
+      'DTSTART:20250330T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'TZNAME:GMT+2',
+    ]]);
+    // The offset at the start of the year, then the change back in October.
+    assert.deepStrictEqual(standard.map((observance) => observance[0]), ['DTSTART:20250101T000000', 'DTSTART:20251026T030000']);
+  });
+
+  it('adds an alarm per switched-on reminder, exact when the offset has no duration', () => {
+    const ctx = createCtx({
+      [reminders.ENABLED_SETTINGS_KEY]: { oneDayBefore: false },
+      [reminders.CUSTOM_SETTINGS_KEY]: [{
+        id: 'custom-candles', amount: 2, unit: 'days', time: '09:00', message: 'Buy candles; matches, too',
+      }],
+    });
+    const [event] = components(contentLines(calendar.buildCalendar(ctx, [2025], TZ)), 'VEVENT');
+    const triggers = event.filter((line) => line.startsWith('TRIGGER'));
+
+    assert.deepStrictEqual(triggers, [
+      'TRIGGER;VALUE=DATE-TIME:20250222T193000Z',
+      'TRIGGER:-P1W',
+      'TRIGGER:-PT30M',
+      'TRIGGER;VALUE=DATE-TIME:20250320T080000Z',
+    ]);
+    assert.ok(event.includes('DESCRIPTION:Buy candles\\; matches\\, too'));
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const ctx = createCtx();
+    ctx.homey.__ = (key) => (key === 'calendar.description' ? 'Выключите свет. '.repeat(10) : key);
+    const ics = calendar.buildCalendar(ctx, [2025], TZ, { alarms: false });
+
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(contentLines(ics).includes(`DESCRIPTION:${'Выключите свет. '.repeat(10)}`));
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createDeviceAdapter } = require('../lib/utils/deviceAdapter');
+const compliance = require('../lib/utils/compliance');
+const { createFakeHomeyApi, createCtx } = require('./helpers/fakeHomeyApi');
+
+const TIMEZONE = 'Europe/Amsterdam';
+// Earth Hour 2025: 2025-03-22 20:30–21:30 Amsterdam (UTC+1).
+const START = new Date('2025-03-22T19:30:00.000Z');
+
+/** Living room and kitchen with a mix of lights, sockets and other devices, some on. */
+function createHome() {
+  return createFakeHomeyApi({
+    zones: [
+      { id: 'home', name: 'Home', parent: null },
+      { id: 'living', name: 'Living room', parent: 'home' },
+      { id: 'kitchen', name: 'Kitchen', parent: 'home' },
+    ],
+    devices: [
+      {
+        id: 'lamp', name: 'Floor lamp', zone: 'living', class: 'light', values: { onoff: true, dim: 0.5 },
+      },
+      {
+        id: 'reading', name: 'Reading lamp', zone: 'living', class: 'light', values: { onoff: false },
+      },
+      {
+        id: 'router', name: 'Router plug', zone: 'living', class: 'socket', values: { onoff: true },
+      },
+      {
+        id: 'tv', name: 'TV', zone: 'living', class: 'tv', values: { onoff: true },
+      },
+      {
+        id: 'fridge', name: 'Fridge', zone: 'kitchen', class: 'socket', values: { onoff: true },
+      },
+      {
+        id: 'spots', name: 'Kitchen spots', zone: 'kitchen', class: 'light', values: { onoff: true },
+      },
+    ],
+  });
+}
+
+describe('getCheckedDevices', () => {
+  it('lists every light and socket with its zone, on or off', async () => {
+    const devices = await compliance.getCheckedDevices(createDeviceAdapter(createHome()));
+    assert.deepStrictEqual(devices.map(({ id, zone }) => `${id}@${zone}`), [
+      'lamp@living', 'fridge@kitchen', 'spots@kitchen', 'reading@living', 'router@living',
+    ]);
+  });
+});
+
+describe('findDevicesStillOn', () => {
+  it('lists lights and sockets that are on, sorted by name', async () => {
+    const devices = await compliance.findDevicesStillOn(createCtx(), createDeviceAdapter(createHome()));
+    assert.deepStrictEqual(devices.map(({ id }) => id), ['lamp', 'fridge', 'spots', 'router']);
+  });
+
+  it('skips excluded devices and limits to the configured zones', async () => {
+    const ctx = createCtx({
+      [compliance.ZONES_SETTINGS_KEY]: ['kitchen'],
+      [compliance.EXCLUSIONS_SETTINGS_KEY]: ['fridge'],
+    });
+    const devices = await compliance.findDevicesStillOn(ctx, createDeviceAdapter(createHome()));
+    assert.deepStrictEqual(devices, [{ id: 'spots', name: 'Kitchen spots' }]);
+  });
+});
+
+describe('runCheck', () => {
+  it('posts a notification listing the devices and runs once per year', async () => {
+    const ctx = createCtx({ [compliance.EXCLUSIONS_SETTINGS_KEY]: ['fridge', 'router'] });
+    const now = new Date(START.getTime() + 10 * 60 * 1000);
+    assert.deepStrictEqual(compliance.getPendingChecks(ctx, now, TIMEZONE)[0], {
+      year: 2025,
+      at: new Date(START.getTime() + 5 * 60 * 1000),
+    });
+
+    const devices = await compliance.runCheck(ctx, createDeviceAdapter(createHome()), 2025);
+
+    assert.strictEqual(devices.length, 2);
+    assert.deepStrictEqual(ctx.sent, [{
+      excerpt: 'notifications.devicesStillOn {"count":2,"devices":"Floor lamp, Kitchen spots"}',
+    }]);
+    assert.ok(!compliance.getPendingChecks(ctx, now, TIMEZONE).some(({ year }) => year === 2025));
+  });
+
+  it('stays quiet when everything is off', async () => {
+    const ctx = createCtx({ [compliance.ZONES_SETTINGS_KEY]: ['living'], [compliance.EXCLUSIONS_SETTINGS_KEY]: ['lamp', 'router'] });
+    const devices = await compliance.runCheck(ctx, createDeviceAdapter(createHome()), 2025);
+    assert.deepStrictEqual(devices, []);
+    assert.deepStrictEqual(ctx.sent, []);
+  });
+
+  it('is not scheduled when turned off', () => {
+    const ctx = createCtx({ [compliance.ENABLED_SETTINGS_KEY]: false });
+    assert.deepStrictEqual(compliance.getPendingChecks(ctx, START, TIMEZONE), []);
+  });
+});
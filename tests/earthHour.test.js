@@ -1,23 +1,23 @@
 'use strict';
 
 const {
-  describe, it, beforeEach, afterEach,
+  describe, it, afterEach,
 } = require('node:test');
 const assert = require('node:assert');
-const { DateTime, Settings } = require('luxon');
+const { DateTime } = require('luxon');
 
 const earthHourDate = require('../lib/utils/earthHourDate');
 const earthHourChecks = require('../lib/utils/earthHourChecks');
+const earthHourSchedule = require('../lib/utils/earthHourSchedule');
 const earthHourTime = require('../lib/utils/earthHourTime');
 const dateFormat = require('../lib/utils/dateFormat');
+const triggerState = require('../lib/utils/triggerState');
+const clock = require('../lib/utils/clock');
 
 const TZ = 'Europe/Amsterdam';
 
-/** @type {() => number} */
-let originalNow;
-
 /**
- * Sets "now" to a fixed moment in TZ for testing. Mocks DateTime.now() used by the utils
+ * Sets "now" to a fixed moment in TZ for testing. Fixes the app clock used by the utils
  * to enable deterministic test execution regardless of actual system time.
  * @param {number} year
  * @param {number} month
@@ -32,57 +32,124 @@ function setNow(year, month, day, hour, minute) {
     },
     { zone: TZ },
   );
-  Settings.now = () => dt.toMillis();
+  clock.setClock({ now: dt.toISO() });
 }
 
-beforeEach(() => {
-  originalNow = Settings.now;
+afterEach(() => {
+  clock.setClock(null);
 });
 
-afterEach(() => {
-  Settings.now = originalNow;
+describe('clock', () => {
+  it('shifts or freezes "now" for every helper and ignores invalid settings', () => {
+    const realMs = Date.now();
+    assert.strictEqual(clock.setClock({ offsetMinutes: 60 }), true);
+    assert.ok(Math.abs(clock.nowMs() - realMs - 60 * 60 * 1000) < 1000);
+
+    assert.strictEqual(clock.setClock({ now: '2025-03-22T19:15:00.000Z' }), true);
+    assert.strictEqual(clock.isFixed(), true);
+    assert.strictEqual(clock.nowIn(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 20:15');
+    assert.strictEqual(earthHourTime.getMinutesUntilEarthHourStart(TZ), 15);
+    assert.strictEqual(earthHourChecks.isEarthHourDay(TZ), true);
+
+    assert.strictEqual(clock.setClock({ now: 'tomorrow' }), false);
+    assert.strictEqual(clock.setClock({ offsetMinutes: '60' }), false);
+    assert.strictEqual(clock.isFixed(), false);
+    assert.ok(Math.abs(clock.nowMs() - Date.now()) < 1000);
+  });
 });
 
-describe('getEarthHourDate / getEarthHourEnd', () => {
+describe('getRuleEarthHourDate', () => {
   it('returns last Saturday of March 20:30 for given year', () => {
+    const d2024 = earthHourDate.getRuleEarthHourDate(2024, TZ);
+    const d2025 = earthHourDate.getRuleEarthHourDate(2025, TZ);
+    const d2026 = earthHourDate.getRuleEarthHourDate(2026, TZ);
+
+    assert.strictEqual(DateTime.fromJSDate(d2024).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2024-03-30 20:30');
+    assert.strictEqual(DateTime.fromJSDate(d2025).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 20:30');
+    assert.strictEqual(DateTime.fromJSDate(d2026).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2026-03-28 20:30');
+  });
+});
+
+describe('getEarthHourDate / getEarthHourEnd', () => {
+  it('returns the official date for years in the schedule table', () => {
     const d2024 = earthHourDate.getEarthHourDate(2024, TZ);
     const d2025 = earthHourDate.getEarthHourDate(2025, TZ);
     const d2026 = earthHourDate.getEarthHourDate(2026, TZ);
 
-    assert.strictEqual(DateTime.fromJSDate(d2024).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2024-03-30 20:30');
-    assert.strictEqual(DateTime.fromJSDate(d2025).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 20:30');
+    assert.strictEqual(DateTime.fromJSDate(d2024).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2024-03-23 20:30');
+    assert.strictEqual(DateTime.fromJSDate(d2025).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 20:30');
     assert.strictEqual(DateTime.fromJSDate(d2026).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2026-03-28 20:30');
   });
 
+  it('falls back to the last Saturday of March for unknown years', () => {
+    const d = earthHourDate.getEarthHourDate(2031, TZ);
+    assert.strictEqual(DateTime.fromJSDate(d).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2031-03-29 20:30');
+  });
+
   it('getEarthHourEnd returns start + 1h for given year', () => {
     const start = earthHourDate.getEarthHourDate(2025, TZ);
     const end = earthHourDate.getEarthHourEnd(2025, TZ);
-    assert.strictEqual(DateTime.fromJSDate(end).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 21:30');
+    assert.strictEqual(DateTime.fromJSDate(end).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 21:30');
     assert.strictEqual(DateTime.fromJSDate(end).toMillis() - DateTime.fromJSDate(start).toMillis(), 60 * 60 * 1000);
   });
 });
 
+describe('schedule overrides', () => {
+  afterEach(() => {
+    earthHourSchedule.setOverrides({});
+  });
+
+  it('override wins over the official date and sets time and duration', () => {
+    earthHourSchedule.setOverrides({ 2025: { date: '2025-03-29', time: '20:00', duration: 90 } });
+    const start = earthHourDate.getEarthHourDate(2025, TZ);
+    const end = earthHourDate.getEarthHourEnd(2025, TZ);
+    assert.strictEqual(DateTime.fromJSDate(start).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 20:00');
+    assert.strictEqual(DateTime.fromJSDate(end).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 21:30');
+  });
+
+  it('conditions and "minutes until" follow the override', () => {
+    earthHourSchedule.setOverrides({ 2025: { date: '2025-03-29' } });
+    setNow(2025, 3, 29, 20, 45);
+    assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), true);
+    assert.strictEqual(earthHourChecks.isEarthHourDay(TZ), true);
+    assert.strictEqual(earthHourTime.getMinutesUntilEarthHourEnd(TZ), 45);
+  });
+
+  it('drops invalid entries and reports them', () => {
+    const rejected = earthHourSchedule.setOverrides({
+      2025: { date: '2026-03-28' },
+      2026: { date: '2026-02-30' },
+      2027: { date: '2027-03-20', time: '25:00' },
+      2028: { date: '2028-03-25', duration: 0 },
+      2029: { date: '2029-03-24' },
+    });
+    assert.deepStrictEqual(rejected, ['2025', '2026', '2027', '2028']);
+    assert.strictEqual(earthHourSchedule.getScheduleEntry(2025).source, 'official');
+    assert.strictEqual(earthHourSchedule.getScheduleEntry(2029).source, 'override');
+  });
+});
+
 describe('getThisYearsEarthHourStart / getThisYearsEarthHourEnd', () => {
   it('return this year’s EH window regardless of "now"', () => {
-    setNow(2025, 3, 29, 20, 45);
+    setNow(2025, 3, 22, 20, 45);
     const start = earthHourDate.getThisYearsEarthHourStart(TZ);
     const end = earthHourDate.getThisYearsEarthHourEnd(TZ);
-    assert.strictEqual(DateTime.fromJSDate(start).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 20:30');
-    assert.strictEqual(DateTime.fromJSDate(end).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 21:30');
+    assert.strictEqual(DateTime.fromJSDate(start).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 20:30');
+    assert.strictEqual(DateTime.fromJSDate(end).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 21:30');
   });
 });
 
 describe('getUpcomingEarthHourStart / getUpcomingEarthHourEnd', () => {
   it('return this year when before this year’s EH start', () => {
-    setNow(2025, 3, 29, 10, 0);
+    setNow(2025, 3, 22, 10, 0);
     const start = earthHourDate.getUpcomingEarthHourStart(TZ);
     const end = earthHourDate.getUpcomingEarthHourEnd(TZ);
-    assert.strictEqual(DateTime.fromJSDate(start).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 20:30');
-    assert.strictEqual(DateTime.fromJSDate(end).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 21:30');
+    assert.strictEqual(DateTime.fromJSDate(start).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 20:30');
+    assert.strictEqual(DateTime.fromJSDate(end).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 21:30');
   });
 
   it('return next year when at or after this year’s EH start', () => {
-    setNow(2025, 3, 29, 20, 30);
+    setNow(2025, 3, 22, 20, 30);
     const start = earthHourDate.getUpcomingEarthHourStart(TZ);
     const end = earthHourDate.getUpcomingEarthHourEnd(TZ);
     assert.strictEqual(DateTime.fromJSDate(start).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2026-03-28 20:30');
@@ -92,30 +159,30 @@ describe('getUpcomingEarthHourStart / getUpcomingEarthHourEnd', () => {
 
 describe('isCurrentlyEarthHour', () => {
   it('is false before 20:30 on EH day', () => {
-    setNow(2025, 3, 29, 10, 0);
+    setNow(2025, 3, 22, 10, 0);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), false);
-    setNow(2025, 3, 29, 20, 29);
+    setNow(2025, 3, 22, 20, 29);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), false);
   });
 
   it('is true during 20:30–21:30 on EH day', () => {
-    setNow(2025, 3, 29, 20, 30);
+    setNow(2025, 3, 22, 20, 30);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), true);
-    setNow(2025, 3, 29, 20, 45);
+    setNow(2025, 3, 22, 20, 45);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), true);
-    setNow(2025, 3, 29, 21, 29);
+    setNow(2025, 3, 22, 21, 29);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), true);
   });
 
   it('is false at 21:30 and after on EH day', () => {
-    setNow(2025, 3, 29, 21, 30);
+    setNow(2025, 3, 22, 21, 30);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), false);
-    setNow(2025, 3, 29, 22, 0);
+    setNow(2025, 3, 22, 22, 0);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), false);
   });
 
   it('is false on non–EH days', () => {
-    setNow(2025, 3, 28, 20, 45);
+    setNow(2025, 3, 21, 20, 45);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), false);
     setNow(2025, 4, 1, 20, 45);
     assert.strictEqual(earthHourChecks.isCurrentlyEarthHour(TZ), false);
@@ -124,18 +191,18 @@ describe('isCurrentlyEarthHour', () => {
 
 describe('isEarthHourDay', () => {
   it('is true all day on EH day', () => {
-    setNow(2025, 3, 29, 0, 0);
+    setNow(2025, 3, 22, 0, 0);
     assert.strictEqual(earthHourChecks.isEarthHourDay(TZ), true);
-    setNow(2025, 3, 29, 12, 0);
+    setNow(2025, 3, 22, 12, 0);
     assert.strictEqual(earthHourChecks.isEarthHourDay(TZ), true);
-    setNow(2025, 3, 29, 23, 59);
+    setNow(2025, 3, 22, 23, 59);
     assert.strictEqual(earthHourChecks.isEarthHourDay(TZ), true);
   });
 
   it('is false on other days', () => {
-    setNow(2025, 3, 28, 12, 0);
+    setNow(2025, 3, 21, 12, 0);
     assert.strictEqual(earthHourChecks.isEarthHourDay(TZ), false);
-    setNow(2025, 3, 30, 12, 0);
+    setNow(2025, 3, 23, 12, 0);
     assert.strictEqual(earthHourChecks.isEarthHourDay(TZ), false);
     setNow(2025, 4, 1, 12, 0);
     assert.strictEqual(earthHourChecks.isEarthHourDay(TZ), false);
@@ -144,20 +211,20 @@ describe('isEarthHourDay', () => {
 
 describe('getMinutesUntilEarthHourStart', () => {
   it('is positive before EH start', () => {
-    setNow(2025, 3, 29, 10, 0);
+    setNow(2025, 3, 22, 10, 0);
     const m = earthHourTime.getMinutesUntilEarthHourStart(TZ);
     assert.ok(m > 0, `expected positive, got ${m}`);
   });
 
   it('is negative during 20:30–21:30 (already started)', () => {
-    setNow(2025, 3, 29, 20, 45);
+    setNow(2025, 3, 22, 20, 45);
     const m = earthHourTime.getMinutesUntilEarthHourStart(TZ);
     assert.ok(m < 0, `expected negative, got ${m}`);
     assert.ok(Math.abs(m) <= 60, `expected within 1h of start, got ${m}`);
   });
 
   it('is positive after EH end (next year’s start)', () => {
-    setNow(2025, 3, 29, 22, 0);
+    setNow(2025, 3, 22, 22, 0);
     const m = earthHourTime.getMinutesUntilEarthHourStart(TZ);
     assert.ok(m > 0, `expected positive, got ${m}`);
   });
@@ -165,18 +232,18 @@ describe('getMinutesUntilEarthHourStart', () => {
 
 describe('getMinutesUntilEarthHourEnd', () => {
   it('is positive before EH end (includes during 20:30–21:30)', () => {
-    setNow(2025, 3, 29, 10, 0);
+    setNow(2025, 3, 22, 10, 0);
     const mBefore = earthHourTime.getMinutesUntilEarthHourEnd(TZ);
     assert.ok(mBefore > 0, `expected positive, got ${mBefore}`);
 
-    setNow(2025, 3, 29, 20, 45);
+    setNow(2025, 3, 22, 20, 45);
     const mDuring = earthHourTime.getMinutesUntilEarthHourEnd(TZ);
     assert.ok(mDuring > 0, `expected positive (minutes until 21:30), got ${mDuring}`);
     assert.ok(mDuring <= 60, `expected ≤60 min until end, got ${mDuring}`);
   });
 
   it('is positive after 21:30 on EH day (minutes until next year\'s end)', () => {
-    setNow(2025, 3, 29, 21, 45);
+    setNow(2025, 3, 22, 21, 45);
     const m = earthHourTime.getMinutesUntilEarthHourEnd(TZ);
     assert.ok(m > 0, `expected positive (next year’s end), got ${m}`);
   });
@@ -187,7 +254,7 @@ describe('formatDateInTimezone', () => {
     const d = earthHourDate.getEarthHourDate(2025, TZ);
     const s = dateFormat.formatDateInTimezone(d, TZ);
     assert.ok(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}\([^)]+\)$/.test(s), `expected ISO+offset pattern, got: ${s}`);
-    assert.ok(s.includes('2025-03-29'), `expected date part, got: ${s}`);
+    assert.ok(s.includes('2025-03-22'), `expected date part, got: ${s}`);
     assert.ok(s.includes('20:30'), `expected time part, got: ${s}`);
     assert.ok(s.endsWith(')') && s.includes('('), `expected offset in brackets, got: ${s}`);
   });
@@ -198,8 +265,8 @@ describe('getOneMonthBeforeEarthHour', () => {
     const d2024 = earthHourDate.getOneMonthBeforeEarthHour(2024, TZ);
     const d2025 = earthHourDate.getOneMonthBeforeEarthHour(2025, TZ);
     const d2026 = earthHourDate.getOneMonthBeforeEarthHour(2026, TZ);
-    assert.strictEqual(DateTime.fromJSDate(d2024).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2024-02-29 20:30');
-    assert.strictEqual(DateTime.fromJSDate(d2025).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-02-28 20:30');
+    assert.strictEqual(DateTime.fromJSDate(d2024).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2024-02-23 20:30');
+    assert.strictEqual(DateTime.fromJSDate(d2025).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-02-22 20:30');
     assert.strictEqual(DateTime.fromJSDate(d2026).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2026-02-28 20:30');
   });
 });
@@ -207,21 +274,21 @@ describe('getOneMonthBeforeEarthHour', () => {
 describe('getOneWeekBeforeEarthHour', () => {
   it('returns 20:30 on the Saturday one week before EH', () => {
     const d = earthHourDate.getOneWeekBeforeEarthHour(2025, TZ);
-    assert.strictEqual(DateTime.fromJSDate(d).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 20:30');
+    assert.strictEqual(DateTime.fromJSDate(d).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-15 20:30');
   });
 });
 
 describe('getOneDayBeforeEarthHour', () => {
   it('returns 20:30 on the Friday one day before EH', () => {
     const d = earthHourDate.getOneDayBeforeEarthHour(2025, TZ);
-    assert.strictEqual(DateTime.fromJSDate(d).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-28 20:30');
+    assert.strictEqual(DateTime.fromJSDate(d).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-21 20:30');
   });
 });
 
 describe('getThirtyMinutesBeforeEarthHour', () => {
   it('returns 20:00 on EH day', () => {
     const d = earthHourDate.getThirtyMinutesBeforeEarthHour(2025, TZ);
-    assert.strictEqual(DateTime.fromJSDate(d).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-29 20:00');
+    assert.strictEqual(DateTime.fromJSDate(d).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2025-03-22 20:00');
   });
 });
 
@@ -274,17 +341,17 @@ describe('formatDateFriendly / formatDateFriendlyNoYear / formatTimeFriendly', (
 
 describe('flow conditions: Earth Hour starts in / ends in', () => {
   it('"starts in" is true only when 0 ≤ minutesUntil ≤ target', () => {
-    setNow(2025, 3, 29, 20, 25);
+    setNow(2025, 3, 22, 20, 25);
     const minStart = earthHourTime.getMinutesUntilEarthHourStart(TZ);
     assert.ok(minStart >= 0 && minStart <= 10, `~5 min until start: ${minStart}`);
 
-    setNow(2025, 3, 29, 20, 45);
+    setNow(2025, 3, 22, 20, 45);
     const minStartDuring = earthHourTime.getMinutesUntilEarthHourStart(TZ);
     assert.ok(minStartDuring < 0, `during EH, starts-in should be negative: ${minStartDuring}`);
   });
 
   it('"starts in" with unit hours uses amount * 60 as target minutes', () => {
-    setNow(2025, 3, 29, 20, 25);
+    setNow(2025, 3, 22, 20, 25);
     const minutesUntil = earthHourTime.getMinutesUntilEarthHourStart(TZ);
     const targetMinutes = (args) => (args.unit === 'hours' ? args.amount * 60 : args.amount);
     const inWindow = (m, t) => m >= 0 && m <= t;
@@ -297,8 +364,89 @@ describe('flow conditions: Earth Hour starts in / ends in', () => {
   });
 
   it('"ends in" is true when 0 ≤ minutesUntil ≤ target during EH', () => {
-    setNow(2025, 3, 29, 20, 45);
+    setNow(2025, 3, 22, 20, 45);
     const minEnd = earthHourTime.getMinutesUntilEarthHourEnd(TZ);
     assert.ok(minEnd >= 0 && minEnd <= 60, `~45 min until end: ${minEnd}`);
   });
 });
+
+describe('flow condition: time until / since Earth Hour', () => {
+  /**
+   * Runs the condition at a moment, like the run listener does.
+   * @param {string} iso - Current moment
+   * @param {string} condition - "<direction> <reference> <comparator> <amount> <unit>"
+   * @returns {boolean}
+   */
+  const check = (iso, condition) => {
+    const [direction, reference, comparator, amount, unit] = condition.split(' ');
+    const now = new Date(iso);
+    const moment = earthHourTime.getReferenceMoment(reference, direction, TZ, now);
+    return earthHourTime.compareTimeToMoment(moment, now, TZ, {
+      direction, comparator, amount: Number(amount), unit,
+    });
+  };
+
+  it('measures until the next start or end and since the last one', () => {
+    // Earth Hour 2025: 2025-03-22 20:30–21:30 Amsterdam (19:30–20:30 UTC).
+    const during = new Date('2025-03-22T20:00:00.000Z');
+    assert.strictEqual(earthHourTime.getReferenceMoment('start', 'since', TZ, during).toISOString(), '2025-03-22T19:30:00.000Z');
+    assert.strictEqual(earthHourTime.getReferenceMoment('start', 'until', TZ, during).toISOString(), '2026-03-28T19:30:00.000Z');
+    assert.strictEqual(earthHourTime.getReferenceMoment('end', 'until', TZ, during).toISOString(), '2025-03-22T20:30:00.000Z');
+    assert.strictEqual(earthHourTime.getReferenceMoment('end', 'since', TZ, during).toISOString(), '2024-03-23T20:30:00.000Z');
+  });
+
+  it('compares with within, more than and exactly in every unit', () => {
+    const threeDaysBefore = '2025-03-19T12:00:00.000Z';
+    assert.strictEqual(check(threeDaysBefore, 'until start more_than 2 days'), true);
+    assert.strictEqual(check(threeDaysBefore, 'until start within 1 weeks'), true);
+    assert.strictEqual(check(threeDaysBefore, 'until start within 48 hours'), false);
+    assert.strictEqual(check(threeDaysBefore, 'until start exactly 3 days'), true);
+    assert.strictEqual(check('2025-03-19T22:59:00.000Z', 'until start exactly 3 days'), true);
+    assert.strictEqual(check('2025-03-19T23:00:00.000Z', 'until start exactly 3 days'), false);
+    assert.strictEqual(check('2025-03-15T08:00:00.000Z', 'until start exactly 1 weeks'), true);
+    assert.strictEqual(check('2025-03-22T19:10:00.000Z', 'until start exactly 20 minutes'), true);
+  });
+
+  it('handles "ended less than 30 minutes ago" and DST between the moment and now', () => {
+    assert.strictEqual(check('2025-03-22T20:50:00.000Z', 'since end within 30 minutes'), true);
+    assert.strictEqual(check('2025-03-22T21:10:00.000Z', 'since end within 30 minutes'), false);
+
+    // Summer time starts on 30 March 2025: two weeks on is the same wall-clock time, an hour less later.
+    assert.strictEqual(check('2025-04-05T18:30:00.000Z', 'since start within 2 weeks'), true);
+    assert.strictEqual(check('2025-04-05T18:31:00.000Z', 'since start more_than 2 weeks'), true);
+  });
+});
+
+describe('triggerState.getDueTriggers', () => {
+  const start = earthHourDate.getEarthHourDate(2025, TZ);
+  const end = earthHourDate.getEarthHourEnd(2025, TZ);
+
+  /**
+   * Due triggers at a local time on Earth Hour day 2025 (22 March).
+   * @param {number} hour
+   * @param {number} minute
+   * @param {number} [day]
+   */
+  const dueAt = (hour, minute, day = 22) => {
+    const now = DateTime.fromObject({
+      year: 2025, month: 3, day, hour, minute,
+    }, { zone: TZ }).toJSDate();
+    return triggerState.getDueTriggers(now, start, end, TZ);
+  };
+
+  it('nothing is due before the start or on other days', () => {
+    assert.deepStrictEqual(dueAt(20, 28), []);
+    assert.deepStrictEqual(dueAt(22, 0, 21), []);
+    assert.deepStrictEqual(dueAt(0, 30, 23), []);
+  });
+
+  it('start and end are on time within the minute window', () => {
+    assert.deepStrictEqual(dueAt(20, 30), [{ kind: 'start', isLate: false }]);
+    assert.deepStrictEqual(dueAt(21, 30), [{ kind: 'end', isLate: false }]);
+  });
+
+  it('catches up late mid-Earth-Hour and after the end on the same night', () => {
+    assert.deepStrictEqual(dueAt(20, 45), [{ kind: 'start', isLate: true }]);
+    assert.deepStrictEqual(dueAt(23, 0), [{ kind: 'end', isLate: true }]);
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const {
+  describe, it, afterEach,
+} = require('node:test');
+const assert = require('node:assert');
+
+const earthHourState = require('../lib/utils/earthHourState');
+const clock = require('../lib/utils/clock');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const TZ = 'Europe/Amsterdam';
+
+afterEach(() => clock.setClock(null));
+
+describe('getState', () => {
+  it('walks through the states around Earth Hour with the moment each one ends', () => {
+    // Earth Hour 2025: 2025-03-22 20:30–21:30 Amsterdam (19:30–20:30 UTC).
+    const at = (iso) => {
+      const { state, year, changesAt } = earthHourState.getState(TZ, new Date(iso));
+      return `${state} ${year} ${changesAt.toISOString()}`;
+    };
+    assert.strictEqual(at('2025-01-10T12:00:00.000Z'), 'far_off 2025 2025-02-22T19:30:00.000Z');
+    assert.strictEqual(at('2025-03-01T12:00:00.000Z'), 'reminder_window 2025 2025-03-21T23:00:00.000Z');
+    assert.strictEqual(at('2025-03-22T08:00:00.000Z'), 'day_of 2025 2025-03-22T18:30:00.000Z');
+    assert.strictEqual(at('2025-03-22T19:00:00.000Z'), 'imminent 2025 2025-03-22T19:30:00.000Z');
+    assert.strictEqual(at('2025-03-22T20:00:00.000Z'), 'active 2025 2025-03-22T20:30:00.000Z');
+    assert.strictEqual(at('2025-03-22T21:00:00.000Z'), 'just_ended 2025 2025-03-22T23:00:00.000Z');
+    assert.strictEqual(at('2025-03-23T08:00:00.000Z'), 'far_off 2026 2026-02-28T19:30:00.000Z');
+  });
+
+  it('counts towards next year\'s Earth Hour in the Homey timezone, not the server\'s', () => {
+    // New Year's Eve 23:30 UTC is already 2026 in Amsterdam.
+    const { year, start } = earthHourState.getOccurrence(TZ, new Date('2025-12-31T23:30:00.000Z'));
+    assert.strictEqual(year, 2026);
+    assert.strictEqual(start.toISOString(), '2026-03-28T19:30:00.000Z');
+  });
+});
+
+describe('getPlannedOccurrences', () => {
+  it('plans the Earth Hour the state is about and the one after it', () => {
+    const years = (iso) => earthHourState.getPlannedOccurrences(TZ, new Date(iso)).map(({ year }) => year);
+    assert.deepStrictEqual(years('2025-03-22T21:00:00.000Z'), [2025, 2026]);
+    assert.deepStrictEqual(years('2025-03-23T08:00:00.000Z'), [2026, 2027]);
+  });
+});
+
+describe('updateState', () => {
+  it('records the first state silently, then reports each change once', () => {
+    const ctx = createCtx();
+    clock.setClock({ now: '2025-03-22T08:00:00.000Z' });
+    assert.strictEqual(earthHourState.updateState(ctx, TZ), null);
+    assert.deepStrictEqual(ctx.homey.settings.get(earthHourState.SETTINGS_KEY), { state: 'day_of', year: 2025 });
+    assert.strictEqual(earthHourState.updateState(ctx, TZ), null);
+
+    clock.setClock({ now: '2025-03-22T19:15:00.000Z' });
+    assert.strictEqual(earthHourState.getNextStateCheck(ctx, clock.now(), TZ).toISOString(), '2025-03-22T19:15:00.000Z');
+    assert.strictEqual(earthHourState.updateState(ctx, TZ).state, 'imminent');
+    assert.strictEqual(earthHourState.getNextStateCheck(ctx, clock.now(), TZ).toISOString(), '2025-03-22T19:30:00.000Z');
+    assert.strictEqual(earthHourState.updateState(ctx, TZ), null);
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createDeviceAdapter } = require('../lib/utils/deviceAdapter');
+const energyReport = require('../lib/utils/energyReport');
+const { createFakeHomeyApi, createCtx } = require('./helpers/fakeHomeyApi');
+
+const TIMEZONE = 'Europe/Amsterdam';
+
+/** A home with a lamp, a heater that only reports a meter, and optionally a whole-home meter. */
+function createHome({ withHomeMeter = false } = {}) {
+  const devices = [
+    {
+      id: 'lamp', name: 'Floor lamp', zone: 'living', class: 'light', values: { onoff: true, measure_power: 100 },
+    },
+    {
+      id: 'heater', name: 'Heater', zone: 'living', class: 'heater', values: { onoff: true, meter_power: 10 },
+    },
+  ];
+  if (withHomeMeter) {
+    devices.push({
+      id: 'p1', name: 'Home meter', zone: 'living', class: 'sensor', cumulative: true, values: { measure_power: 1500 },
+    });
+  }
+  return createFakeHomeyApi({ zones: [{ id: 'living', name: 'Living room', parent: null }], devices });
+}
+
+/**
+ * Samples a window at its start, halfway and at its end with the given device readings.
+ * @param {object} ctx - Test context
+ * @param {object} window - Window from getMeasurementWindows
+ * @param {number} watts - Lamp power
+ * @param {number} meterIncrease - Heater meter increase over the window in kWh
+ */
+async function sampleWindow(ctx, window, watts, meterIncrease) {
+  const api = createHome();
+  const adapter = createDeviceAdapter(api);
+  const halfway = new Date((window.startAt.getTime() + window.endAt.getTime()) / 2);
+  for (const [at, meter] of [[window.startAt, 10], [halfway, 10 + meterIncrease / 2], [window.endAt, 10 + meterIncrease]]) {
+    await api.devices.setCapabilityValue({ deviceId: 'lamp', capabilityId: 'measure_power', value: watts });
+    await api.devices.setCapabilityValue({ deviceId: 'heater', capabilityId: 'meter_power', value: meter });
+    await energyReport.takeSample(ctx, adapter, window, at);
+  }
+}
+
+describe('getMeasurementWindows', () => {
+  it('returns the same local hour on the three Saturdays before, then Earth Hour itself', () => {
+    const windows = energyReport.getMeasurementWindows(2025, TIMEZONE);
+    assert.deepStrictEqual(windows.map(({ startAt }) => startAt.toISOString()), [
+      '2025-03-15T19:30:00.000Z',
+      '2025-03-08T19:30:00.000Z',
+      '2025-03-01T19:30:00.000Z',
+      '2025-03-22T19:30:00.000Z',
+    ]);
+  });
+});
+
+describe('getPendingEnergyJobs', () => {
+  it('plans nothing until measuring is turned on', () => {
+    assert.deepStrictEqual(energyReport.getPendingEnergyJobs(createCtx(), new Date('2025-03-01T12:00:00.000Z'), TIMEZONE), []);
+  });
+
+  it('samples a window every few minutes until it ends', async () => {
+    const ctx = createCtx({ [energyReport.ENABLED_SETTINGS_KEY]: true });
+    const [window] = energyReport.getMeasurementWindows(2025, TIMEZONE);
+    const sampleAt = (now) => energyReport.getPendingEnergyJobs(ctx, now, TIMEZONE)
+      .filter((job) => job.kind === 'sample' && job.window.key === window.key)
+      .map((job) => job.at.toISOString());
+
+    assert.deepStrictEqual(sampleAt(new Date('2025-03-01T12:00:00.000Z')), ['2025-03-15T19:30:00.000Z']);
+    await energyReport.takeSample(ctx, createDeviceAdapter(createHome()), window, window.startAt);
+    assert.deepStrictEqual(sampleAt(window.startAt), ['2025-03-15T19:35:00.000Z']);
+    // Missed the rest of the window: it is closed with what it has.
+    assert.deepStrictEqual(sampleAt(new Date('2025-03-16T12:00:00.000Z')), []);
+  });
+});
+
+describe('createReport', () => {
+  it('compares Earth Hour with the baseline average and stores the result', async () => {
+    const ctx = createCtx({ [energyReport.ENABLED_SETTINGS_KEY]: true });
+    const windows = energyReport.getMeasurementWindows(2025, TIMEZONE);
+    await sampleWindow(ctx, windows[0], 1000, 0.5);
+    await sampleWindow(ctx, windows[1], 600, 0.5);
+    await sampleWindow(ctx, windows[3], 200, 0.1);
+
+    const result = energyReport.createReport(ctx, 2025);
+
+    // Baseline: (1.5 + 1.1) / 2 = 1.3 kWh; Earth Hour: 0.2 + 0.1 = 0.3 kWh.
+    assert.deepStrictEqual(result, {
+      year: 2025, baselineKwh: 1.3, earthHourKwh: 0.3, savedKwh: 1, co2Kg: 0.4,
+    });
+    assert.deepStrictEqual(ctx.homey.settings.get(energyReport.RESULTS_SETTINGS_KEY), {
+      2025: {
+        baselineKwh: 1.3, earthHourKwh: 0.3, savedKwh: 1, co2Kg: 0.4,
+      },
+    });
+    assert.deepStrictEqual(ctx.homey.settings.get(energyReport.WINDOWS_SETTINGS_KEY), {});
+    assert.ok(!energyReport.getPendingEnergyJobs(ctx, windows[3].endAt, TIMEZONE).some((job) => job.year === 2025));
+  });
+
+  it('lists the stored results newest first', () => {
+    const ctx = createCtx({
+      [energyReport.RESULTS_SETTINGS_KEY]: {
+        2024: {
+          baselineKwh: 1, earthHourKwh: 1.2, savedKwh: -0.2, co2Kg: -0.08,
+        },
+        2025: {
+          baselineKwh: 1.3, earthHourKwh: 0.3, savedKwh: 1, co2Kg: 0.4,
+        },
+      },
+    });
+
+    assert.deepStrictEqual(energyReport.getResults(ctx), [
+      {
+        year: 2025, baselineKwh: 1.3, earthHourKwh: 0.3, savedKwh: 1, co2Kg: 0.4,
+      },
+      {
+        year: 2024, baselineKwh: 1, earthHourKwh: 1.2, savedKwh: -0.2, co2Kg: -0.08,
+      },
+    ]);
+    assert.deepStrictEqual(energyReport.getResults(createCtx()), []);
+  });
+
+  it('stores nothing without a baseline', async () => {
+    const ctx = createCtx();
+    const windows = energyReport.getMeasurementWindows(2025, TIMEZONE);
+    await sampleWindow(ctx, windows[3], 200, 0);
+
+    assert.strictEqual(energyReport.createReport(ctx, 2025), null);
+    assert.strictEqual(ctx.homey.settings.get(energyReport.RESULTS_SETTINGS_KEY), null);
+  });
+
+  it('uses only the whole-home meter when there is one', async () => {
+    const ctx = createCtx();
+    const [window] = energyReport.getMeasurementWindows(2025, TIMEZONE);
+    const adapter = createDeviceAdapter(createHome({ withHomeMeter: true }));
+    await energyReport.takeSample(ctx, adapter, window, window.startAt);
+
+    const state = ctx.homey.settings.get(energyReport.WINDOWS_SETTINGS_KEY)[window.key];
+    assert.strictEqual(state.wattsSum, 1500);
+    assert.deepStrictEqual(state.metersFirst, {});
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+const {
+  describe, it, afterEach,
+} = require('node:test');
+const assert = require('node:assert');
+
+const events = require('../lib/utils/events');
+const notifications = require('../lib/utils/notifications');
+const triggerState = require('../lib/utils/triggerState');
+const reminders = require('../lib/utils/reminders');
+const clock = require('../lib/utils/clock');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const TZ = 'Europe/Amsterdam';
+
+/** A user event: car-free Sunday, the second Sunday of September from 10:00 to 17:00. */
+const CAR_FREE_SUNDAY = {
+  id: 'custom-1',
+  name: 'Car-free Sunday',
+  rule: {
+    type: 'nthWeekday', month: 9, weekday: 7, nth: 2,
+  },
+  time: '10:00',
+  duration: 7 * 60,
+  reminders: [{ amount: 1, unit: 'days', time: '18:00' }],
+  message: 'Tomorrow is [event], from [time]. Leave the car at home!',
+};
+
+afterEach(() => clock.setClock(null));
+
+describe('getRuleDate', () => {
+  it('resolves fixed dates and weekdays of the month', () => {
+    const day = (rule, year) => {
+      const { month, day: dayOfMonth } = events.getRuleDate(rule, year);
+      return `${month}/${dayOfMonth}`;
+    };
+    assert.strictEqual(day({ type: 'fixed', month: 4, day: 22 }, 2025), '4/22');
+    assert.strictEqual(day(CAR_FREE_SUNDAY.rule, 2025), '9/14');
+    assert.strictEqual(day({ type: 'lastWeekday', month: 3, weekday: 6 }, 2025), '3/29');
+    assert.strictEqual(day({ type: 'lastWeekday', month: 3, weekday: 6 }, 2026), '3/28');
+  });
+});
+
+describe('getEvents', () => {
+  it('lists the built-in events first and leaves out invalid user events, logging them once', () => {
+    const errors = [];
+    const ctx = createCtx({
+      [events.CUSTOM_SETTINGS_KEY]: [
+        CAR_FREE_SUNDAY,
+        {
+          id: 'custom-2', name: 'Leap day', rule: { type: 'fixed', month: 2, day: 29 }, time: '00:00', duration: events.ALL_DAY,
+        },
+        {
+          id: 'earth_day', name: 'Mine', rule: { type: 'fixed', month: 4, day: 1 }, time: '00:00', duration: 60,
+        },
+        {
+          id: 'custom-3', name: 'Endless', rule: { type: 'fixed', month: 5, day: 1 }, time: '00:00', duration: 0,
+        },
+        {
+          id: 'custom-1', name: 'Again', rule: { type: 'fixed', month: 6, day: 1 }, time: '00:00', duration: 60,
+        },
+      ],
+    });
+    ctx.error = (...args) => errors.push(args.join(' '));
+    assert.deepStrictEqual(events.getEvents(ctx).map(({ id }) => id), ['earth_hour', 'earth_day', 'world_environment_day', 'custom-1']);
+    events.getEvents(ctx);
+    assert.deepStrictEqual(errors.map((error) => error.replace(/:.*/, '')), [
+      '[Events] Ignoring invalid event', '[Events] Ignoring invalid event', '[Events] Ignoring invalid event', '[Events] Ignoring event with duplicate id',
+    ]);
+    assert.strictEqual(events.getEventName(ctx, events.getEvent(ctx, 'custom-1')), 'Car-free Sunday');
+    assert.strictEqual(events.getEvent(ctx, 'custom-2'), null);
+    assert.deepStrictEqual(events.getEventAutocomplete(ctx, 'car'), [{ id: 'custom-1', name: 'Car-free Sunday' }]);
+    assert.strictEqual(events.getArgumentEventId({ event: { id: 'custom-1', name: 'Car-free Sunday' } }), 'custom-1');
+    assert.strictEqual(events.getArgumentEventId({}), events.EARTH_HOUR_ID);
+  });
+});
+
+describe('getOccurrence / isEventActive / isEventDay', () => {
+  it('keeps Earth Hour on its schedule table', () => {
+    const { year, start, end } = events.getOccurrence(events.EARTH_HOUR, TZ, new Date('2025-03-01T12:00:00.000Z'));
+    assert.strictEqual(year, 2025);
+    assert.strictEqual(start.toISOString(), '2025-03-22T19:30:00.000Z');
+    assert.strictEqual(end.toISOString(), '2025-03-22T20:30:00.000Z');
+  });
+
+  it('runs an all-day event from midnight to midnight', () => {
+    const earthDay = events.getEvent(createCtx(), 'earth_day');
+    const { start, end } = events.getOccurrence(earthDay, TZ, new Date('2025-04-01T12:00:00.000Z'));
+    assert.strictEqual(start.toISOString(), '2025-04-21T22:00:00.000Z');
+    assert.strictEqual(end.toISOString(), '2025-04-22T22:00:00.000Z');
+
+    assert.strictEqual(events.isEventActive(earthDay, TZ, new Date('2025-04-21T21:59:00.000Z')), false);
+    assert.strictEqual(events.isEventActive(earthDay, TZ, new Date('2025-04-22T21:59:00.000Z')), true);
+    assert.strictEqual(events.isEventDay(earthDay, TZ, new Date('2025-04-22T08:00:00.000Z')), true);
+    assert.strictEqual(events.isEventDay(earthDay, TZ, new Date('2025-04-22T22:30:00.000Z')), false);
+    assert.strictEqual(events.getOccurrence(earthDay, TZ, new Date('2025-04-22T22:30:00.000Z')).year, 2026);
+  });
+
+  it('measures "time until / since" to the next or last start', () => {
+    const ctx = createCtx({ [events.CUSTOM_SETTINGS_KEY]: [CAR_FREE_SUNDAY] });
+    const event = events.getEvent(ctx, 'custom-1');
+    const now = new Date('2025-09-14T12:00:00.000Z');
+    assert.strictEqual(events.getReferenceMoment(event, 'start', 'since', TZ, now).toISOString(), '2025-09-14T08:00:00.000Z');
+    assert.strictEqual(events.getReferenceMoment(event, 'start', 'until', TZ, now).toISOString(), '2026-09-13T08:00:00.000Z');
+    assert.strictEqual(events.getReferenceMoment(event, 'end', 'until', TZ, now).toISOString(), '2025-09-14T15:00:00.000Z');
+  });
+});
+
+describe('triggerState.getPendingTriggers', () => {
+  it('fires each start and end once per year and forgets removed events', () => {
+    const ctx = createCtx({ [events.CUSTOM_SETTINGS_KEY]: [CAR_FREE_SUNDAY] });
+    const now = new Date('2025-09-14T12:00:00.000Z');
+    const pending = () => triggerState.getPendingTriggers(ctx, now, TZ)
+      .filter(({ eventId }) => eventId === 'custom-1')
+      .map(({ kind, year, at }) => `${kind} ${year} ${at.toISOString()}`);
+    assert.deepStrictEqual(pending(), [
+      'start 2025 2025-09-14T08:00:00.000Z',
+      'end 2025 2025-09-14T15:00:00.000Z',
+      'start 2026 2026-09-13T08:00:00.000Z',
+      'end 2026 2026-09-13T15:00:00.000Z',
+    ]);
+
+    triggerState.markFired(ctx, 'custom-1', 'start', 2025);
+    assert.strictEqual(triggerState.hasFired(ctx, 'custom-1', 'start', 2025), true);
+    assert.strictEqual(pending()[0], 'end 2025 2025-09-14T15:00:00.000Z');
+
+    ctx.homey.settings.set(events.CUSTOM_SETTINGS_KEY, []);
+    events.loadCustomEvents(ctx);
+    triggerState.markFired(ctx, 'earth_day', 'start', 2025);
+    assert.strictEqual(triggerState.hasFired(ctx, 'custom-1', 'start', 2025), false);
+  });
+
+  it('keeps Earth Hour on the same path, still reading its fired years from before', () => {
+    const ctx = createCtx({ 'triggers.startFiredYear': 2026 });
+    const now = new Date('2026-03-01T12:00:00.000Z');
+    const pending = triggerState.getPendingTriggers(ctx, now, TZ)
+      .filter(({ eventId }) => eventId === events.EARTH_HOUR_ID)
+      .map(({ kind, year }) => `${kind} ${year}`);
+    assert.deepStrictEqual(pending, ['end 2026', 'start 2027', 'end 2027']);
+  });
+});
+
+describe('event reminders', () => {
+  it('sends the built-in reminder the day before an all-day event, once until reminders are reset', async () => {
+    const ctx = createCtx();
+    clock.setClock({ now: '2025-04-21T07:00:00.000Z' });
+    const due = await notifications.runScheduledNotifications(ctx, TZ);
+    assert.deepStrictEqual(due.map(({ id, event }) => `${event} ${id}`), ['earth_day earth_day.0']);
+    assert.match(due[0].message, /^notifications\.eventReminderAllDay .*"event":"events\.earthDay/);
+    assert.strictEqual(ctx.sent.length, 1);
+    assert.deepStrictEqual(await notifications.runScheduledNotifications(ctx, TZ), []);
+
+    notifications.resetReminders(ctx);
+    assert.deepStrictEqual((await notifications.runScheduledNotifications(ctx, TZ)).map(({ id }) => id), ['earth_day.0']);
+    assert.strictEqual(ctx.sent.length, 2);
+  });
+
+  it('fills in the user\'s own message', async () => {
+    const ctx = createCtx({ [events.CUSTOM_SETTINGS_KEY]: [CAR_FREE_SUNDAY] });
+    clock.setClock({ now: '2025-09-13T16:00:00.000Z' });
+    const due = await notifications.runScheduledNotifications(ctx, TZ);
+    assert.deepStrictEqual(due.map(({ id, message }) => `${id}: ${message}`), [
+      'custom-1.0: Tomorrow is Car-free Sunday, from 10:00. Leave the car at home!',
+    ]);
+  });
+
+  it('follows the reminder switches: off skips it, timeline off leaves delivery to a flow', async () => {
+    const ctx = createCtx({
+      [events.CUSTOM_SETTINGS_KEY]: [CAR_FREE_SUNDAY],
+      [reminders.ENABLED_SETTINGS_KEY]: { 'earth_day.0': false },
+      [reminders.TIMELINE_SETTINGS_KEY]: { 'custom-1.0': false },
+    });
+    clock.setClock({ now: '2025-04-21T07:00:00.000Z' });
+    assert.deepStrictEqual(await notifications.runScheduledNotifications(ctx, TZ), []);
+    clock.setClock({ now: '2025-09-13T16:00:00.000Z' });
+    assert.deepStrictEqual((await notifications.runScheduledNotifications(ctx, TZ)).map(({ id }) => id), ['custom-1.0']);
+    assert.strictEqual(ctx.sent.length, 0);
+  });
+});
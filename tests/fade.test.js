@@ -0,0 +1,234 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createDeviceAdapter } = require('../lib/utils/deviceAdapter');
+const fade = require('../lib/utils/fade');
+const { createFakeHomeyApi, createCtx } = require('./helpers/fakeHomeyApi');
+
+const TIMEZONE = 'Europe/Amsterdam';
+// Earth Hour 2025: 2025-03-22 20:30–21:30 Amsterdam (UTC+1).
+const START = new Date('2025-03-22T19:30:00.000Z');
+const END = new Date('2025-03-22T20:30:00.000Z');
+const MINUTE_MS = 60 * 1000;
+
+/** Living room with two dimmable lamps (one off), a plain socket, and a kitchen lamp. */
+function createHome() {
+  return createFakeHomeyApi({
+    zones: [
+      { id: 'living', name: 'Living room', parent: null },
+      { id: 'kitchen', name: 'Kitchen', parent: null },
+    ],
+    devices: [
+      {
+        id: 'lamp', name: 'Floor lamp', zone: 'living', class: 'light', values: { onoff: true, dim: 0.8 },
+      },
+      {
+        id: 'spot', name: 'Spot', zone: 'living', class: 'light', values: { onoff: true, dim: 0.4 },
+      },
+      {
+        id: 'off', name: 'Reading lamp', zone: 'living', class: 'light', values: { onoff: false, dim: 1 },
+      },
+      {
+        id: 'plug', name: 'Plug', zone: 'living', class: 'socket', values: { onoff: true },
+      },
+      {
+        id: 'kitchen', name: 'Kitchen lamp', zone: 'kitchen', class: 'light', values: { onoff: true, dim: 1 },
+      },
+    ],
+  });
+}
+
+/**
+ * Runs fade steps the way the scheduler would, from the first step until the fade is done.
+ * @param {object} ctx - Test context
+ * @param {object} adapter - Device adapter
+ * @param {(now: Date) => void} [beforeStep] - Called before each step, e.g. to touch a device
+ */
+async function runFade(ctx, adapter, beforeStep = () => {}) {
+  let next = fade.getNextFadeStep(ctx);
+  while (next) {
+    beforeStep(next);
+    await fade.runFadeStep(ctx, adapter, next);
+    next = fade.getNextFadeStep(ctx);
+  }
+}
+
+/**
+ * Wraps an adapter so lights report a write only once it settles, as real lights do some time after
+ * a command. Until then they report the values from before the write.
+ * @param {object} adapter - Device adapter
+ * @returns {object} Adapter plus settle(), which makes every write so far visible
+ */
+function createSlowReportingAdapter(adapter) {
+  const stale = new Map();
+  return {
+    getZoneIds: (zoneId) => adapter.getZoneIds(zoneId),
+    getDevices: async () => (await adapter.getDevices()).map((device) => stale.get(device.id) || device),
+    getDevice: async (deviceId) => stale.get(deviceId) || adapter.getDevice(deviceId),
+    setCapabilityValue: async (deviceId, capabilityId, value) => {
+      if (!stale.has(deviceId)) stale.set(deviceId, await adapter.getDevice(deviceId));
+      await adapter.setCapabilityValue(deviceId, capabilityId, value);
+    },
+    settle: () => stale.clear(),
+  };
+}
+
+describe('getFadeWindow', () => {
+  it('ends a fade-out at the start and a fade-in starts at the end', () => {
+    const now = new Date('2025-03-22T12:00:00.000Z');
+    assert.deepStrictEqual(fade.getFadeWindow('out', now, TIMEZONE, 10), {
+      startAt: new Date(START.getTime() - 10 * MINUTE_MS),
+      endAt: START,
+    });
+    assert.deepStrictEqual(fade.getFadeWindow('in', now, TIMEZONE, 10), {
+      startAt: END,
+      endAt: new Date(END.getTime() + 10 * MINUTE_MS),
+    });
+  });
+
+  it('starts right away when less than the full length is left', () => {
+    const now = new Date(START.getTime() - 4 * MINUTE_MS);
+    assert.deepStrictEqual(fade.getFadeWindow('out', now, TIMEZONE, 10), { startAt: now, endAt: START });
+  });
+});
+
+describe('runFadeStep', () => {
+  it('fades lights that are on down to off and back in to their saved brightness', async () => {
+    const api = createHome();
+    const ctx = createCtx();
+    const adapter = createDeviceAdapter(api);
+
+    fade.scheduleFade(ctx, {
+      direction: 'out', zone: 'living', startAt: new Date(START.getTime() - 2 * MINUTE_MS), endAt: START,
+    });
+    await runFade(ctx, adapter);
+
+    assert.strictEqual(api.value('lamp', 'onoff'), false);
+    assert.strictEqual(api.value('spot', 'onoff'), false);
+    assert.deepStrictEqual(api.calls.filter((call) => call.deviceId === 'lamp').map((call) => call.value), [0.8, 0.6, 0.4, 0.2, false]);
+    assert.ok(!api.calls.some((call) => ['off', 'plug', 'kitchen'].includes(call.deviceId)));
+
+    fade.scheduleFade(ctx, {
+      direction: 'in', zone: 'all', startAt: END, endAt: new Date(END.getTime() + 2 * MINUTE_MS),
+    });
+    await runFade(ctx, adapter);
+
+    assert.strictEqual(api.value('lamp', 'onoff'), true);
+    assert.strictEqual(api.value('lamp', 'dim'), 0.8);
+    assert.strictEqual(api.value('spot', 'dim'), 0.4);
+    assert.strictEqual(ctx.homey.settings.get(fade.LEVELS_SETTINGS_KEY), null);
+  });
+
+  it('leaves a light alone once it was changed manually', async () => {
+    const api = createHome();
+    const ctx = createCtx();
+    const adapter = createDeviceAdapter(api);
+
+    fade.scheduleFade(ctx, {
+      direction: 'out', zone: 'living', startAt: new Date(START.getTime() - 2 * MINUTE_MS), endAt: START,
+    });
+    await runFade(ctx, adapter, (now) => {
+      if (now.getTime() === START.getTime() - MINUTE_MS) api.devices.setCapabilityValue({ deviceId: 'spot', capabilityId: 'dim', value: 1 });
+    });
+
+    assert.strictEqual(api.value('spot', 'dim'), 1);
+    assert.strictEqual(api.value('spot', 'onoff'), true);
+    assert.strictEqual(api.value('lamp', 'onoff'), false);
+  });
+
+  it('keeps lights that report a new brightness only some time after it was set', async () => {
+    const api = createHome();
+    const ctx = createCtx({ [fade.LEVELS_SETTINGS_KEY]: { lamp: { name: 'Floor lamp', dim: 0.8 } } });
+    api.devices.setCapabilityValue({ deviceId: 'lamp', capabilityId: 'onoff', value: false });
+    const adapter = createSlowReportingAdapter(createDeviceAdapter(api));
+
+    fade.scheduleFade(ctx, {
+      direction: 'in', zone: 'all', startAt: END, endAt: new Date(END.getTime() + 2 * MINUTE_MS),
+    });
+    await runFade(ctx, adapter, () => adapter.settle());
+
+    assert.strictEqual(api.value('lamp', 'onoff'), true);
+    assert.strictEqual(api.value('lamp', 'dim'), 0.8);
+  });
+
+  it('reads only the lights in the fade', async () => {
+    const api = createHome();
+    const ctx = createCtx();
+    const adapter = createDeviceAdapter(api);
+    const read = [];
+    const getDevice = adapter.getDevice.bind(adapter);
+    adapter.getDevice = (deviceId) => {
+      read.push(deviceId);
+      return getDevice(deviceId);
+    };
+
+    fade.scheduleFade(ctx, {
+      direction: 'out', zone: 'living', startAt: new Date(START.getTime() - MINUTE_MS), endAt: START,
+    });
+    await runFade(ctx, adapter);
+
+    assert.deepStrictEqual([...new Set(read)], ['lamp', 'spot']);
+  });
+
+  it('continues from the saved state after a restart', async () => {
+    const api = createHome();
+    const ctx = createCtx();
+    fade.scheduleFade(ctx, {
+      direction: 'out', zone: 'living', startAt: new Date(START.getTime() - 2 * MINUTE_MS), endAt: START,
+    });
+    await fade.runFadeStep(ctx, createDeviceAdapter(api), new Date(START.getTime() - MINUTE_MS));
+
+    // A new adapter and a step long after the planned one, as after the app was down for a while.
+    await fade.runFadeStep(ctx, createDeviceAdapter(api), new Date(START.getTime() + MINUTE_MS));
+
+    assert.strictEqual(api.value('lamp', 'onoff'), false);
+    assert.strictEqual(fade.getNextFadeStep(ctx), null);
+  });
+
+  it('stops when cancelled', async () => {
+    const api = createHome();
+    const ctx = createCtx();
+    fade.scheduleFade(ctx, {
+      direction: 'out', zone: 'living', startAt: new Date(START.getTime() - 2 * MINUTE_MS), endAt: START,
+    });
+    await fade.runFadeStep(ctx, createDeviceAdapter(api), new Date(START.getTime() - MINUTE_MS));
+
+    assert.strictEqual(fade.cancelFade(ctx), true);
+    assert.strictEqual(fade.getNextFadeStep(ctx), null);
+    assert.strictEqual(api.value('lamp', 'dim'), 0.4);
+    assert.strictEqual(api.value('lamp', 'onoff'), true);
+  });
+});
+
+describe('getPendingAutoFades', () => {
+  it('lists nothing unless automatic mode is on', () => {
+    assert.deepStrictEqual(fade.getPendingAutoFades(createCtx(), new Date('2025-03-01T12:00:00.000Z'), TIMEZONE), []);
+  });
+
+  it('rejects a fade length that is not a positive whole number of minutes', () => {
+    for (const minutes of [0, -5, 2.5, '15', null]) {
+      const auto = { enabled: true, minutes, zone: 'all' };
+      assert.strictEqual(fade.isValidAutoSettings(auto), false);
+      const ctx = createCtx({ [fade.AUTO_SETTINGS_KEY]: auto });
+      assert.deepStrictEqual(fade.getPendingAutoFades(ctx, new Date('2025-03-22T12:00:00.000Z'), TIMEZONE), []);
+    }
+    assert.strictEqual(fade.isValidAutoSettings({ enabled: false, minutes: 0 }), true);
+  });
+
+  it('plans the fade-out before the start and the fade-in at the end, once per year', () => {
+    const ctx = createCtx({ [fade.AUTO_SETTINGS_KEY]: { enabled: true, minutes: 15, zone: 'all' } });
+    const now = new Date('2025-03-22T12:00:00.000Z');
+    const thisYear = (pending) => pending.filter((autoFade) => autoFade.year === 2025);
+
+    assert.deepStrictEqual(thisYear(fade.getPendingAutoFades(ctx, now, TIMEZONE)), [
+      { direction: 'out', year: 2025, at: new Date(START.getTime() - 15 * MINUTE_MS) },
+      { direction: 'in', year: 2025, at: END },
+    ]);
+
+    fade.runAutoFade(ctx, { direction: 'out', year: 2025 }, now, TIMEZONE);
+    assert.deepStrictEqual(thisYear(fade.getPendingAutoFades(ctx, now, TIMEZONE)).map((autoFade) => autoFade.direction), ['in']);
+    assert.deepStrictEqual(fade.getNextFadeStep(ctx), new Date(START.getTime() - 15 * MINUTE_MS));
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const {
+  describe, it, mock, afterEach,
+} = require('node:test');
+const assert = require('node:assert');
+
+const flowTokens = require('../lib/utils/flowTokens');
+const earthHourTime = require('../lib/utils/earthHourTime');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const TZ = 'Europe/Amsterdam';
+const MINUTE_MS = 60 * 1000;
+
+afterEach(() => mock.timers.reset());
+
+describe('getTokenValues', () => {
+  it('counts down to this year\'s start and agrees with the condition helpers', () => {
+    // Earth Hour 2025: 2025-03-22 20:30 Amsterdam; now is 2 days, 3 hours and 10 minutes before.
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-20T16:20:00.000Z') });
+    const values = flowTokens.getTokenValues(createCtx(), TZ);
+
+    assert.deepStrictEqual(values, {
+      days_until_start: 2,
+      hours_until_start: 51,
+      minutes_until_start: 3070,
+      minutes_remaining: 0,
+      is_earth_hour: false,
+      next_start: 'tokens.nextStartValue {"date":"22nd March 2025","time":"20:30"}',
+    });
+    assert.strictEqual(values.minutes_until_start, earthHourTime.getMinutesUntilEarthHourStart(TZ));
+  });
+
+  it('shows the minutes left during Earth Hour and next year\'s start after it', () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-22T20:10:00.000Z') });
+    const during = flowTokens.getTokenValues(createCtx(), TZ);
+    assert.strictEqual(during.is_earth_hour, true);
+    assert.strictEqual(during.minutes_until_start, 0);
+    assert.strictEqual(during.minutes_remaining, 20);
+
+    mock.timers.setTime(new Date('2025-03-22T21:00:00.000Z').getTime());
+    const after = flowTokens.getTokenValues(createCtx(), TZ);
+    assert.strictEqual(after.is_earth_hour, false);
+    assert.match(after.next_start, /"date":"28th March 2026"/);
+  });
+});
+
+describe('getUpdateDelay', () => {
+  const delay = (minutes, isEarthHour = false) => flowTokens.getUpdateDelay({
+    minutes_until_start: minutes, is_earth_hour: isEarthHour,
+  });
+
+  it('updates every minute on the last day and during Earth Hour', () => {
+    assert.strictEqual(delay(12 * 60), MINUTE_MS);
+    assert.strictEqual(delay(24 * 60), MINUTE_MS);
+    assert.strictEqual(delay(0, true), MINUTE_MS);
+  });
+
+  it('otherwise wakes up as the hours (and days) left count down', () => {
+    assert.strictEqual(delay(60 * 24 * 60), MINUTE_MS);
+    assert.strictEqual(delay(60 * 24 * 60 + 59), 60 * MINUTE_MS);
+    assert.strictEqual(delay(3 * 24 * 60 + 25), 26 * MINUTE_MS);
+    assert.strictEqual(delay(24 * 60 + 20), 21 * MINUTE_MS);
+  });
+});
+
+describe('updateTokens', () => {
+  it('sets every token', async () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-22T19:00:00.000Z') });
+    const values = {};
+    const ctx = createCtx();
+    ctx.homey.flow = {
+      createToken: async (id) => ({
+        setValue: async (value) => {
+          values[id] = value;
+        },
+      }),
+    };
+
+    const tokens = await flowTokens.createTokens(ctx, TZ);
+    await flowTokens.updateTokens(ctx, tokens, flowTokens.getTokenValues(ctx, TZ));
+
+    assert.deepStrictEqual(Object.keys(values), flowTokens.TOKENS.map(({ id }) => id));
+    assert.strictEqual(values.minutes_until_start, 30);
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Builds an object from [key, value] pairs.
+ * @param {Array<[string, *]>} entries
+ * @returns {object}
+ */
+function toObject(entries) {
+  const result = {};
+  for (const [key, value] of entries) result[key] = value;
+  return result;
+}
+
+/**
+ * In-memory stand-in for the Homey Web API (the devices and zones managers the device adapter uses).
+ * Devices are given as { id, name, zone, class, virtualClass?, cumulative?, values: { [capabilityId]: value } };
+ * every setCapabilityValue call is recorded in order and applied to the device.
+ * @param {{ zones?: object[], devices?: object[] }} data - Zones ({ id, name, parent }) and devices
+ * @returns {object} API stand-in plus `calls` (recorded writes) and `value(deviceId, capabilityId)`
+ */
+function createFakeHomeyApi({ zones = [], devices = [] }) {
+  const calls = [];
+  const byId = new Map(devices.map((device) => [device.id, device]));
+  const toApiDevice = (device) => ({
+    id: device.id,
+    name: device.name,
+    zone: device.zone,
+    class: device.class,
+    virtualClass: device.virtualClass || null,
+    energyObj: { cumulative: Boolean(device.cumulative) },
+    capabilities: Object.keys(device.values),
+    capabilitiesObj: toObject(Object.entries(device.values)
+      .map(([capabilityId, value]) => [capabilityId, { id: capabilityId, value }])),
+  });
+
+  return {
+    calls,
+    value: (deviceId, capabilityId) => byId.get(deviceId).values[capabilityId],
+    zones: {
+      getZones: async () => toObject(zones.map((zone) => [zone.id, zone])),
+    },
+    devices: {
+      getDevices: async () => toObject(devices.map((device) => [device.id, toApiDevice(device)])),
+      getDevice: async ({ id }) => {
+        if (!byId.has(id)) throw Object.assign(new Error(`Device not found: ${id}`), { statusCode: 404 });
+        return toApiDevice(byId.get(id));
+      },
+      setCapabilityValue: async ({ deviceId, capabilityId, value }) => {
+        const device = byId.get(deviceId);
+        if (!device) throw new Error(`Device not found: ${deviceId}`);
+        calls.push({ deviceId, capabilityId, value });
+        device.values[capabilityId] = value;
+      },
+    },
+  };
+}
+
+/**
+ * Minimal app context: in-memory settings (get/set/unset), recorded notifications, pass-through i18n
+ * and a Homey location (none unless given).
+ * @param {object} [settings] - Initial settings values
+ * @param {{ latitude: number, longitude: number }} [location] - Homey's location
+ * @returns {object} App context: { homey, log, error } plus the sent notifications
+ */
+function createCtx(settings = {}, location = null) {
+  const store = new Map(Object.entries(settings));
+  const sent = [];
+  return {
+    sent,
+    homey: {
+      settings: {
+        get: (key) => (store.has(key) ? store.get(key) : null),
+        set: (key, value) => store.set(key, value),
+        unset: (key) => store.delete(key),
+      },
+      notifications: { createNotification: async (notification) => sent.push(notification) },
+      i18n: { getLanguage: () => 'en' },
+      geolocation: {
+        getLatitude: () => (location ? location.latitude : undefined),
+        getLongitude: () => (location ? location.longitude : undefined),
+      },
+      __: (key, tokens) => `${key} ${JSON.stringify(tokens || {})}`,
+    },
+    log: () => {},
+    error: () => {},
+  };
+}
+
+module.exports = {
+  createFakeHomeyApi,
+  createCtx,
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const {
+  describe, it, mock, afterEach,
+} = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const reminders = require('../lib/utils/reminders');
+const notifications = require('../lib/utils/notifications');
+const clock = require('../lib/utils/clock');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const TZ = 'Europe/Amsterdam';
+const TOKENS = { date: '22 March', time: '20:30', year: 2025 };
+
+/**
+ * Looks up a dotted key in a locale file.
+ * @param {object} locale - Parsed locale JSON
+ * @param {string} key - e.g. 'notifications.oneWeekBefore'
+ * @returns {*}
+ */
+function lookup(locale, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), locale);
+}
+
+describe('getReminderMoment', () => {
+  it('subtracts the offset from the start and applies the time of day', () => {
+    const [oneMonth] = reminders.DEFAULT_REMINDERS;
+    assert.strictEqual(reminders.getReminderMoment(oneMonth, 2025, TZ).toISOString(), '2025-02-22T19:30:00.000Z');
+    const custom = reminders.normalizeCustomReminder({
+      id: 'custom-a', amount: 3, unit: 'days', time: '09:00',
+    });
+    assert.strictEqual(reminders.getReminderMoment(custom, 2025, TZ).toISOString(), '2025-03-19T08:00:00.000Z');
+  });
+});
+
+describe('normalizeCustomReminder', () => {
+  it('rejects bad ids, units, offsets, times and messages', () => {
+    const valid = {
+      id: 'custom-a', amount: 2, unit: 'hours', time: null, message: 'Hi',
+    };
+    assert.ok(reminders.normalizeCustomReminder(valid));
+    for (const change of [{ id: 'oneWeekBefore' }, { unit: 'years' }, { amount: 1.5 }, { amount: 12, unit: 'months' },
+      { time: '25:00' }, { message: { en: 42 } }]) {
+      const entry = {};
+      for (const [key, value] of Object.entries(valid)) entry[key] = value;
+      for (const [key, value] of Object.entries(change)) entry[key] = value;
+      assert.strictEqual(reminders.normalizeCustomReminder(entry), null, JSON.stringify(change));
+    }
+  });
+});
+
+describe('loadCustomReminders', () => {
+  it('checks the user reminders once per change and forgets the sent state of removed ones', () => {
+    const errors = [];
+    const ctx = createCtx({
+      [reminders.CUSTOM_SETTINGS_KEY]: [
+        { id: 'custom-1', amount: 3, unit: 'days' },
+        { id: 'custom-1', amount: 2, unit: 'days' },
+        { id: 'custom-2', amount: -1, unit: 'days' },
+      ],
+      [reminders.SENT_SETTINGS_KEY]: { oneWeekBefore: 2025, 'custom-1': 2025, 'custom-old': 2024 },
+    });
+    ctx.error = (...args) => errors.push(args.join(' '));
+
+    assert.deepStrictEqual(reminders.getReminders(ctx).map(({ id }) => id).slice(-1), ['custom-1']);
+    reminders.getReminders(ctx);
+    assert.deepStrictEqual(errors, [
+      '[Reminders] Ignoring reminder with duplicate id: custom-1',
+      '[Reminders] Ignoring invalid reminder: {"id":"custom-2","amount":-1,"unit":"days"}',
+    ]);
+    assert.deepStrictEqual(ctx.homey.settings.get(reminders.SENT_SETTINGS_KEY), { oneWeekBefore: 2025, 'custom-1': 2025 });
+
+    ctx.homey.settings.set(reminders.CUSTOM_SETTINGS_KEY, []);
+    reminders.loadCustomReminders(ctx);
+    assert.strictEqual(reminders.getReminders(ctx).length, reminders.DEFAULT_REMINDERS.length);
+    assert.deepStrictEqual(ctx.homey.settings.get(reminders.SENT_SETTINGS_KEY), { oneWeekBefore: 2025 });
+  });
+});
+
+describe('getReminderMessage', () => {
+  it('fills in tokens in the user text, in the user language when given per language', () => {
+    const ctx = createCtx();
+    const reminder = reminders.normalizeCustomReminder({
+      id: 'custom-a', amount: 1, unit: 'days', message: { nl: 'Morgen om [time]', en: 'Tomorrow at [time]' },
+    });
+    assert.strictEqual(reminders.getReminderMessage(ctx, reminder, TOKENS), 'Tomorrow at 20:30');
+  });
+
+  it('falls back to the generic message without user text', () => {
+    const ctx = createCtx();
+    const reminder = reminders.normalizeCustomReminder({ id: 'custom-a', amount: 1, unit: 'days' });
+    assert.strictEqual(reminders.getReminderMessage(ctx, reminder, TOKENS), `notifications.customReminder ${JSON.stringify(TOKENS)}`);
+  });
+
+  it('has every reminder message in every locale', () => {
+    const dir = path.join(__dirname, '..', 'locales');
+    const keys = [...reminders.DEFAULT_REMINDERS.map(({ messageKey }) => messageKey), 'notifications.customReminder'];
+    for (const file of fs.readdirSync(dir)) {
+      const locale = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      for (const key of keys) {
+        assert.strictEqual(typeof lookup(locale, key), 'string', `${key} missing in ${file}`);
+      }
+    }
+  });
+});
+
+describe('sent state', () => {
+  it('is kept per reminder and year, and still reads the legacy keys', () => {
+    const [oneMonth, oneWeek] = reminders.DEFAULT_REMINDERS;
+    const ctx = createCtx({ 'notifications.oneWeekBeforeYear': 2025 });
+
+    reminders.markSent(ctx, oneMonth, 2025);
+    assert.strictEqual(reminders.hasSent(ctx, oneMonth, 2025), true);
+    assert.strictEqual(reminders.hasSent(ctx, oneMonth, 2026), false);
+    assert.strictEqual(reminders.hasSent(ctx, oneWeek, 2025), true);
+
+    reminders.resetSent(ctx);
+    assert.strictEqual(reminders.hasSent(ctx, oneMonth, 2025), false);
+    assert.strictEqual(reminders.hasSent(ctx, oneWeek, 2025), false);
+  });
+});
+
+describe('runScheduledNotifications', () => {
+  afterEach(() => {
+    mock.timers.reset();
+    clock.setClock(null);
+  });
+
+  it('returns the due reminders and leaves the timeline out when switched off', async () => {
+    // One week before Earth Hour 2025 (2025-03-22 20:30 Amsterdam).
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-15T19:30:00.000Z') });
+    const ctx = createCtx({ [reminders.TIMELINE_SETTINGS_KEY]: { oneWeekBefore: false } });
+
+    const due = await notifications.runScheduledNotifications(ctx, TZ);
+
+    assert.deepStrictEqual(due.map(({ id }) => id), ['oneWeekBefore']);
+    assert.match(due[0].message, /^notifications\.oneWeekBefore /);
+    assert.deepStrictEqual(ctx.sent, []);
+    assert.strictEqual(reminders.hasSent(ctx, reminders.DEFAULT_REMINDERS[1], 2025), true);
+    assert.deepStrictEqual(await notifications.runScheduledNotifications(ctx, TZ), []);
+  });
+
+  it('delivers the reminders skipped over in order when the clock is moved forward', async () => {
+    // Two hours before Earth Hour 2025: the month, week and day reminders have passed.
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-22T17:30:00.000Z') });
+    const ctx = createCtx();
+    assert.deepStrictEqual(await notifications.runScheduledNotifications(ctx, TZ), []);
+
+    clock.setClock({ offsetMinutes: 0.5 });
+    const due = await notifications.runScheduledNotifications(ctx, TZ);
+
+    assert.deepStrictEqual(due.map(({ id }) => id), ['oneMonthBefore', 'oneWeekBefore', 'oneDayBefore']);
+    assert.deepStrictEqual(await notifications.runScheduledNotifications(ctx, TZ), []);
+  });
+
+  it('adds sunset and dusk when it isn\'t dark yet at the start', async () => {
+    // One day before Earth Hour 2025 in Kashgar, on Beijing time but far west of it.
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-21T12:30:00.000Z') });
+    const ctx = createCtx({}, { latitude: 39.47, longitude: 75.99 });
+
+    const due = await notifications.runScheduledNotifications(ctx, 'Asia/Shanghai');
+
+    assert.deepStrictEqual(due.map(({ id }) => id), ['oneDayBefore']);
+    assert.match(due[0].message, /notifications\.notDarkYet {"time":"20:30","sunset":"21:09","dusk":"21:36"}$/);
+  });
+});
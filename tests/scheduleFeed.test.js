@@ -0,0 +1,117 @@
+'use strict';
+
+const {
+  describe, it, before, after, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { DateTime } = require('luxon');
+
+const earthHourDate = require('../lib/utils/earthHourDate');
+const earthHourSchedule = require('../lib/utils/earthHourSchedule');
+const scheduleFeed = require('../lib/utils/scheduleFeed');
+const clock = require('../lib/utils/clock');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const TZ = 'Europe/Amsterdam';
+
+/** Local HTTP stand-in for the feed; each test sets the status and body it should serve. */
+let server;
+let feedUrl;
+let response;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    res.writeHead(response.status, { 'Content-Type': 'application/json' });
+    res.end(response.body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  feedUrl = `http://127.0.0.1:${server.address().port}/schedule.json`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  const now = DateTime.fromObject({
+    year: 2027, month: 1, day: 10, hour: 12, minute: 0,
+  }, { zone: TZ });
+  clock.setClock({ now: now.toISO() });
+});
+
+afterEach(() => {
+  clock.setClock(null);
+  earthHourSchedule.setFeedEntries({});
+  earthHourSchedule.setOverrides({});
+});
+
+describe('parseFeed', () => {
+  it('normalizes valid entries and keeps the theme', () => {
+    const years = scheduleFeed.parseFeed({ years: { 2027: { date: '2027-03-20', theme: 'Give an Hour' } } });
+    assert.deepStrictEqual(years, {
+      2027: {
+        date: '2027-03-20', time: '20:30', duration: 60, theme: 'Give an Hour',
+      },
+    });
+  });
+
+  it('rejects the whole payload when one entry is invalid', () => {
+    assert.throws(() => scheduleFeed.parseFeed({ years: { 2027: { date: '2027-03-20' }, 2028: { date: 'soon' } } }));
+    assert.throws(() => scheduleFeed.parseFeed({ years: {} }));
+    assert.throws(() => scheduleFeed.parseFeed([]));
+  });
+});
+
+describe('syncFeed', () => {
+  it('applies and caches the feed, and posts a notice when the upcoming date moves', async () => {
+    const ctx = createCtx({ [scheduleFeed.URL_SETTINGS_KEY]: feedUrl });
+    response = { status: 200, body: JSON.stringify({ years: { 2027: { date: '2027-03-20', time: '20:30' } } }) };
+
+    const result = await scheduleFeed.syncFeed(ctx, TZ);
+
+    assert.deepStrictEqual(result, { updated: true, changed: true });
+    const start = earthHourDate.getEarthHourDate(2027, TZ);
+    assert.strictEqual(DateTime.fromJSDate(start).setZone(TZ).toFormat('yyyy-MM-dd HH:mm'), '2027-03-20 20:30');
+    assert.strictEqual(ctx.homey.settings.get(scheduleFeed.CACHE_SETTINGS_KEY).years[2027].date, '2027-03-20');
+    assert.strictEqual(ctx.homey.settings.get(scheduleFeed.CACHE_SETTINGS_KEY).fetchedAt, '2027-01-10T11:00:00.000Z');
+    assert.strictEqual(ctx.sent.length, 1);
+    assert.ok(ctx.sent[0].excerpt.startsWith('notifications.dateChanged'), ctx.sent[0].excerpt);
+  });
+
+  it('does not post a notice when the feed agrees with the current date', async () => {
+    const ctx = createCtx({ [scheduleFeed.URL_SETTINGS_KEY]: feedUrl });
+    response = { status: 200, body: JSON.stringify({ years: { 2027: { date: '2027-03-27' } } }) };
+
+    const result = await scheduleFeed.syncFeed(ctx, TZ);
+
+    assert.deepStrictEqual(result, { updated: true, changed: false });
+    assert.strictEqual(ctx.sent.length, 0);
+  });
+
+  it('keeps the cached copy when the feed is unreachable or invalid', async () => {
+    const cached = { fetchedAt: '2027-01-01T00:00:00.000Z', url: feedUrl, years: { 2027: { date: '2027-03-20' } } };
+    const ctx = createCtx({ [scheduleFeed.URL_SETTINGS_KEY]: feedUrl, [scheduleFeed.CACHE_SETTINGS_KEY]: cached });
+    scheduleFeed.loadCachedFeed(ctx);
+
+    response = { status: 500, body: 'oops' };
+    assert.deepStrictEqual(await scheduleFeed.syncFeed(ctx, TZ), { updated: false, changed: false });
+    response = { status: 200, body: '{"years": {"2027": {"date": "2027-13-01"}}}' };
+    assert.deepStrictEqual(await scheduleFeed.syncFeed(ctx, TZ), { updated: false, changed: false });
+
+    assert.strictEqual(ctx.homey.settings.get(scheduleFeed.CACHE_SETTINGS_KEY), cached);
+    assert.strictEqual(earthHourSchedule.getScheduleEntry(2027).source, 'feed');
+    assert.strictEqual(ctx.sent.length, 0);
+  });
+
+  it('user overrides still win over the feed', async () => {
+    const ctx = createCtx({ [scheduleFeed.URL_SETTINGS_KEY]: feedUrl });
+    earthHourSchedule.setOverrides({ 2027: { date: '2027-03-13' } });
+    response = { status: 200, body: JSON.stringify({ years: { 2027: { date: '2027-03-20' } } }) };
+
+    const result = await scheduleFeed.syncFeed(ctx, TZ);
+
+    assert.deepStrictEqual(result, { updated: true, changed: false });
+    assert.strictEqual(earthHourSchedule.getScheduleEntry(2027).date, '2027-03-13');
+  });
+});
@@ -0,0 +1,243 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const timers = require('node:timers');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { DateTime } = require('luxon');
+
+const { createScheduler } = require('../lib/utils/scheduler');
+const triggerState = require('../lib/utils/triggerState');
+const events = require('../lib/utils/events');
+const notifications = require('../lib/utils/notifications');
+const reminders = require('../lib/utils/reminders');
+const clock = require('../lib/utils/clock');
+
+const TZ = 'Europe/Amsterdam';
+
+/**
+ * Homey stand-in with real timers (recording each armed delay) and in-memory settings.
+ * @param {object} [settings] - Initial settings values
+ * @returns {object} App context: { homey, log, error } plus the recorded delays
+ */
+function createCtx(settings = {}) {
+  const store = new Map(Object.entries(settings));
+  const delays = [];
+  return {
+    delays,
+    homey: {
+      setTimeout: (fn, ms) => {
+        delays.push(ms);
+        return timers.setTimeout(fn, ms);
+      },
+      clearTimeout: timers.clearTimeout,
+      setInterval: timers.setInterval,
+      clearInterval: timers.clearInterval,
+      settings: {
+        get: (key) => (store.has(key) ? store.get(key) : null),
+        set: (key, value) => store.set(key, value),
+        unset: (key) => store.delete(key),
+      },
+    },
+    log: () => {},
+    error: () => {},
+  };
+}
+
+/** Scheduler under test; stopped after each test so no timers outlive it. */
+let scheduler;
+
+afterEach(() => {
+  if (scheduler) scheduler.stop();
+  scheduler = null;
+  clock.setClock(null);
+});
+
+describe('createScheduler', () => {
+  it('runs overdue jobs at start and the next job when its moment arrives', async () => {
+    const ctx = createCtx();
+    const done = new Set();
+    const start = Date.now();
+    const jobs = [
+      { id: 'overdue', at: new Date(start - 5000) },
+      { id: 'soon', at: new Date(start + 1100) },
+    ];
+    const ranAt = {};
+    scheduler = createScheduler(ctx, () => jobs
+      .filter((job) => !done.has(job.id))
+      .map((job) => ({
+        id: job.id,
+        at: job.at,
+        run: async () => {
+          done.add(job.id);
+          ranAt[job.id] = Date.now();
+        },
+      })));
+
+    scheduler.start();
+    await sleep(50);
+    assert.ok(done.has('overdue'), 'overdue job runs immediately');
+    assert.ok(!done.has('soon'), 'future job waits');
+
+    await sleep(1200);
+    assert.ok(done.has('soon'), 'future job ran');
+    assert.ok(Math.abs(ranAt.soon - jobs[1].at.getTime()) < 100, `ran ${ranAt.soon - jobs[1].at.getTime()}ms off`);
+  });
+
+  it('caps a single timer at maxTimerMs and re-arms with nothing pending', async () => {
+    const ctx = createCtx();
+    scheduler = createScheduler(ctx, () => [
+      { id: 'far', at: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), run: async () => {} },
+    ], { maxTimerMs: 5000 });
+
+    scheduler.start();
+    await sleep(10);
+    assert.deepStrictEqual(ctx.delays, [5000]);
+  });
+
+  it('does not loop on a job that fails to record its state', async () => {
+    const ctx = createCtx();
+    const overdue = new Date(Date.now() - 1000);
+    let runs = 0;
+    scheduler = createScheduler(ctx, () => [
+      {
+        id: 'stuck',
+        at: overdue,
+        run: async () => {
+          runs += 1;
+        },
+      },
+    ]);
+
+    scheduler.start();
+    await sleep(50);
+    assert.strictEqual(runs, 1);
+  });
+
+  it('follows the app clock and runs the jobs a jump passes in time order', async () => {
+    const ctx = createCtx();
+    const start = Date.now();
+    const order = [];
+    const jobs = [
+      { id: 'later', at: new Date(start + 2 * 60 * 60 * 1000) },
+      { id: 'sooner', at: new Date(start + 60 * 60 * 1000) },
+    ];
+    scheduler = createScheduler(ctx, () => jobs
+      .filter((job) => !order.includes(job.id))
+      .map((job) => ({ id: job.id, at: job.at, run: async () => order.push(job.id) })));
+
+    scheduler.start();
+    await sleep(10);
+    assert.deepStrictEqual(order, []);
+
+    clock.setClock({ offsetMinutes: 3 * 60 });
+    scheduler.reschedule('clock changed');
+    await sleep(10);
+    assert.deepStrictEqual(order, ['sooner', 'later']);
+  });
+});
+
+describe('job sources', () => {
+  const at = (month, day, hour, minute) => DateTime.fromObject({
+    year: 2025, month, day, hour, minute,
+  }, { zone: TZ }).toJSDate();
+
+  it('getPendingTriggers lists unfired triggers and drops them once fired or too late', () => {
+    const ctx = createCtx();
+    const kinds = (now) => triggerState.getPendingTriggers(ctx, now, TZ)
+      .filter(({ eventId }) => eventId === events.EARTH_HOUR_ID)
+      .map(({ kind, year }) => `${kind}.${year}`);
+
+    assert.deepStrictEqual(kinds(at(3, 1, 12, 0)), ['start.2025', 'end.2025', 'start.2026', 'end.2026']);
+    triggerState.markFired(ctx, events.EARTH_HOUR_ID, 'start', 2025);
+    assert.deepStrictEqual(kinds(at(3, 22, 20, 45)), ['end.2025', 'start.2026', 'end.2026']);
+    assert.deepStrictEqual(kinds(at(3, 23, 9, 0)), ['start.2026', 'end.2026', 'start.2027', 'end.2027']);
+  });
+
+  it('getPendingReminders skips sent and missed reminders', () => {
+    const ctx = createCtx({ 'notifications.oneWeekBeforeYear': 2025 });
+    const ids = (now) => notifications.getPendingReminders(ctx, now, TZ)
+      .filter(({ event }) => event.id === events.EARTH_HOUR_ID)
+      .map(({ id }) => id);
+
+    assert.deepStrictEqual(ids(at(3, 1, 12, 0)), ['oneDayBefore', 'thirtyMinBefore']);
+    assert.deepStrictEqual(ids(at(1, 1, 12, 0)), ['oneMonthBefore', 'oneDayBefore', 'thirtyMinBefore']);
+  });
+
+  it('getPendingReminders skips switched-off reminders until they are reset', () => {
+    const ctx = createCtx({
+      [reminders.ENABLED_SETTINGS_KEY]: { oneMonthBefore: false, oneDayBefore: true },
+      [reminders.SENT_SETTINGS_KEY]: { oneWeekBefore: 2025 },
+    });
+    const ids = (now) => notifications.getPendingReminders(ctx, now, TZ)
+      .filter(({ event }) => event.id === events.EARTH_HOUR_ID)
+      .map(({ id }) => id);
+
+    assert.deepStrictEqual(ids(at(1, 1, 12, 0)), ['oneDayBefore', 'thirtyMinBefore']);
+    notifications.resetReminders(ctx);
+    assert.deepStrictEqual(ids(at(1, 1, 12, 0)), ['oneWeekBefore', 'oneDayBefore', 'thirtyMinBefore']);
+  });
+
+  it('getPendingReminders includes user reminders at their own time of day', () => {
+    const ctx = createCtx({
+      [reminders.CUSTOM_SETTINGS_KEY]: [
+        {
+          id: 'custom-3-days', amount: 3, unit: 'days', time: '09:00', message: 'Charge the candles',
+        },
+        { id: 'custom-broken', amount: -1, unit: 'days' },
+      ],
+    });
+    const pending = notifications.getPendingReminders(ctx, at(3, 1, 12, 0), TZ)
+      .filter(({ event }) => event.id === events.EARTH_HOUR_ID)
+      .map(({ id, at: moment }) => `${id}@${DateTime.fromJSDate(moment).setZone(TZ).toFormat('MM-dd HH:mm')}`);
+
+    assert.deepStrictEqual(pending, [
+      'oneWeekBefore@03-15 20:30', 'oneDayBefore@03-21 20:30', 'thirtyMinBefore@03-22 20:00', 'custom-3-days@03-19 09:00',
+    ]);
+  });
+
+  it('getPendingOffsetTriggers lists each distinct offset once per year until it fires', () => {
+    const ctx = createCtx();
+    const offsets = [{ amount: 2, unit: 'hours' }, { amount: 1, unit: 'days' }];
+    const pending = (now) => triggerState.getPendingOffsetTriggers(ctx, now, TZ, offsets)
+      .map(({ key, year, at: moment }) => `${key}.${year}@${DateTime.fromJSDate(moment).setZone(TZ).toFormat('MM-dd HH:mm')}`);
+
+    assert.deepStrictEqual(pending(at(3, 21, 12, 0)), [
+      '2-hours.2025@03-22 18:30', '2-hours.2026@03-28 18:30', '1-days.2025@03-21 20:30', '1-days.2026@03-27 20:30',
+    ]);
+    triggerState.markOffsetFired(ctx, '2-hours', 2025);
+    assert.deepStrictEqual(pending(at(3, 21, 19, 0)), [
+      '2-hours.2026@03-28 18:30', '1-days.2025@03-21 20:30', '1-days.2026@03-27 20:30',
+    ]);
+    assert.deepStrictEqual(pending(at(3, 22, 20, 30)), ['2-hours.2026@03-28 18:30', '1-days.2026@03-27 20:30']);
+  });
+
+  it('getPendingOffsetTriggers counts back from the start of the offset\'s event', () => {
+    const ctx = createCtx();
+    const offsets = [{ amount: 1, unit: 'days' }, { eventId: 'earth_day', amount: 1, unit: 'days' }, { eventId: 'gone', amount: 1, unit: 'days' }];
+    const pending = triggerState.getPendingOffsetTriggers(ctx, at(3, 21, 12, 0), TZ, offsets)
+      .map(({ key, year, at: moment }) => `${key}.${year}@${DateTime.fromJSDate(moment).setZone(TZ).toFormat('MM-dd HH:mm')}`);
+
+    assert.deepStrictEqual(pending, [
+      '1-days.2025@03-21 20:30', '1-days.2026@03-27 20:30', 'earth_day.1-days.2025@04-21 00:00', 'earth_day.1-days.2026@04-21 00:00',
+    ]);
+  });
+
+  it('getPendingOffsetTriggers only catches up moments missed during recent downtime', () => {
+    const ctx = createCtx();
+    const offsets = [{ amount: 1, unit: 'days' }];
+    const pending = (now) => triggerState.getPendingOffsetTriggers(ctx, now, TZ, offsets)
+      .filter(({ year }) => year === 2025)
+      .map(({ key }) => key);
+
+    // Fresh install or a flow created after the moment: nothing fires late.
+    assert.deepStrictEqual(pending(at(3, 21, 22, 0)), []);
+    triggerState.markOffsetCheckpoint(ctx, at(3, 21, 21, 0));
+    assert.deepStrictEqual(pending(at(3, 21, 22, 0)), []);
+
+    // Down from before the moment: caught up within the grace window only.
+    triggerState.markOffsetCheckpoint(ctx, at(3, 21, 18, 0));
+    assert.deepStrictEqual(pending(at(3, 21, 22, 0)), ['1-days']);
+    assert.deepStrictEqual(pending(at(3, 22, 12, 0)), []);
+  });
+});
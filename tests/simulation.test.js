@@ -0,0 +1,56 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const simulation = require('../lib/utils/simulation');
+const triggerState = require('../lib/utils/triggerState');
+const events = require('../lib/utils/events');
+const earthHourState = require('../lib/utils/earthHourState');
+const earthHourChecks = require('../lib/utils/earthHourChecks');
+const earthHourTime = require('../lib/utils/earthHourTime');
+const flowTokens = require('../lib/utils/flowTokens');
+const clock = require('../lib/utils/clock');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const TZ = 'Europe/Amsterdam';
+const NOW = new Date('2025-11-08T19:00:00.000Z');
+
+afterEach(() => clock.setClock(null));
+
+describe('simulation', () => {
+  it('is the current Earth Hour for the conditions, tokens and state until it ends', () => {
+    const ctx = createCtx();
+    assert.strictEqual(earthHourState.getCurrentState(ctx, TZ, NOW).state, 'far_off');
+
+    simulation.startSimulation(ctx, 15, NOW);
+    const during = new Date(NOW.getTime() + 5 * 60 * 1000);
+    clock.setClock({ now: during.toISOString() });
+    const current = earthHourState.getCurrentState(ctx, TZ);
+    assert.strictEqual(current.state, 'active');
+    assert.strictEqual(current.simulated, true);
+    assert.strictEqual(current.changesAt.getTime(), NOW.getTime() + 15 * 60 * 1000);
+    assert.strictEqual(earthHourChecks.isEarthHourDay(TZ, current), true);
+    const occurrence = earthHourState.getCurrentOccurrence(ctx, TZ);
+    assert.strictEqual(earthHourTime.getMinutesUntilEarthHourStart(TZ, occurrence), -5);
+    assert.strictEqual(earthHourTime.getMinutesUntilEarthHourEnd(TZ, occurrence), 10);
+    const values = flowTokens.getTokenValues(ctx, TZ);
+    assert.strictEqual(values.is_earth_hour, true);
+    assert.strictEqual(values.minutes_remaining, 10);
+
+    const after = new Date(NOW.getTime() + 15 * 60 * 1000);
+    assert.strictEqual(earthHourState.getCurrentState(ctx, TZ, after).state, 'far_off');
+    assert.strictEqual(earthHourState.getCurrentOccurrence(ctx, TZ, after).year, 2026);
+  });
+
+  it('clamps the length and ends cleanly without touching the real trigger state', () => {
+    const ctx = createCtx();
+    const { startAt, endAt } = simulation.startSimulation(ctx, 500, NOW);
+    assert.strictEqual(endAt - startAt, simulation.MAX_MINUTES * 60 * 1000);
+
+    assert.strictEqual(simulation.endSimulation(ctx), true);
+    assert.strictEqual(simulation.getSimulation(ctx), null);
+    assert.strictEqual(simulation.endSimulation(ctx), false);
+    assert.strictEqual(triggerState.hasFired(ctx, events.EARTH_HOUR_ID, 'start', 2025), false);
+  });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createDeviceAdapter } = require('../lib/utils/deviceAdapter');
+const snapshot = require('../lib/utils/snapshot');
+const { createFakeHomeyApi, createCtx } = require('./helpers/fakeHomeyApi');
+
+/** A small home: living room with a nested reading corner, and a kitchen. */
+function createHome() {
+  return createFakeHomeyApi({
+    zones: [
+      { id: 'home', name: 'Home', parent: null },
+      { id: 'living', name: 'Living room', parent: 'home' },
+      { id: 'corner', name: 'Reading corner', parent: 'living' },
+      { id: 'kitchen', name: 'Kitchen', parent: 'home' },
+    ],
+    devices: [
+      {
+        id: 'lamp', name: 'Floor lamp', zone: 'living', class: 'light', values: { onoff: true, dim: 0.4, light_hue: 0.1 },
+      },
+      {
+        id: 'reading', name: 'Reading lamp', zone: 'corner', class: 'light', values: { onoff: false, dim: 1 },
+      },
+      {
+        id: 'plug', name: 'Lamp plug', zone: 'living', class: 'socket', virtualClass: 'light', values: { onoff: true },
+      },
+      {
+        id: 'tv', name: 'TV', zone: 'living', class: 'tv', values: { onoff: true },
+      },
+      {
+        id: 'spots', name: 'Kitchen spots', zone: 'kitchen', class: 'light', values: { onoff: true, dim: 0.8 },
+      },
+    ],
+  });
+}
+
+describe('snapshotAndSwitchOff', () => {
+  it('saves and switches off matching devices in the zone and its sub-zones', async () => {
+    const api = createHome();
+    const ctx = createCtx();
+
+    const result = await snapshot.snapshotAndSwitchOff(ctx, createDeviceAdapter(api), { zone: 'living', deviceClass: 'light' });
+
+    assert.deepStrictEqual(result, { saved: 3, switchedOff: 2 });
+    assert.deepStrictEqual(api.calls, [
+      { deviceId: 'lamp', capabilityId: 'onoff', value: false },
+      { deviceId: 'plug', capabilityId: 'onoff', value: false },
+    ]);
+    assert.strictEqual(api.value('tv', 'onoff'), true);
+    assert.strictEqual(api.value('spots', 'onoff'), true);
+  });
+
+  it('does not overwrite a saved device when run again', async () => {
+    const api = createHome();
+    const ctx = createCtx();
+    const adapter = createDeviceAdapter(api);
+
+    await snapshot.snapshotAndSwitchOff(ctx, adapter, { zone: 'living', deviceClass: 'all' });
+    const again = await snapshot.snapshotAndSwitchOff(ctx, adapter, { zone: 'all', deviceClass: 'all' });
+
+    assert.deepStrictEqual(again, { saved: 1, switchedOff: 1 });
+    assert.strictEqual(ctx.homey.settings.get(snapshot.SNAPSHOT_SETTINGS_KEY).devices.lamp.values.onoff, true);
+  });
+});
+
+describe('restoreSnapshot', () => {
+  it('restores color and brightness before switching on, and leaves off devices off', async () => {
+    const api = createHome();
+    const ctx = createCtx();
+    const adapter = createDeviceAdapter(api);
+    await snapshot.snapshotAndSwitchOff(ctx, adapter, { zone: 'living', deviceClass: 'light' });
+    api.calls.length = 0;
+
+    const result = await snapshot.restoreSnapshot(ctx, adapter);
+
+    assert.deepStrictEqual(result, { restored: 2, failed: 0 });
+    assert.deepStrictEqual(api.calls, [
+      { deviceId: 'lamp', capabilityId: 'light_hue', value: 0.1 },
+      { deviceId: 'lamp', capabilityId: 'dim', value: 0.4 },
+      { deviceId: 'lamp', capabilityId: 'onoff', value: true },
+      { deviceId: 'plug', capabilityId: 'onoff', value: true },
+    ]);
+    assert.strictEqual(api.value('reading', 'onoff'), false);
+    assert.strictEqual(ctx.homey.settings.get(snapshot.SNAPSHOT_SETTINGS_KEY), null);
+  });
+
+  it('skips devices that fail and restores the rest', async () => {
+    const api = createHome();
+    const ctx = createCtx({
+      [snapshot.SNAPSHOT_SETTINGS_KEY]: {
+        takenAt: '2025-03-22T19:25:00.000Z',
+        devices: {
+          gone: { name: 'Removed lamp', values: { onoff: true } },
+          spots: { name: 'Kitchen spots', values: { onoff: true, dim: 0.5 } },
+        },
+      },
+    });
+
+    const result = await snapshot.restoreSnapshot(ctx, createDeviceAdapter(api));
+
+    assert.deepStrictEqual(result, { restored: 1, failed: 1 });
+    assert.strictEqual(api.value('spots', 'dim'), 0.5);
+  });
+});
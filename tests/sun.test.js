@@ -0,0 +1,75 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DateTime } = require('luxon');
+
+const sun = require('../lib/utils/sun');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const EARTH_HOUR_2025 = { year: 2025, month: 3, day: 22 };
+const AMSTERDAM = { latitude: 52.37, longitude: 4.9 };
+// Ürümqi and Kashgar are on Beijing time but far west of it, so it is still light at 20:30.
+const URUMQI = { latitude: 43.83, longitude: 87.62 };
+const KASHGAR = { latitude: 39.47, longitude: 75.99 };
+
+/**
+ * Formats a moment as local HH:mm.
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+const localTime = (date, timezone) => DateTime.fromJSDate(date).setZone(timezone).toFormat('HH:mm');
+
+describe('getSunTimes', () => {
+  it('computes sunset and civil dusk within a couple of minutes', () => {
+    const amsterdam = sun.getSunTimes(EARTH_HOUR_2025, AMSTERDAM.latitude, AMSTERDAM.longitude);
+    assert.strictEqual(localTime(amsterdam.sunset, 'Europe/Amsterdam'), '18:56');
+    assert.strictEqual(localTime(amsterdam.civilDusk, 'Europe/Amsterdam'), '19:30');
+
+    const sydney = sun.getSunTimes(EARTH_HOUR_2025, -33.87, 151.21);
+    assert.strictEqual(localTime(sydney.sunset, 'Australia/Sydney'), '19:04');
+  });
+
+  it('returns null when the sun doesn\'t sink that far', () => {
+    assert.deepStrictEqual(sun.getSunTimes(EARTH_HOUR_2025, 89.9, 0), { sunset: null, civilDusk: null });
+  });
+});
+
+describe('getEarthHourDarkness / getPendingDarkStarts', () => {
+  it('starts in the dark at 20:30 where dusk is earlier', () => {
+    const ctx = createCtx({}, AMSTERDAM);
+    const darkness = sun.getEarthHourDarkness(ctx, 2025, 'Europe/Amsterdam');
+    assert.strictEqual(darkness.afterSunset, true);
+    assert.strictEqual(darkness.afterDusk, true);
+    assert.strictEqual(darkness.darkAt.toISOString(), '2025-03-22T19:30:00.000Z');
+  });
+
+  it('waits for dusk where it is still light, and fires once per year', () => {
+    const ctx = createCtx({}, URUMQI);
+    const darkness = sun.getEarthHourDarkness(ctx, 2025, 'Asia/Shanghai');
+    assert.strictEqual(darkness.afterSunset, true);
+    assert.strictEqual(darkness.afterDusk, false);
+    assert.strictEqual(localTime(darkness.darkAt, 'Asia/Shanghai'), '20:52');
+
+    const now = new Date('2025-03-22T12:00:00.000Z');
+    assert.deepStrictEqual(sun.getPendingDarkStarts(ctx, now, 'Asia/Shanghai').map(({ year }) => year), [2025, 2026]);
+    sun.markDarkStartFired(ctx, 2025);
+    assert.deepStrictEqual(sun.getPendingDarkStarts(ctx, now, 'Asia/Shanghai').map(({ year }) => year), [2026]);
+  });
+
+  it('doesn\'t fire when it only gets dark after Earth Hour', () => {
+    const ctx = createCtx({}, KASHGAR);
+    const darkness = sun.getEarthHourDarkness(ctx, 2025, 'Asia/Shanghai');
+    assert.strictEqual(darkness.afterSunset, false);
+    assert.strictEqual(localTime(darkness.sunset, 'Asia/Shanghai'), '21:09');
+    assert.strictEqual(darkness.darkAt, null);
+    assert.deepStrictEqual(sun.getPendingDarkStarts(ctx, new Date('2025-03-22T12:00:00.000Z'), 'Asia/Shanghai'), []);
+  });
+
+  it('leaves everything out without a location', () => {
+    const ctx = createCtx();
+    assert.strictEqual(sun.getEarthHourDarkness(ctx, 2025, 'Europe/Amsterdam'), null);
+    assert.deepStrictEqual(sun.getPendingDarkStarts(ctx, new Date('2025-03-01T12:00:00.000Z'), 'Europe/Amsterdam'), []);
+  });
+});
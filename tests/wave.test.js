@@ -0,0 +1,58 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const wave = require('../lib/utils/wave');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+describe('getObservingZones / countObservingTimeZones', () => {
+  it('follows Earth Hour from zone to zone by local time', () => {
+    // Earth Hour 2025 is 22 March 20:30–21:30 local time: 07:30 UTC in Auckland (+13).
+    const auckland = new Date('2025-03-22T07:45:00.000Z');
+    assert.deepStrictEqual(wave.getObservingZones(auckland).map(({ city }) => city), ['Nukuʻalofa', 'Auckland']);
+    assert.strictEqual(wave.countObservingTimeZones(auckland), 1);
+
+    // Sydney, Lord Howe Island and Nouméa (+11) are halfway, Adelaide (+10:30) has just started.
+    const sydney = new Date('2025-03-22T10:15:00.000Z');
+    assert.deepStrictEqual(wave.getObservingZones(sydney).map(({ city }) => city), ['Sydney', 'Lord Howe Island', 'Nouméa', 'Adelaide']);
+    assert.strictEqual(wave.countObservingTimeZones(sydney), 2);
+
+    assert.strictEqual(wave.countObservingTimeZones(new Date('2025-03-21T12:00:00.000Z')), 0);
+  });
+});
+
+describe('getPendingZoneStarts', () => {
+  it('lists each watched zone once per year until it fires or its Earth Hour ends', () => {
+    const ctx = createCtx();
+    const now = new Date('2025-03-22T08:00:00.000Z');
+    const pending = wave.getPendingZoneStarts(ctx, now, ['Pacific/Auckland', 'America/New_York']);
+    assert.deepStrictEqual(pending.map(({ timezone, year, at }) => `${timezone} ${year} ${at.toISOString()}`), [
+      'Pacific/Auckland 2025 2025-03-22T07:30:00.000Z',
+      'Pacific/Auckland 2026 2026-03-28T07:30:00.000Z',
+      'America/New_York 2025 2025-03-23T00:30:00.000Z',
+      'America/New_York 2026 2026-03-29T00:30:00.000Z',
+    ]);
+
+    wave.markZoneFired(ctx, 'Pacific/Auckland', 2025);
+    assert.strictEqual(wave.hasZoneFired(ctx, 'Pacific/Auckland', 2025), true);
+    const later = wave.getPendingZoneStarts(ctx, new Date('2025-03-22T09:00:00.000Z'), ['Pacific/Auckland']);
+    assert.deepStrictEqual(later.map(({ year }) => year), [2026]);
+  });
+});
+
+describe('zone arguments', () => {
+  it('offers every time zone, matching cities and a typed timezone id', () => {
+    assert.deepStrictEqual(wave.getZoneAutocomplete('auck', 'Every time zone').map(({ id }) => id), ['Pacific/Auckland']);
+    assert.strictEqual(wave.getZoneAutocomplete('', 'Every time zone')[0].id, wave.ANY_ZONE);
+    assert.deepStrictEqual(wave.getZoneAutocomplete('Europe/Berlin', 'Every time zone'), [
+      { id: 'Europe/Berlin', name: 'Berlin', description: 'Europe/Berlin' },
+    ]);
+  });
+
+  it('watches all wave zones for "every time zone" plus valid chosen ones', () => {
+    const watched = wave.getWatchedTimezones([wave.ANY_ZONE, 'Europe/Berlin', 'Pacific/Auckland', 'Mars/Olympus', null]);
+    assert.strictEqual(watched.length, wave.WAVE_ZONES.length + 1);
+    assert.ok(watched.includes('Europe/Berlin'));
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const {
+  describe, it, mock, afterEach,
+} = require('node:test');
+const assert = require('node:assert');
+
+const webApi = require('../lib/utils/webApi');
+const history = require('../lib/utils/history');
+const simulation = require('../lib/utils/simulation');
+const { createCtx } = require('./helpers/fakeHomeyApi');
+
+const TZ = 'Europe/Amsterdam';
+
+afterEach(() => mock.timers.reset());
+
+/**
+ * Asserts that fn throws a 400 error whose message matches.
+ * @param {Function} fn - Call under test
+ * @param {RegExp} message - Expected message
+ */
+function assertBadRequest(fn, message) {
+  assert.throws(fn, (error) => error.statusCode === 400 && message.test(error.message));
+}
+
+describe('request parsing', () => {
+  it('accepts a year, a range or the default years', () => {
+    assert.deepStrictEqual(webApi.parseYears({ year: '2027' }, 2026, 5), [2027]);
+    assert.deepStrictEqual(webApi.parseYears({ from: '2026', to: '2028' }, 2026, 5), [2026, 2027, 2028]);
+    assert.deepStrictEqual(webApi.parseYears({}, 2026, 3), [2026, 2027, 2028]);
+  });
+
+  it('rejects bad years and ranges with a clear message', () => {
+    assertBadRequest(() => webApi.parseYears({ year: '27' }, 2026, 5), /year "27", expected a year from 2007 to 2100/);
+    assertBadRequest(() => webApi.parseYears({ year: '2027', from: '2026' }, 2026, 5), /either year or from\/to/);
+    assertBadRequest(() => webApi.parseYears({ from: '2026' }, 2026, 5), /needs both from and to/);
+    assertBadRequest(() => webApi.parseYears({ from: '2030', to: '2026' }, 2026, 5), /before from/);
+    assertBadRequest(() => webApi.parseYears({ from: '2026', to: '2060' }, 2026, 5), /at most 20 years/);
+  });
+
+  it('checks timezone overrides and history filters', () => {
+    assert.strictEqual(webApi.parseTimezone(undefined, TZ), TZ);
+    assert.strictEqual(webApi.parseTimezone('America/New_York', TZ), 'America/New_York');
+    assertBadRequest(() => webApi.parseTimezone('Mars/Olympus', TZ), /Unknown timezone "Mars\/Olympus"/);
+    assert.deepStrictEqual(webApi.parseHistoryQuery({ type: 'trigger', limit: '5' }), { type: 'trigger', limit: 5 });
+    assertBadRequest(() => webApi.parseHistoryQuery({ type: 'alarm' }), /expected one of: trigger, notification/);
+    assertBadRequest(() => webApi.parseHistoryQuery({ limit: '0' }), /Invalid limit/);
+  });
+
+  it('validates schedule overrides and fills in the defaults', () => {
+    assert.deepStrictEqual(webApi.parseScheduleOverride('2027', { date: '2027-03-20' }), {
+      year: 2027, entry: { date: '2027-03-20', time: '20:30', duration: 60 },
+    });
+    assertBadRequest(() => webApi.parseScheduleOverride('2027', { date: '2028-03-25' }), /Invalid override for 2027/);
+    assertBadRequest(() => webApi.parseScheduleOverride('2027', { date: '2027-03-20', time: '25:00' }), /Invalid override for 2027/);
+    assertBadRequest(() => webApi.parseScheduleOverride('next', { date: '2027-03-20' }), /Invalid year "next"/);
+  });
+});
+
+describe('getState', () => {
+  it('reports upcoming, active and ended for the Earth Hour the state model is about', () => {
+    // Earth Hour 2025: 2025-03-22 20:30–21:30 Amsterdam (19:30–20:30 UTC).
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-22T19:00:00.000Z') });
+    const upcoming = webApi.getState(TZ);
+    assert.deepStrictEqual(upcoming, {
+      timezone: TZ,
+      state: 'upcoming',
+      phase: 'imminent',
+      year: 2025,
+      start: '2025-03-22T19:30:00.000Z',
+      end: '2025-03-22T20:30:00.000Z',
+      next_start: '2025-03-22T19:30:00.000Z',
+      is_earth_hour_day: true,
+      minutes_until_start: 30,
+      minutes_until_end: 90,
+    });
+
+    mock.timers.setTime(new Date('2025-03-22T20:00:00.000Z').getTime());
+    assert.strictEqual(webApi.getState(TZ).state, 'active');
+
+    mock.timers.setTime(new Date('2025-03-22T21:00:00.000Z').getTime());
+    const ended = webApi.getState(TZ);
+    assert.strictEqual(ended.state, 'ended');
+    assert.strictEqual(ended.phase, 'just_ended');
+    assert.strictEqual(ended.year, 2025);
+    assert.strictEqual(ended.next_start, '2026-03-28T19:30:00.000Z');
+
+    mock.timers.setTime(new Date('2025-03-23T12:00:00.000Z').getTime());
+    const next = webApi.getState(TZ);
+    assert.deepStrictEqual([next.state, next.phase, next.year, next.start], ['upcoming', 'far_off', 2026, '2026-03-28T19:30:00.000Z']);
+  });
+});
+
+describe('getCountdown', () => {
+  it('counts down to this year\'s Earth Hour until it ends, then to next year\'s', () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-22T20:00:00.000Z') });
+    assert.deepStrictEqual(webApi.getCountdown(createCtx(), TZ, 'nl'), {
+      state: 'active',
+      start: '2025-03-22T19:30:00.000Z',
+      end: '2025-03-22T20:30:00.000Z',
+      date: '22 maart 2025',
+      start_time: '20:30',
+      end_time: '21:30',
+      now: '2025-03-22T20:00:00.000Z',
+    });
+
+    mock.timers.setTime(new Date('2025-03-22T20:30:00.000Z').getTime());
+    const next = webApi.getCountdown(createCtx(), TZ, 'en');
+    assert.strictEqual(next.state, 'upcoming');
+    assert.strictEqual(next.date, '28th March 2026');
+  });
+
+  it('counts down the simulated Earth Hour while a simulation runs', () => {
+    const now = new Date('2025-06-14T10:00:00.000Z');
+    mock.timers.enable({ apis: ['Date'], now });
+    const ctx = createCtx();
+    simulation.startSimulation(ctx, 15, now);
+
+    mock.timers.setTime(now.getTime() + 5 * 60 * 1000);
+    assert.deepStrictEqual(webApi.getCountdown(ctx, TZ, 'en'), {
+      state: 'active',
+      start: '2025-06-14T10:00:00.000Z',
+      end: '2025-06-14T10:15:00.000Z',
+      date: '14th June 2025',
+      start_time: '12:00',
+      end_time: '12:15',
+      now: '2025-06-14T10:05:00.000Z',
+    });
+
+    mock.timers.setTime(now.getTime() + 15 * 60 * 1000);
+    assert.strictEqual(webApi.getCountdown(ctx, TZ, 'en').start, '2026-03-28T19:30:00.000Z');
+  });
+});
+
+describe('getSchedule', () => {
+  it('returns friendly and ISO moments per year in the given timezone', () => {
+    const [entry] = webApi.getSchedule([2025], 'America/New_York', 'en');
+    assert.deepStrictEqual(entry, {
+      year: 2025,
+      date: '22nd March 2025',
+      start_time: '20:30',
+      end_time: '21:30',
+      start: '2025-03-23T00:30:00.000Z',
+      end: '2025-03-23T01:30:00.000Z',
+      duration: 60,
+      source: 'official',
+    });
+  });
+});
+
+describe('getEvents', () => {
+  it('lists every event with its own reminders, leaving Earth Hour\'s to the reminders section', () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-01T12:00:00.000Z') });
+    const list = webApi.getEvents(createCtx(), TZ, 'en');
+    assert.deepStrictEqual(list.map(({ id, reminders }) => `${id}: ${reminders.map((reminder) => reminder.id).join(',')}`), [
+      'earth_hour: ', 'earth_day: earth_day.0', 'world_environment_day: world_environment_day.0',
+    ]);
+    assert.strictEqual(list[0].start, '2025-03-22T19:30:00.000Z');
+  });
+});
+
+describe('history', () => {
+  it('keeps entries newest first and filters by type', () => {
+    const ctx = createCtx();
+    history.record(ctx, 'notification', 'thankYou');
+    history.record(ctx, 'trigger', 'earth_hour_starts', { year: 2025 });
+    history.record(ctx, 'trigger', 'earth_hour_ends', { year: 2025 });
+
+    assert.deepStrictEqual(history.getHistory(ctx).map(({ name }) => name), ['earth_hour_ends', 'earth_hour_starts', 'thankYou']);
+    assert.deepStrictEqual(history.getHistory(ctx, { type: 'trigger', limit: 1 }).map(({ name }) => name), ['earth_hour_ends']);
+  });
+});
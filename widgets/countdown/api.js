@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Widget API for the Earth Hour countdown. Handlers only delegate to the app.
+ */
+module.exports = {
+
+  /**
+   * GET /state: the Earth Hour to count down to (or the one running) and whether home is prepared.
+   */
+  async getState({ homey }) {
+    return homey.app.getWidgetState();
+  },
+
+  /**
+   * POST /prepare: starts ({ prepared: true }) or cancels ({ prepared: false }) the "prepare home" flows.
+   */
+  async setPrepared({ homey, body }) {
+    return homey.app.setPrepared(body && body.prepared === true);
+  },
+
+};